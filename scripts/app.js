@@ -1 +1 @@
-class App{constructor(){this.elements={},this.missingElements=[],this.readabilityModule=null,this.wordFrequency=[],["text-input","word-count","char-count","sentence-count","paragraph-count","paste-btn","clear-btn"].forEach((t=>{const e=document.getElementById(t);e?this.elements[t]=e:this.missingElements.push(t)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const t=this.getElement("text-input"),e=this.getElement("paste-btn"),n=this.getElement("clear-btn");return t&&(t.value="",t.addEventListener("input",this.handleInput.bind(this))),n&&n.addEventListener("click",this.handleClear.bind(this)),e&&e.addEventListener("click",this.handlePaste.bind(this)),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor}getElement(t){return this.elements[t]?this.elements[t]:(console.warn(`Element with id="${t} not found in DOM`),null)}handleInput(t){try{const e=t.target.value,n=this.getElement("clear-btn");n&&(e?n.removeAttribute("disabled"):n.setAttribute("disabled",!0)),this.showCharCount(e),this.showWordCount(e),this.showSentenceCount(e),this.showParagraphCount(e)}catch(t){console.error("Error handling input:",t)}}handleClear(){const t=this.getElement("clear-btn"),e=this.getElement("text-input");e&&(e.value="",e.dispatchEvent(new Event("input",{bubbles:!0}))),t&&t.setAttribute("disabled",!0)}async handlePaste(){const t=this.getElement("paste-btn"),e=this.getElement("text-input");if(t&&e)try{const t=await navigator.clipboard.readText();e.value+=t,e.dispatchEvent(new Event("input",{bubbles:!0}))}catch(t){console.error("Cannot paste user content:",t)}}showWordCount(t){const e=this.getElement("word-count");e&&(e.textContent=window.textProcessor.getWordCount(t).toLocaleString())}showCharCount(t){const e=this.getElement("char-count");e&&(e.textContent=window.textProcessor.getCharCount(t).toLocaleString())}showSentenceCount(t){const e=this.getElement("sentence-count");e&&(e.textContent=window.textProcessor.getSentenceCount(t).toLocaleString())}showParagraphCount(t){const e=this.getElement("paragraph-count");e&&(e.textContent=window.textProcessor.getParagraphCount(t).toLocaleString())}}(new App).init();
\ No newline at end of file
+class App{constructor(){this.elements={},this.missingElements=[],this.targets=[],this.targetStates={},this.session=null,this.sessionEdit=null,this.editedAt=null,this.readabilityModule=null,this.analysis=null,this.format="plain",this.wordFrequency=[],this.locale="auto",this.activeLocale="en",["text-input","locale-select","word-count","char-count","sentence-count","paragraph-count","analysis-status","paste-btn","clear-btn","import-btn","import-file","text-drop-zone","import-status","content-format","content-summary","export-menu","export-json","export-csv","export-markdown","export-html","share-btn","share-status","targets-list","targets-empty","target-form","target-metric","target-min","target-max","target-error","targets-status","session-toggle","session-export","session-state","session-written","session-deleted","session-wpm","session-active","session-idle","session-elapsed","session-line","session-status"].forEach((t=>{const e=document.getElementById(t);e?this.elements[t]=e:this.missingElements.push(t)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const t=this.getElement("text-input"),e=this.getElement("paste-btn"),s=this.getElement("clear-btn"),n=this.getElement("locale-select");return n&&(this.showLocaleOptions(n),n.addEventListener("change",this.handleLocaleChange.bind(this))),t&&(t.value="",t.addEventListener("input",this.handleInput.bind(this))),s&&s.addEventListener("click",this.handleClear.bind(this)),e&&e.addEventListener("click",this.handlePaste.bind(this)),this.initImport(),this.initFormat(),this.initExport(),this.initTargets(),this.initSession(),this.initDrafts(),this.initShare(),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor&&null!==window.textAnalyzer&&null!==window.fileImporter&&null!==window.reportExporter&&null!==window.drafts&&null!==window.shareLink&&null!==window.countTargets&&null!==window.writingSession}getElement(t){return this.elements[t]?this.elements[t]:(console.warn(`Element with id="${t} not found in DOM`),null)}handleInput(t){try{const e=t.target.value,s=this.getElement("clear-btn");s&&(e?s.removeAttribute("disabled"):s.setAttribute("disabled",!0)),this.editedAt=Date.now(),this.analyze(e)}catch(t){console.error("Error handling input:",t)}}getShareSettings(){return this.getAnalysisOptions()}applyShareSettings(t){this.setControl("locale-select",t.locale),this.setControl("content-format",t.format)}getAnalysisOptions(){return{locale:this.locale,format:this.format}}analyze(t){this.showCalculating(!0),window.textAnalyzer.analyze(t,this.getAnalysisOptions(),((t,e)=>{this.analysis=e,("counts"===t||"readability"===t)&&this.showTargets(e),"counts"===t&&this.recordSessionCount(e),"counts"===t&&(this.updateLocale(e),this.showContentSummary(e),this.showCharCount(e),this.showWordCount(e),this.showSentenceCount(e),this.showParagraphCount(e))})).then((t=>{t&&this.showCalculating(!1)}))}refreshAnalysis(){const t=this.getElement("text-input");t&&this.analyze(t.value)}showCalculating(t){const e=this.getElement("analysis-status");e&&(clearTimeout(this.calculatingTimer),t?this.calculatingTimer=setTimeout((()=>e.classList.remove("hidden")),150):e.classList.add("hidden"))}showLocaleOptions(t){window.textProcessor.getLocales().forEach((e=>{const s=document.createElement("option");s.value=e.code,s.textContent=e.name,t.appendChild(s)}))}handleLocaleChange(t){this.locale=t.target.value,this.refreshAnalysis()}updateLocale(t){this.activeLocale=t.locale;const e=this.getElement("locale-select"),s=e&&e.querySelector('option[value="auto"]');s&&(s.textContent=`Auto-detect (${window.textProcessor.getLocale(this.activeLocale).name})`)}handleClear(){const t=this.getElement("clear-btn"),e=this.getElement("text-input");e&&(e.value="",e.dispatchEvent(new Event("input",{bubbles:!0}))),t&&t.setAttribute("disabled",!0)}async handlePaste(){const t=this.getElement("paste-btn"),e=this.getElement("text-input");if(t&&e)try{const t=await navigator.clipboard.readText();e.value+=t,e.dispatchEvent(new Event("input",{bubbles:!0}))}catch(t){console.error("Cannot paste user content:",t)}}initFormat(){const t=this.getElement("content-format");t&&(t.value=this.format,t.addEventListener("change",this.handleFormatChange.bind(this)))}handleFormatChange(t){this.format=t.target.value,this.refreshAnalysis()}showContentSummary(t){const e=this.getElement("content-summary"),s=t.content;if(!e)return;if("plain"===s.format)return void e.classList.add("hidden");const n=(t,e)=>`${t.toLocaleString()} ${1===t?e:e+"s"}`;e.textContent=`Counting prose only · ${n(s.headings.count,"heading")} (${n(s.headings.words,"word")}) · Not counted: ${n(s.code.blocks,"code block")}, ${n(s.code.inline,"inline code span")} (${n(s.code.words,"word")}), ${n(s.links,"link URL")}, ${n(s.images,"image")}`,e.classList.remove("hidden")}initExport(){window.reportExporter.reportFormats.forEach((({code:t})=>{const e=this.getElement(`export-${t}`);e&&e.addEventListener("click",(()=>this.handleExport(t)))}))}async handleExport(t){const e=this.getElement("text-input"),s=this.getElement("export-menu");if(s&&(s.open=!1),e)try{const s=await window.reportExporter.createReport(e.value,this.analysis,{page:document.title.split(" - ")[0],options:this.getAnalysisOptions()});window.reportExporter.saveReport(s,t)}catch(t){console.error("Cannot export report:",t)}}initTargets(){const t=this.getElement("target-form"),e=this.getElement("target-metric");e&&e.replaceChildren(...window.countTargets.targetMetrics.map((t=>new Option(t.name,t.id)))),t&&t.addEventListener("submit",this.handleTargetSubmit.bind(this))}handleTargetSubmit(t){t.preventDefault();const e=this.getElement("target-metric"),s=this.getElement("target-min"),n=this.getElement("target-max"),i=this.getElement("target-error");if(e&&s&&n)try{this.setTargets(window.countTargets.setTarget(this.targets,{metric:e.value,min:s.value,max:n.value}),!0),s.value="",n.value="",i&&i.classList.add("hidden")}catch(t){i&&(i.textContent=t.message,i.classList.remove("hidden"))}}setTargets(t,e=!1){this.targets=window.countTargets.readTargets(t),this.targetStates={},e&&window.drafts&&window.drafts.setTargets(this.targets).catch((t=>console.error("Cannot save targets:",t))),this.analysis&&this.showTargets(this.analysis)}showTargets(t){const e=this.getElement("targets-list"),s=this.getElement("targets-empty"),n=this.getElement("targets-status");if(!e)return;const i={under:"under target",within:"within target",over:"over target"},a={under:"bg-yellow-500",within:"bg-green-500",over:"bg-red-500"},o=[];e.replaceChildren(...window.countTargets.evaluateTargets(this.targets,t).map((t=>{const e=document.createElement("li"),s=document.createElement("div"),n=document.createElement("span"),r=document.createElement("span"),l=document.createElement("button"),h=document.createElement("div"),d=document.createElement("div"),c=`${t.value.toLocaleString(void 0,{maximumFractionDigits:1})} of ${window.countTargets.describeTarget(t.target)}`,g=this.targetStates[t.metric.id];if(g&&g!==t.state&&o.push(`${t.metric.name} ${i[t.state]}: ${c}.`),this.targetStates[t.metric.id]=t.state,e.className="py-2",s.className="flex flex-wrap items-center gap-2 text-sm",n.className="font-medium text-text-primary",n.textContent=t.metric.name,r.className="flex-1 text-text-secondary",r.classList.toggle("text-red-600","over"===t.state),r.textContent=`${c} · ${i[t.state][0].toUpperCase()}${i[t.state].slice(1)}`,l.type="button",l.className="text-sm text-text-muted bg-transparent border-none cursor-pointer hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-primary rounded",l.textContent="Remove",l.setAttribute("aria-label",`Remove ${t.metric.name.toLowerCase()} target`),l.addEventListener("click",(()=>this.setTargets(this.targets.filter((e=>e.metric!==t.metric.id)),!0))),s.append(n,r,l),h.className="relative h-2 mt-1 bg-border rounded-full overflow-hidden",h.setAttribute("role","progressbar"),h.setAttribute("aria-label",`${t.metric.name} target`),h.setAttribute("aria-valuemin",0),h.setAttribute("aria-valuemax",100),h.setAttribute("aria-valuenow",Math.round(100*t.progress)),h.setAttribute("aria-valuetext",c),d.className=`h-full rounded-full ${a[t.state]}`,d.style.width=100*t.progress+"%",h.append(d),null!==t.minPosition){const e=document.createElement("div");e.className="absolute top-0 bottom-0 w-0.5 bg-text-secondary",e.style.left=100*t.minPosition+"%",h.append(e)}return e.append(s,h),e}))),s&&s.classList.toggle("hidden",this.targets.length>0),n&&o.length>0&&(n.textContent=o.join(" "))}initSession(){const t=this.getElement("session-toggle"),e=this.getElement("session-export");t&&t.addEventListener("click",this.handleSessionToggle.bind(this)),e&&e.addEventListener("click",this.handleSessionExport.bind(this))}handleSessionToggle(){this.session&&null===this.session.endedAt?this.stopSession():(this.session=window.writingSession.startWritingSession(this.analysis&&this.analysis.words?this.analysis.words.count:0),this.sessionEdit=null,clearInterval(this.sessionTimer),this.sessionTimer=setInterval((()=>this.updateSession()),window.writingSession.sampleInterval),this.showSession(),this.showSessionStatus("Writing session started."))}recordSessionCount(t){const e=this.editedAt;this.editedAt=null,e&&this.session&&null===this.session.endedAt&&(e<this.session.startedAt?this.session=window.writingSession.startWritingSession(t.words.count,this.session.startedAt):this.sessionEdit={words:t.words.count,time:e})}updateSession(){this.sessionEdit&&(this.session=window.writingSession.recordWritingSample(this.session,this.sessionEdit.words,this.sessionEdit.time),this.sessionEdit=null),this.showSession()}stopSession(){if(!this.session||null!==this.session.endedAt)return;clearInterval(this.sessionTimer),this.updateSession(),this.session=window.writingSession.stopWritingSession(this.session),this.showSession();const t=window.writingSession.summarizeWritingSession(this.session);this.showSessionStatus(`Writing session stopped: ${t.net.toLocaleString()} net ${1===Math.abs(t.net)?"word":"words"} in ${window.textProcessor.formatTimestamp(t.duration/1e3)}.`)}handleSessionExport(){this.session&&(null===this.session.endedAt&&this.updateSession(),window.reportExporter.downloadFile(window.writingSession.formatSessionCsv(this.session)))}showSession(){const t=this.session,e=t&&null===t.endedAt,s=this.getElement("session-toggle"),n=this.getElement("session-export"),i=this.getElement("session-state"),a=this.getElement("session-line");if(s&&(s.textContent=e?"Stop session":"Start session",s.setAttribute("aria-pressed",e)),n&&(t?n.removeAttribute("disabled"):n.setAttribute("disabled",!0)),i&&(i.textContent=t?e?"Recording":"Stopped":"Not started"),!t)return;const o=window.writingSession.summarizeWritingSession(t),r=t=>window.textProcessor.formatTimestamp(t/1e3);[["session-written",o.written.toLocaleString()],["session-deleted",o.deleted.toLocaleString()],["session-wpm",o.wordsPerMinute.toLocaleString(void 0,{maximumFractionDigits:1})],["session-active",r(o.activeTime)],["session-idle",r(o.idleTime)],["session-elapsed",r(o.duration)]].forEach((([t,e])=>{const s=this.getElement(t);s&&(s.textContent=e)})),a&&a.setAttribute("points",window.writingSession.getSessionSparkline(t,200,36))}showSessionStatus(t){const e=this.getElement("session-status");e&&(e.textContent=t)}initDrafts(){const t=this.getElement("text-input");t&&window.drafts&&(window.drafts.subscribe((e=>{"open"===e.type&&(this.stopSession(),this.setTargets(e.draft.targets),t.value=e.draft.text,t.dispatchEvent(new Event("input",{bubbles:!0})))})),t.addEventListener("input",(()=>window.drafts.save(t.value))),this.draftsLoaded=window.drafts.load().catch((t=>console.error("Cannot load draft:",t))))}initShare(){const t=this.getElement("share-btn");t&&t.addEventListener("click",this.handleShare.bind(this)),window.addEventListener("hashchange",(()=>this.restoreShareLink())),(this.draftsLoaded||Promise.resolve()).then((()=>this.restoreShareLink()))}async handleShare(){const t=this.getElement("text-input");if(t)if(t.value.trim())try{const e=await window.shareLink.createShareLink(t.value,this.getShareSettings());try{await navigator.clipboard.writeText(e),this.showShareStatus("Link copied. Anyone who opens it sees this text with these settings.")}catch(t){history.replaceState(null,"",e),this.showShareStatus("Copy the link from the address bar to share this text.")}}catch(t){console.error("Cannot create share link:",t),this.showShareStatus(t.message,!0)}else this.showShareStatus("Type or paste some text to share first.",!0)}async restoreShareLink(){const t=this.getElement("text-input");if(t&&window.shareLink.isShareHash(location.hash)){try{const e=await window.shareLink.readShareLink(location.hash);this.applyShareSettings(e.settings),window.drafts&&await window.drafts.create("Shared text"),t.value=e.text,t.dispatchEvent(new Event("input",{bubbles:!0})),this.showShareStatus("Opened shared text as a new draft.")}catch(t){console.error("Cannot open share link:",t),this.showShareStatus(t.message,!0)}history.replaceState(null,"",location.pathname+location.search)}}setControl(t,e,s="change"){const n=this.getElement(t);if(!n||null==e)return;const i=n.value;n.value=e,String(n.value)===String(e)?n.dispatchEvent(new Event(s,{bubbles:!0})):n.value=i}showShareStatus(t,e=!1){const s=this.getElement("share-status");s&&(s.textContent=t,s.classList.remove("hidden"),s.classList.toggle("text-red-600",e),s.classList.toggle("text-text-muted",!e))}initImport(){const t=this.getElement("import-btn"),e=this.getElement("import-file"),s=this.getElement("text-drop-zone");e&&(e.accept=window.fileImporter.acceptedFileTypes.join(","),e.addEventListener("change",this.handleImportSelect.bind(this))),t&&e&&t.addEventListener("click",(()=>e.click())),s&&(s.addEventListener("dragover",this.handleDragOver.bind(this)),s.addEventListener("dragleave",this.handleDragLeave.bind(this)),s.addEventListener("drop",this.handleDrop.bind(this)))}hasDraggedFiles(t){return!!t.dataTransfer&&Array.from(t.dataTransfer.types).includes("Files")}handleDragOver(t){if(!this.hasDraggedFiles(t))return;t.preventDefault(),t.dataTransfer.dropEffect="copy";const e=this.getElement("text-drop-zone");e&&e.classList.add("ring-4","ring-primary/30","border-primary")}handleDragLeave(t){const e=this.getElement("text-drop-zone");e&&!e.contains(t.relatedTarget)&&e.classList.remove("ring-4","ring-primary/30","border-primary")}handleDrop(t){if(!this.hasDraggedFiles(t))return;t.preventDefault(),this.handleDragLeave({relatedTarget:null});const e=t.dataTransfer.files[0];e&&this.importFile(e)}handleImportSelect(t){const e=t.target.files&&t.target.files[0];e&&this.importFile(e),t.target.value=""}async importFile(t){const e=this.getElement("text-input");if(e)try{this.showImportStatus(`Opening ${t.name}…`);const s=await window.fileImporter.importFile(t);e.value=s.text,e.dispatchEvent(new Event("input",{bubbles:!0})),this.showImportStatus(`Opened ${s.name}`)}catch(t){console.error("Cannot import file:",t),this.showImportStatus(t.message,!0)}}showImportStatus(t,e=!1){const s=this.getElement("import-status");s&&(s.textContent=t,s.classList.remove("hidden"),s.classList.toggle("text-red-600",e),s.classList.toggle("text-text-muted",!e))}showWordCount(t){const e=this.getElement("word-count");e&&(e.textContent=t.words.count.toLocaleString())}showCharCount(t){const e=this.getElement("char-count");e&&(e.textContent=t.characters.total.toLocaleString())}showSentenceCount(t){const e=this.getElement("sentence-count");e&&(e.textContent=t.sentences.count.toLocaleString())}showParagraphCount(t){const e=this.getElement("paragraph-count");e&&(e.textContent=t.paragraphs.count.toLocaleString())}}(new App).init();
\ No newline at end of file
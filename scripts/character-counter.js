@@ -1 +1 @@
-class CharacterCounter{constructor(){this.elements={},this.missingElements=[],["text-input","char-count","char-count-no-spaces","char-density","special-char-count","paste-btn","clear-btn","twitter-char-count","instagram-char-count","facebook-char-count","linkedin-char-count","letters-count","uppercase-count","lowercase-count","numbers-count","whitespace-count","spaces-count","tabs-count","linebreaks-count","punctuation-count","emoji-count","vowels-count","consonants-count","ascii-count","non-ascii-count"].forEach((t=>{const e=document.getElementById(t);e?this.elements[t]=e:this.missingElements.push(t)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const t=this.getElement("text-input"),e=this.getElement("paste-btn"),o=this.getElement("clear-btn");return t&&(t.value="",t.addEventListener("input",this.handleInput.bind(this))),o&&o.addEventListener("click",this.handleClear.bind(this)),e&&e.addEventListener("click",this.handlePaste.bind(this)),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor}getElement(t){return this.elements[t]?this.elements[t]:(console.warn(`Element with id='${t} not found in DOM`),null)}handleInput(t){try{const e=t.target.value,o=this.getElement("clear-btn");o&&(e?o.removeAttribute("disabled"):o.setAttribute("disabled",!0)),this.showCharacterCount(e),this.showCharacterCountNoSpaces(e),this.showAverageCharactersPerWord(e),this.showSpecialCharacterCount(e),this.showLettersCount(e),this.showUppercaseCount(e),this.showLowercaseCount(e),this.showNumbersCount(e),this.showWhitespaceCount(e),this.showSpacesCount(e),this.showTabsCount(e),this.showLinebreaksCount(e),this.showPunctuationCount(e),this.showEmojiCount(e),this.showVowelsCount(e),this.showConsonantsCount(e),this.showAsciiCount(e),this.showNonAsciiCount(e)}catch(t){console.error("Error handling input:",t)}}handleClear(){const t=this.getElement("clear-btn"),e=this.getElement("text-input");e&&(e.value="",e.dispatchEvent(new Event("input",{bubbles:!0}))),t&&t.setAttribute("disabled",!0)}async handlePaste(){const t=this.getElement("paste-btn"),e=this.getElement("text-input");if(t&&e)try{const t=await navigator.clipboard.readText();e.value+=t,e.dispatchEvent(new Event("input",{bubbles:!0}))}catch(t){console.error("Cannot paste user content:",t)}}showCharacterCount(t){const e=this.getElement("char-count");if(e){const o=window.textProcessor.getCharCount(t);e.textContent=o.toLocaleString(),this.showTwitterCharCount(o),this.showInstagramCharCount(o),this.showFacebookCharCount(o),this.showLinkedinCharCount(o)}}showCharacterCountNoSpaces(t){const e=this.getElement("char-count-no-spaces");e&&(e.textContent=window.textProcessor.getCharCountNoSpaces(t).toLocaleString())}showAverageCharactersPerWord(t){const e=this.getElement("char-density");e&&(e.textContent=window.textProcessor.getAverageCharsPerWord(t).toLocaleString())}showSpecialCharacterCount(t){const e=this.getElement("special-char-count");e&&(e.textContent=window.textProcessor.getSpecialCharCount(t).toLocaleString())}showTwitterCharCount(t){const e=this.getElement("twitter-char-count");if(e){const o=280-t;e.textContent=o.toLocaleString(),o<0?(e.classList.remove("text-yellow-500"),e.classList.add("text-red-500")):o>=0&&o<=70?(e.classList.remove("text-red-500"),e.classList.add("text-yellow-500")):e.classList.remove("text-red-500","text-yellow-500")}}showInstagramCharCount(t){const e=this.getElement("instagram-char-count");if(e){const o=2200-t;e.textContent=o.toLocaleString(),o<0?(e.classList.remove("text-yellow-500"),e.classList.add("text-red-500")):o>=0&&o<=400?(e.classList.remove("text-red-500"),e.classList.add("text-yellow-500")):e.classList.remove("text-red-500","text-yellow-500")}}showFacebookCharCount(t){const e=this.getElement("facebook-char-count");if(e){const o=63206-t;e.textContent=o.toLocaleString(),o<0?(e.classList.remove("text-yellow-500"),e.classList.add("text-red-500")):o>=0&&o<=2e3?(e.classList.remove("text-red-500"),e.classList.add("text-yellow-500")):e.classList.remove("text-red-500","text-yellow-500")}}showLinkedinCharCount(t){const e=this.getElement("linkedin-char-count");if(e){const o=3e3-t;e.textContent=o.toLocaleString(),o<0?(e.classList.remove("text-yellow-500"),e.classList.add("text-red-500")):o>=0&&o<=500?(e.classList.remove("text-red-500"),e.classList.add("text-yellow-500")):e.classList.remove("text-red-500","text-yellow-500")}}showLettersCount(t){const e=this.getElement("letters-count");e&&(e.textContent=window.textProcessor.getLettersCharCount(t).toLocaleString())}showUppercaseCount(t){const e=this.getElement("uppercase-count");e&&(e.textContent=window.textProcessor.getUpperCaseCharCount(t).toLocaleString())}showLowercaseCount(t){const e=this.getElement("lowercase-count");e&&(e.textContent=window.textProcessor.getLowerCaseCharCount(t).toLocaleString())}showNumbersCount(t){const e=this.getElement("numbers-count");e&&(e.textContent=window.textProcessor.getNumbersCharCount(t).toLocaleString())}showWhitespaceCount(t){const e=this.getElement("whitespace-count");e&&(e.textContent=window.textProcessor.getWhitespaceCharCount(t).toLocaleString())}showSpacesCount(t){const e=this.getElement("spaces-count");e&&(e.textContent=window.textProcessor.getSpaceCharCount(t).toLocaleString())}showTabsCount(t){const e=this.getElement("tabs-count");e&&(e.textContent=window.textProcessor.getTabCharCount(t).toLocaleString())}showLinebreaksCount(t){const e=this.getElement("linebreaks-count");e&&(e.textContent=window.textProcessor.getNewLineCharCount(t).toLocaleString())}showPunctuationCount(t){const e=this.getElement("punctuation-count");e&&(e.textContent=window.textProcessor.getPunctuationCharCount(t).toLocaleString())}showEmojiCount(t){const e=this.getElement("emoji-count");if(e){const o=window.textProcessor.getEmojiCharCount(t);e.textContent=o.toLocaleString()}}showVowelsCount(t){const e=this.getElement("vowels-count");e&&(e.textContent=window.textProcessor.getVowelCharCount(t).toLocaleString())}showConsonantsCount(t){const e=this.getElement("consonants-count");e&&(e.textContent=window.textProcessor.getConsonantCharCount(t).toLocaleString())}showAsciiCount(t){const e=this.getElement("ascii-count");e&&(e.textContent=window.textProcessor.getAsciiCharCount(t).toLocaleString())}showNonAsciiCount(t){const e=this.getElement("non-ascii-count");e&&(e.textContent=window.textProcessor.getNonAsciiCharCount(t).toLocaleString())}}(new CharacterCounter).init();
\ No newline at end of file
+class CharacterCounter{constructor(){this.elements={},this.missingElements=[],this.targets=[],this.targetStates={},this.session=null,this.sessionEdit=null,this.editedAt=null,this.countMode="grapheme",this.locale="auto",this.activeLocale="en",this.analysis=null,this.format="plain",["text-input","locale-select","char-count-mode","char-count","char-count-no-spaces","char-density","special-char-count","paste-btn","clear-btn","import-btn","import-file","text-drop-zone","import-status","content-format","content-summary","export-menu","export-json","export-csv","export-markdown","export-html","share-btn","share-status","targets-list","targets-empty","target-form","target-metric","target-min","target-max","target-error","targets-status","session-toggle","session-export","session-state","session-written","session-deleted","session-wpm","session-active","session-idle","session-elapsed","session-line","session-status","social-profiles","social-profile-template","social-profile-form","social-profile-counting","social-profile-error","sms-encoding","sms-encoding-note","sms-units","sms-units-label","sms-segments","sms-per-segment","sms-remaining","sms-unicode","sms-unicode-list","sms-replace-btn","sms-replace-note","bytes-utf8","bytes-utf16","bytes-utf32","bytes-legacy","bytes-legacy-note","byte-budget","byte-budget-encoding","byte-budget-result","byte-budget-preview","byte-budget-actions","byte-budget-select","byte-budget-truncate","letters-count","uppercase-count","lowercase-count","numbers-count","whitespace-count","spaces-count","tabs-count","linebreaks-count","punctuation-count","emoji-count","vowels-count","consonants-count","ascii-count","non-ascii-count","analysis-status"].forEach((t=>{const e=document.getElementById(t);e?this.elements[t]=e:this.missingElements.push(t)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const t=this.getElement("text-input"),e=this.getElement("paste-btn"),s=this.getElement("clear-btn"),n=this.getElement("char-count-mode"),i=this.getElement("locale-select");return i&&(this.showLocaleOptions(i),i.addEventListener("change",this.handleLocaleChange.bind(this))),t&&(t.value="",t.addEventListener("input",this.handleInput.bind(this))),n&&(n.value=this.countMode,n.addEventListener("change",this.handleModeChange.bind(this))),s&&s.addEventListener("click",this.handleClear.bind(this)),e&&e.addEventListener("click",this.handlePaste.bind(this)),this.initImport(),this.initFormat(),this.initExport(),this.initTargets(),this.initSession(),this.initDrafts(),this.initShare(),this.initSocialProfiles(),this.initSms(),this.initByteBudget(),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor&&null!==window.textAnalyzer&&null!==window.fileImporter&&null!==window.reportExporter&&null!==window.drafts&&null!==window.shareLink&&null!==window.countTargets&&null!==window.writingSession}getElement(t){return this.elements[t]?this.elements[t]:(console.warn(`Element with id='${t} not found in DOM`),null)}handleInput(t){try{const e=t.target.value,s=this.getElement("clear-btn");s&&(e?s.removeAttribute("disabled"):s.setAttribute("disabled",!0)),this.editedAt=Date.now(),this.analyze(e)}catch(t){console.error("Error handling input:",t)}}getShareSettings(){const t=this.getElement("byte-budget"),e=this.getElement("byte-budget-encoding");return{...this.getAnalysisOptions(),byteLimit:t&&""!==t.value?Number(t.value):void 0,byteEncoding:e?e.value:void 0}}applyShareSettings(t){this.setControl("locale-select",t.locale),this.setControl("char-count-mode",t.mode),this.setControl("content-format",t.format),this.setControl("byte-budget-encoding",t.byteEncoding),this.setControl("byte-budget",t.byteLimit,"input")}getAnalysisOptions(){return{locale:this.locale,mode:this.countMode,format:this.format}}analyze(t){this.showCalculating(!0),window.textAnalyzer.analyze(t,this.getAnalysisOptions(),((t,e)=>{this.analysis=e,("counts"===t||"readability"===t)&&this.showTargets(e),"counts"===t&&this.recordSessionCount(e),"counts"===t&&(this.updateLocale(e),this.showContentSummary(e),this.showCharacterCount(e),this.showCharacterCountNoSpaces(e),this.showSmsSegments(e),this.showByteLengths(e),this.showAverageCharactersPerWord(e),this.showSpecialCharacterCount(e),this.showLettersCount(e),this.showUppercaseCount(e),this.showLowercaseCount(e),this.showNumbersCount(e),this.showWhitespaceCount(e),this.showSpacesCount(e),this.showTabsCount(e),this.showLinebreaksCount(e),this.showPunctuationCount(e),this.showEmojiCount(e),this.showVowelsCount(e),this.showConsonantsCount(e),this.showAsciiCount(e),this.showNonAsciiCount(e))})).then((t=>{t&&this.showCalculating(!1)}))}refreshAnalysis(){const t=this.getElement("text-input");t&&this.analyze(t.value)}showCalculating(t){const e=this.getElement("analysis-status");e&&(clearTimeout(this.calculatingTimer),t?this.calculatingTimer=setTimeout((()=>e.classList.remove("hidden")),150):e.classList.add("hidden"))}handleModeChange(t){this.countMode=t.target.value,this.refreshAnalysis()}showLocaleOptions(t){window.textProcessor.getLocales().forEach((e=>{const s=document.createElement("option");s.value=e.code,s.textContent=e.name,t.appendChild(s)}))}handleLocaleChange(t){this.locale=t.target.value,this.refreshAnalysis()}updateLocale(t){this.activeLocale=t.locale;const e=this.getElement("locale-select"),s=e&&e.querySelector('option[value="auto"]');s&&(s.textContent=`Auto-detect (${window.textProcessor.getLocale(this.activeLocale).name})`)}handleClear(){const t=this.getElement("clear-btn"),e=this.getElement("text-input");e&&(e.value="",e.dispatchEvent(new Event("input",{bubbles:!0}))),t&&t.setAttribute("disabled",!0)}async handlePaste(){const t=this.getElement("paste-btn"),e=this.getElement("text-input");if(t&&e)try{const t=await navigator.clipboard.readText();e.value+=t,e.dispatchEvent(new Event("input",{bubbles:!0}))}catch(t){console.error("Cannot paste user content:",t)}}initFormat(){const t=this.getElement("content-format");t&&(t.value=this.format,t.addEventListener("change",this.handleFormatChange.bind(this)))}handleFormatChange(t){this.format=t.target.value,this.refreshAnalysis()}showContentSummary(t){const e=this.getElement("content-summary"),s=t.content;if(!e)return;if("plain"===s.format)return void e.classList.add("hidden");const n=(t,e)=>`${t.toLocaleString()} ${1===t?e:e+"s"}`;e.textContent=`Counting prose only · ${n(s.headings.count,"heading")} (${n(s.headings.words,"word")}) · Not counted: ${n(s.code.blocks,"code block")}, ${n(s.code.inline,"inline code span")} (${n(s.code.words,"word")}), ${n(s.links,"link URL")}, ${n(s.images,"image")}`,e.classList.remove("hidden")}initExport(){window.reportExporter.reportFormats.forEach((({code:t})=>{const e=this.getElement(`export-${t}`);e&&e.addEventListener("click",(()=>this.handleExport(t)))}))}async handleExport(t){const e=this.getElement("text-input"),s=this.getElement("export-menu");if(s&&(s.open=!1),e)try{const s=await window.reportExporter.createReport(e.value,this.analysis,{page:document.title.split(" - ")[0],options:this.getAnalysisOptions()});window.reportExporter.saveReport(s,t)}catch(t){console.error("Cannot export report:",t)}}initTargets(){const t=this.getElement("target-form"),e=this.getElement("target-metric");e&&e.replaceChildren(...window.countTargets.targetMetrics.map((t=>new Option(t.name,t.id)))),t&&t.addEventListener("submit",this.handleTargetSubmit.bind(this))}handleTargetSubmit(t){t.preventDefault();const e=this.getElement("target-metric"),s=this.getElement("target-min"),n=this.getElement("target-max"),i=this.getElement("target-error");if(e&&s&&n)try{this.setTargets(window.countTargets.setTarget(this.targets,{metric:e.value,min:s.value,max:n.value}),!0),s.value="",n.value="",i&&i.classList.add("hidden")}catch(t){i&&(i.textContent=t.message,i.classList.remove("hidden"))}}setTargets(t,e=!1){this.targets=window.countTargets.readTargets(t),this.targetStates={},e&&window.drafts&&window.drafts.setTargets(this.targets).catch((t=>console.error("Cannot save targets:",t))),this.analysis&&this.showTargets(this.analysis)}showTargets(t){const e=this.getElement("targets-list"),s=this.getElement("targets-empty"),n=this.getElement("targets-status");if(!e)return;const i={under:"under target",within:"within target",over:"over target"},o={under:"bg-yellow-500",within:"bg-green-500",over:"bg-red-500"},a=[];e.replaceChildren(...window.countTargets.evaluateTargets(this.targets,t).map((t=>{const e=document.createElement("li"),s=document.createElement("div"),n=document.createElement("span"),r=document.createElement("span"),l=document.createElement("button"),c=document.createElement("div"),h=document.createElement("div"),d=`${t.value.toLocaleString(void 0,{maximumFractionDigits:1})} of ${window.countTargets.describeTarget(t.target)}`,u=this.targetStates[t.metric.id];if(u&&u!==t.state&&a.push(`${t.metric.name} ${i[t.state]}: ${d}.`),this.targetStates[t.metric.id]=t.state,e.className="py-2",s.className="flex flex-wrap items-center gap-2 text-sm",n.className="font-medium text-text-primary",n.textContent=t.metric.name,r.className="flex-1 text-text-secondary",r.classList.toggle("text-red-600","over"===t.state),r.textContent=`${d} · ${i[t.state][0].toUpperCase()}${i[t.state].slice(1)}`,l.type="button",l.className="text-sm text-text-muted bg-transparent border-none cursor-pointer hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-primary rounded",l.textContent="Remove",l.setAttribute("aria-label",`Remove ${t.metric.name.toLowerCase()} target`),l.addEventListener("click",(()=>this.setTargets(this.targets.filter((e=>e.metric!==t.metric.id)),!0))),s.append(n,r,l),c.className="relative h-2 mt-1 bg-border rounded-full overflow-hidden",c.setAttribute("role","progressbar"),c.setAttribute("aria-label",`${t.metric.name} target`),c.setAttribute("aria-valuemin",0),c.setAttribute("aria-valuemax",100),c.setAttribute("aria-valuenow",Math.round(100*t.progress)),c.setAttribute("aria-valuetext",d),h.className=`h-full rounded-full ${o[t.state]}`,h.style.width=100*t.progress+"%",c.append(h),null!==t.minPosition){const e=document.createElement("div");e.className="absolute top-0 bottom-0 w-0.5 bg-text-secondary",e.style.left=100*t.minPosition+"%",c.append(e)}return e.append(s,c),e}))),s&&s.classList.toggle("hidden",this.targets.length>0),n&&a.length>0&&(n.textContent=a.join(" "))}initSession(){const t=this.getElement("session-toggle"),e=this.getElement("session-export");t&&t.addEventListener("click",this.handleSessionToggle.bind(this)),e&&e.addEventListener("click",this.handleSessionExport.bind(this))}handleSessionToggle(){this.session&&null===this.session.endedAt?this.stopSession():(this.session=window.writingSession.startWritingSession(this.analysis&&this.analysis.words?this.analysis.words.count:0),this.sessionEdit=null,clearInterval(this.sessionTimer),this.sessionTimer=setInterval((()=>this.updateSession()),window.writingSession.sampleInterval),this.showSession(),this.showSessionStatus("Writing session started."))}recordSessionCount(t){const e=this.editedAt;this.editedAt=null,e&&this.session&&null===this.session.endedAt&&(e<this.session.startedAt?this.session=window.writingSession.startWritingSession(t.words.count,this.session.startedAt):this.sessionEdit={words:t.words.count,time:e})}updateSession(){this.sessionEdit&&(this.session=window.writingSession.recordWritingSample(this.session,this.sessionEdit.words,this.sessionEdit.time),this.sessionEdit=null),this.showSession()}stopSession(){if(!this.session||null!==this.session.endedAt)return;clearInterval(this.sessionTimer),this.updateSession(),this.session=window.writingSession.stopWritingSession(this.session),this.showSession();const t=window.writingSession.summarizeWritingSession(this.session);this.showSessionStatus(`Writing session stopped: ${t.net.toLocaleString()} net ${1===Math.abs(t.net)?"word":"words"} in ${window.textProcessor.formatTimestamp(t.duration/1e3)}.`)}handleSessionExport(){this.session&&(null===this.session.endedAt&&this.updateSession(),window.reportExporter.downloadFile(window.writingSession.formatSessionCsv(this.session)))}showSession(){const t=this.session,e=t&&null===t.endedAt,s=this.getElement("session-toggle"),n=this.getElement("session-export"),i=this.getElement("session-state"),o=this.getElement("session-line");if(s&&(s.textContent=e?"Stop session":"Start session",s.setAttribute("aria-pressed",e)),n&&(t?n.removeAttribute("disabled"):n.setAttribute("disabled",!0)),i&&(i.textContent=t?e?"Recording":"Stopped":"Not started"),!t)return;const a=window.writingSession.summarizeWritingSession(t),r=t=>window.textProcessor.formatTimestamp(t/1e3);[["session-written",a.written.toLocaleString()],["session-deleted",a.deleted.toLocaleString()],["session-wpm",a.wordsPerMinute.toLocaleString(void 0,{maximumFractionDigits:1})],["session-active",r(a.activeTime)],["session-idle",r(a.idleTime)],["session-elapsed",r(a.duration)]].forEach((([t,e])=>{const s=this.getElement(t);s&&(s.textContent=e)})),o&&o.setAttribute("points",window.writingSession.getSessionSparkline(t,200,36))}showSessionStatus(t){const e=this.getElement("session-status");e&&(e.textContent=t)}initDrafts(){const t=this.getElement("text-input");t&&window.drafts&&(window.drafts.subscribe((e=>{"open"===e.type&&(this.stopSession(),this.setTargets(e.draft.targets),t.value=e.draft.text,t.dispatchEvent(new Event("input",{bubbles:!0})))})),t.addEventListener("input",(()=>window.drafts.save(t.value))),this.draftsLoaded=window.drafts.load().catch((t=>console.error("Cannot load draft:",t))))}initShare(){const t=this.getElement("share-btn");t&&t.addEventListener("click",this.handleShare.bind(this)),window.addEventListener("hashchange",(()=>this.restoreShareLink())),(this.draftsLoaded||Promise.resolve()).then((()=>this.restoreShareLink()))}async handleShare(){const t=this.getElement("text-input");if(t)if(t.value.trim())try{const e=await window.shareLink.createShareLink(t.value,this.getShareSettings());try{await navigator.clipboard.writeText(e),this.showShareStatus("Link copied. Anyone who opens it sees this text with these settings.")}catch(t){history.replaceState(null,"",e),this.showShareStatus("Copy the link from the address bar to share this text.")}}catch(t){console.error("Cannot create share link:",t),this.showShareStatus(t.message,!0)}else this.showShareStatus("Type or paste some text to share first.",!0)}async restoreShareLink(){const t=this.getElement("text-input");if(t&&window.shareLink.isShareHash(location.hash)){try{const e=await window.shareLink.readShareLink(location.hash);this.applyShareSettings(e.settings),window.drafts&&await window.drafts.create("Shared text"),t.value=e.text,t.dispatchEvent(new Event("input",{bubbles:!0})),this.showShareStatus("Opened shared text as a new draft.")}catch(t){console.error("Cannot open share link:",t),this.showShareStatus(t.message,!0)}history.replaceState(null,"",location.pathname+location.search)}}setControl(t,e,s="change"){const n=this.getElement(t);if(!n||null==e)return;const i=n.value;n.value=e,String(n.value)===String(e)?n.dispatchEvent(new Event(s,{bubbles:!0})):n.value=i}showShareStatus(t,e=!1){const s=this.getElement("share-status");s&&(s.textContent=t,s.classList.remove("hidden"),s.classList.toggle("text-red-600",e),s.classList.toggle("text-text-muted",!e))}initImport(){const t=this.getElement("import-btn"),e=this.getElement("import-file"),s=this.getElement("text-drop-zone");e&&(e.accept=window.fileImporter.acceptedFileTypes.join(","),e.addEventListener("change",this.handleImportSelect.bind(this))),t&&e&&t.addEventListener("click",(()=>e.click())),s&&(s.addEventListener("dragover",this.handleDragOver.bind(this)),s.addEventListener("dragleave",this.handleDragLeave.bind(this)),s.addEventListener("drop",this.handleDrop.bind(this)))}hasDraggedFiles(t){return!!t.dataTransfer&&Array.from(t.dataTransfer.types).includes("Files")}handleDragOver(t){if(!this.hasDraggedFiles(t))return;t.preventDefault(),t.dataTransfer.dropEffect="copy";const e=this.getElement("text-drop-zone");e&&e.classList.add("ring-4","ring-primary/30","border-primary")}handleDragLeave(t){const e=this.getElement("text-drop-zone");e&&!e.contains(t.relatedTarget)&&e.classList.remove("ring-4","ring-primary/30","border-primary")}handleDrop(t){if(!this.hasDraggedFiles(t))return;t.preventDefault(),this.handleDragLeave({relatedTarget:null});const e=t.dataTransfer.files[0];e&&this.importFile(e)}handleImportSelect(t){const e=t.target.files&&t.target.files[0];e&&this.importFile(e),t.target.value=""}async importFile(t){const e=this.getElement("text-input");if(e)try{this.showImportStatus(`Opening ${t.name}…`);const s=await window.fileImporter.importFile(t);e.value=s.text,e.dispatchEvent(new Event("input",{bubbles:!0})),this.showImportStatus(`Opened ${s.name}`)}catch(t){console.error("Cannot import file:",t),this.showImportStatus(t.message,!0)}}showImportStatus(t,e=!1){const s=this.getElement("import-status");s&&(s.textContent=t,s.classList.remove("hidden"),s.classList.toggle("text-red-600",e),s.classList.toggle("text-text-muted",!e))}showCharacterCount(t){const e=this.getElement("char-count");if(e){const s=t.characters.total;e.textContent=s.toLocaleString(),this.showSocialLimits(t)}}showCharacterCountNoSpaces(t){const e=this.getElement("char-count-no-spaces");e&&(e.textContent=t.characters.noSpaces.toLocaleString())}showAverageCharactersPerWord(t){const e=this.getElement("char-density");e&&(e.textContent=t.words.averageLength.toLocaleString())}showSpecialCharacterCount(t){const e=this.getElement("special-char-count");e&&(e.textContent=t.characters.special.toLocaleString())}initSocialProfiles(){const t=this.getElement("social-profile-form"),e=this.getElement("social-profile-counting");window.textProcessor.loadSocialProfiles(),e&&e.replaceChildren(...window.textProcessor.countingMethods.map((t=>new Option(t.name,t.id)))),t&&t.addEventListener("submit",this.handleSocialProfileSubmit.bind(this)),this.renderSocialProfiles()}renderSocialProfiles(){const t=this.getElement("social-profiles"),e=this.getElement("social-profile-template");t&&e&&(t.replaceChildren(...window.textProcessor.getSocialProfiles().map((t=>{const s=e.content.firstElementChild.cloneNode(!0),n=`social-${t.id}`,i=s.querySelector(".social-profile-name"),o=s.querySelector(".social-profile-count"),a=s.querySelector(".social-profile-description"),r=s.querySelector(".social-profile-limit-field"),l=s.querySelector(".social-profile-limit-input"),c=s.querySelector(".social-profile-remove");return s.dataset.profile=t.id,s.setAttribute("aria-labelledby",`${n}-heading`),i.id=`${n}-heading`,i.textContent=`${t.icon} ${t.name}`,a.id=`${n}-description`,a.textContent=t.description,o.setAttribute("aria-describedby",a.id),t.editableLimit&&(r.classList.remove("hidden"),r.classList.add("flex"),l.value=t.limit,l.addEventListener("change",(()=>this.handleSocialLimitChange(t.id,l)))),t.custom&&(c.classList.remove("hidden"),c.setAttribute("aria-label",`Remove ${t.name}`),c.addEventListener("click",(()=>{window.textProcessor.removeSocialProfile(t.id),this.renderSocialProfiles()}))),s}))),this.showSocialLimits(this.analysis))}showSocialLimits(t){const e=this.getElement("social-profiles");if(!e)return;const s=t&&t.social,n=(t,e)=>`${t.toLocaleString()} ${1===t?e:e+"s"}`,i=(t,e)=>null==t.limit?n(t.count,e):`${t.count.toLocaleString()} / ${n(t.limit,e)}`;e.querySelectorAll("[data-profile]").forEach((t=>{const e=window.textProcessor.getSocialProfile(t.dataset.profile);if(!e)return;const n=s?window.textProcessor.measureSocialPost(s,e):{remaining:e.limit,status:"ok",hashtags:{count:0,limit:e.hashtagLimit,status:"ok"},mentions:{count:0,limit:e.mentionLimit,status:"ok"}},o=t.querySelector(".social-profile-remaining"),a=t.querySelector(".social-profile-tags"),r=[];o.textContent=n.remaining.toLocaleString(),o.classList.toggle("text-red-500","over"===n.status),o.classList.toggle("text-yellow-500","warning"===n.status),t.querySelector(".social-profile-limit").textContent=`/ ${e.limit.toLocaleString()}`,(n.hashtags.count>0||null!=n.hashtags.limit)&&r.push([i(n.hashtags,"hashtag"),n.hashtags.status]),(n.mentions.count>0||null!=n.mentions.limit)&&r.push([i(n.mentions,"mention"),n.mentions.status]),a.replaceChildren(...r.flatMap((([t,e],s)=>{const n=document.createElement("span");return n.textContent=t,"over"===e&&n.classList.add("text-red-600","font-semibold"),s>0?[" · ",n]:[n]}))),a.classList.toggle("hidden",0===r.length)}))}handleSocialLimitChange(t,e){try{window.textProcessor.setSocialProfileLimit(t,e.value),this.showSocialLimits(this.analysis)}catch(s){console.error("Cannot change limit:",s),e.value=window.textProcessor.getSocialProfile(t).limit}}handleSocialProfileSubmit(t){t.preventDefault();const e=t.target,s=this.getElement("social-profile-error"),n=Object.fromEntries(new FormData(e));try{window.textProcessor.addSocialProfile(n),e.reset(),s&&s.classList.add("hidden"),this.renderSocialProfiles()}catch(t){s&&(s.textContent=t.message,s.classList.remove("hidden"))}}initSms(){const t=this.getElement("sms-replace-btn");t&&t.addEventListener("click",this.handleSmsReplace.bind(this))}handleSmsReplace(){const t=this.getElement("text-input");t&&(t.value=window.textProcessor.replaceSmsCharacters(t.value),t.dispatchEvent(new Event("input",{bubbles:!0})))}initByteBudget(){const t=this.getElement("byte-budget"),e=this.getElement("byte-budget-encoding"),s=this.getElement("byte-budget-select"),n=this.getElement("byte-budget-truncate");t&&t.addEventListener("input",this.showByteBudget.bind(this)),e&&e.addEventListener("change",this.showByteBudget.bind(this)),s&&s.addEventListener("click",this.handleByteBudgetSelect.bind(this)),n&&n.addEventListener("click",this.handleByteBudgetTruncate.bind(this))}getByteBudget(){const t=this.getElement("byte-budget"),e=this.getElement("byte-budget-encoding"),s=t?Number.parseInt(t.value,10):NaN;return Number.isInteger(s)&&s>=0?{limit:s,encoding:e?e.value:"utf-8"}:null}findByteBudgetCut(t){const e=this.getByteBudget();if(!e)return null;const s=window.textProcessor.findByteLimit(t,e.limit,e.encoding,!0);return{...e,...s,total:s.fits?s.bytes:s.unencodable?null:s.bytes+window.textProcessor.getByteLength(t.slice(s.offset),e.encoding)}}handleByteBudgetSelect(){const t=this.getElement("text-input"),e=t&&this.findByteBudgetCut(t.value);e&&!e.fits&&(t.focus(),t.setSelectionRange(e.offset,t.value.length,"backward"))}handleByteBudgetTruncate(){const t=this.getElement("text-input"),e=t&&this.findByteBudgetCut(t.value);e&&!e.fits&&(t.value=t.value.slice(0,e.offset),t.dispatchEvent(new Event("input",{bubbles:!0})))}showByteLengths(t){const e=t.bytes,s=this.getElement("bytes-utf8"),n=this.getElement("bytes-utf16"),i=this.getElement("bytes-utf32"),o=this.getElement("bytes-legacy"),a=this.getElement("bytes-legacy-note");s&&(s.textContent=e.utf8.toLocaleString()),n&&(n.textContent=e.utf16.toLocaleString()),i&&(i.textContent=e.utf32.toLocaleString()),o&&(o.textContent=null!==e.latin1?"Latin-1":null!==e.windows1252?"Windows-1252":"Unicode only"),a&&(a.textContent=null!==e.latin1?`${e.latin1.toLocaleString()} bytes in Latin-1 and Windows-1252`:null!==e.windows1252?`${e.windows1252.toLocaleString()} bytes; Latin-1 has no curly quotes, dashes or €`:"Some characters can't be stored in Latin-1 or Windows-1252"),this.showByteBudget()}showByteBudget(){const t=this.getElement("text-input"),e=this.getElement("byte-budget-result"),s=this.getElement("byte-budget-preview"),n=this.getElement("byte-budget-actions");if(!t||!e)return;const i=t.value,o=this.findByteBudgetCut(i),a=o&&!o.fits;if(s&&s.classList.toggle("hidden",!a),n&&n.classList.toggle("hidden",!a),!o)return void(e.textContent="Enter a limit to see where the text crosses it.");if(o.fits)return void(e.textContent=`Fits: ${o.total.toLocaleString()} of ${o.limit.toLocaleString()} bytes, ${(o.limit-o.total).toLocaleString()} to spare.`);const r=i.slice(0,o.offset),l=r.split("\n").length,c=Array.from(r.slice(r.lastIndexOf("\n")+1)).length+1;if(e.textContent=o.unencodable?`${{latin1:"Latin-1","windows-1252":"Windows-1252"}[o.encoding]} cannot store “${o.unencodable}” at line ${l.toLocaleString()}, character ${c.toLocaleString()}. Cut before it to keep the first ${o.bytes.toLocaleString()} bytes, or choose a Unicode encoding.`:`${(o.total-o.limit).toLocaleString()} bytes over. The text crosses the limit at line ${l.toLocaleString()}, character ${c.toLocaleString()}. Cut before it to keep the first ${o.bytes.toLocaleString()} bytes without splitting a character.`,!s)return;let h=Math.max(0,o.offset-40),d=Math.min(i.length,o.offset+40);/[\uDC00-\uDFFF]/.test(i.charAt(h))&&h++,/[\uD800-\uDBFF]/.test(i.charAt(d-1))&&d++;const u=document.createElement("mark");u.classList.add("bg-red-100","text-red-700","rounded"),u.textContent=i.slice(o.offset,d)+(d<i.length?"…":""),s.replaceChildren((h>0?"…":"")+i.slice(h,o.offset),u)}showSmsSegments(t){const e=t.sms,s="GSM-7"===e.encoding,n=this.getElement("sms-encoding"),i=this.getElement("sms-encoding-note"),o=this.getElement("sms-units"),a=this.getElement("sms-units-label"),r=this.getElement("sms-segments"),l=this.getElement("sms-per-segment"),c=this.getElement("sms-remaining"),h=this.getElement("sms-unicode"),d=this.getElement("sms-unicode-list"),u=this.getElement("sms-replace-btn"),g=this.getElement("sms-replace-note");if(n&&(n.textContent=e.encoding),i&&(i.textContent=s?"Standard 7-bit SMS alphabet":"Unicode, for characters outside the SMS alphabet"),o&&(o.textContent=e.units.toLocaleString()),a&&(a.textContent=s?"septets, extended characters count twice":"UTF-16 code units, emoji count twice"),r&&(r.textContent=e.segments.toLocaleString()),l&&(l.textContent=`${e.perSegment} per ${e.segments>1?"segment":"message"}`),c&&(c.textContent=e.remaining.toLocaleString()),!h||!d)return;const m=e.unicodeCharacters.filter((t=>null!==t.replacement)).length;d.replaceChildren(...e.unicodeCharacters.slice(0,50).map((t=>{const e=document.createElement("li"),s=document.createElement("span");return e.classList.add("px-2","py-1","rounded-md","bg-background","border","border-border","text-sm","text-text-primary"),s.classList.add("font-mono"),s.textContent=/^[\s\p{Cf}]$/u.test(t.character)?`U+${t.character.codePointAt(0).toString(16).toUpperCase().padStart(4,"0")}`:t.character,e.append(s,` ×${t.count.toLocaleString()}`,null!==t.replacement?` → ${""===t.replacement?"removed":t.replacement}`:""),e}))),h.classList.toggle("hidden",s),u&&u.classList.toggle("hidden",0===m),g&&(g.textContent=m===e.unicodeCharacters.length?"Replacing them keeps the message in GSM-7.":"Characters without a GSM-7 look-alike, such as emoji, still need Unicode.",g.classList.toggle("hidden",0===m))}showLettersCount(t){const e=this.getElement("letters-count");e&&(e.textContent=t.characters.letters.toLocaleString())}showUppercaseCount(t){const e=this.getElement("uppercase-count");e&&(e.textContent=t.characters.upperCase.toLocaleString())}showLowercaseCount(t){const e=this.getElement("lowercase-count");e&&(e.textContent=t.characters.lowerCase.toLocaleString())}showNumbersCount(t){const e=this.getElement("numbers-count");e&&(e.textContent=t.characters.numbers.toLocaleString())}showWhitespaceCount(t){const e=this.getElement("whitespace-count");e&&(e.textContent=t.characters.whitespace.toLocaleString())}showSpacesCount(t){const e=this.getElement("spaces-count");e&&(e.textContent=t.characters.spaces.toLocaleString())}showTabsCount(t){const e=this.getElement("tabs-count");e&&(e.textContent=t.characters.tabs.toLocaleString())}showLinebreaksCount(t){const e=this.getElement("linebreaks-count");e&&(e.textContent=t.characters.newLines.toLocaleString())}showPunctuationCount(t){const e=this.getElement("punctuation-count");e&&(e.textContent=t.characters.punctuation.toLocaleString())}showEmojiCount(t){const e=this.getElement("emoji-count");if(e){const s=t.characters.emoji;e.textContent=s.toLocaleString()}}showVowelsCount(t){const e=this.getElement("vowels-count");e&&(e.textContent=t.characters.vowels.toLocaleString())}showConsonantsCount(t){const e=this.getElement("consonants-count");e&&(e.textContent=t.characters.consonants.toLocaleString())}showAsciiCount(t){const e=this.getElement("ascii-count");e&&(e.textContent=t.characters.ascii.toLocaleString())}showNonAsciiCount(t){const e=this.getElement("non-ascii-count");e&&(e.textContent=t.characters.nonAscii.toLocaleString())}}(new CharacterCounter).init();
\ No newline at end of file
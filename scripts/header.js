@@ -1 +1 @@
-document.addEventListener("DOMContentLoaded",(function(){const e=document.querySelector(".mobile-menu-toggle"),t=document.querySelector(".nav-menu"),s=document.querySelector(".tools-dropdown-toggle"),a=document.querySelector(".tools-dropdown-menu"),o=document.querySelector(".more-dropdown-toggle"),r=document.querySelector(".more-dropdown-menu");function n(e,t){if(!e||!t)return;let s;e.parentElement.addEventListener("mouseenter",(function(){clearTimeout(s),t.classList.remove("opacity-0","invisible","translate-y-1"),t.classList.add("opacity-100","visible","translate-y-0"),e.setAttribute("aria-expanded","true")})),e.parentElement.addEventListener("mouseleave",(function(){s=setTimeout((()=>{t.classList.add("opacity-0","invisible","translate-y-1"),t.classList.remove("opacity-100","visible","translate-y-0"),e.setAttribute("aria-expanded","false")}),150)})),e.addEventListener("keydown",(function(e){if("Enter"===e.key||" "===e.key){e.preventDefault();const s="true"===this.getAttribute("aria-expanded");if(i(),!s){t.classList.remove("opacity-0","invisible","translate-y-1"),t.classList.add("opacity-100","visible","translate-y-0"),this.setAttribute("aria-expanded","true");const e=t.querySelector('[role="menuitem"]');e&&setTimeout((()=>e.focus()),100)}}else"Escape"===e.key&&(i(),this.focus())})),t.addEventListener("keydown",(function(s){const a=Array.from(t.querySelectorAll('[role="menuitem"]')),o=a.indexOf(document.activeElement);if("ArrowDown"===s.key){s.preventDefault();a[o<a.length-1?o+1:0].focus()}else if("ArrowUp"===s.key){s.preventDefault();a[o>0?o-1:a.length-1].focus()}else"Escape"===s.key&&(i(),e.focus())}))}function i(){[a,r].forEach((e=>{e&&(e.classList.add("opacity-0","invisible","translate-y-1"),e.classList.remove("opacity-100","visible","translate-y-0"))})),[s,o].forEach((e=>{e&&e.setAttribute("aria-expanded","false")}))}if(e&&t&&e.addEventListener("click",(function(e){e.stopPropagation();const s="true"===this.getAttribute("aria-pressed");t.classList.contains("hidden")?(t.classList.remove("hidden"),t.classList.add("block")):(t.classList.add("hidden"),t.classList.remove("block")),this.setAttribute("aria-pressed",!s),this.setAttribute("aria-expanded",!s),window.innerWidth<1024&&(document.body.style.overflow=s?"":"hidden")})),n(s,a),n(o,r),document.addEventListener("click",(function(s){const a=s.target.closest(".group"),o=e?.contains(s.target)||t?.contains(s.target);a||i(),o||!t||t.classList.contains("hidden")||(t.classList.add("hidden"),t.classList.remove("block"),e.setAttribute("aria-pressed","false"),e.setAttribute("aria-expanded","false"),document.body.style.overflow="")})),t){t.querySelectorAll("a").forEach((s=>{s.addEventListener("click",(()=>{t.classList.add("hidden"),t.classList.remove("block"),e.setAttribute("aria-pressed","false"),e.setAttribute("aria-expanded","false"),document.body.style.overflow=""}))}))}window.addEventListener("resize",(function(){window.innerWidth>=1024?t&&!t.classList.contains("hidden")&&(t.classList.add("hidden"),t.classList.remove("block"),e.setAttribute("aria-pressed","false"),e.setAttribute("aria-expanded","false"),document.body.style.overflow=""):i()})),document.querySelectorAll('a[href^="#"]').forEach((e=>{e.addEventListener("click",(function(e){e.preventDefault();const t=document.querySelector(this.getAttribute("href"));t&&t.scrollIntoView({behavior:"smooth",block:"start"})}))})),setTimeout((function(){const e=window.location.pathname,t=document.querySelectorAll("header nav a[href], .nav-menu a[href]");t.forEach((e=>{e.classList.contains("logo")||(e.classList.remove("text-blue-600","bg-blue-50","font-semibold"),e.classList.add("text-gray-600"),e.removeAttribute("aria-current"),e.classList.remove("after:absolute","after:bottom-0","after:left-1/2","after:-translate-x-1/2","after:w-5","after:h-0.5","after:bg-blue-600","after:rounded-sm"),e.closest(".tools-dropdown-menu")||e.closest(".more-dropdown-menu")?(e.classList.remove("text-blue-600","bg-blue-50"),e.classList.add("text-gray-700"),e.className=e.className.replace(/hover:bg-blue-\d+/g,"hover:bg-blue-50"),e.className=e.className.replace(/hover:text-blue-\d+/g,"hover:text-blue-600")):(e.closest(".nav-menu"),e.classList.remove("text-blue-600","bg-blue-50"),e.classList.add("text-gray-600")))})),t.forEach((t=>{try{if(t.classList.contains("logo"))return;const s=new URL(t.href,window.location.origin).pathname.replace(/\/$/,"")||"/";s===(e.replace(/\/$/,"")||"/")&&(t.classList.add("text-blue-600","bg-blue-50","font-semibold"),t.classList.remove("text-gray-600","text-gray-700"),t.setAttribute("aria-current","page"),t.closest(".nav-menu")||t.closest(".tools-dropdown-menu")||t.closest(".more-dropdown-menu")||t.classList.add("after:absolute","after:bottom-0","after:left-1/2","after:-translate-x-1/2","after:w-5","after:h-0.5","after:bg-blue-600","after:rounded-sm"))}catch(e){}}))}),100)}));
\ No newline at end of file
+document.addEventListener("DOMContentLoaded",(function(){const e=document.querySelector(".mobile-menu-toggle"),t=document.querySelector(".nav-menu"),a=document.querySelector(".tools-dropdown-toggle"),s=document.querySelector(".tools-dropdown-menu"),n=document.querySelector(".more-dropdown-toggle"),r=document.querySelector(".more-dropdown-menu");function o(e,t){if(!e||!t)return;let a;e.parentElement.addEventListener("mouseenter",(function(){clearTimeout(a),t.classList.remove("opacity-0","invisible","translate-y-1"),t.classList.add("opacity-100","visible","translate-y-0"),e.setAttribute("aria-expanded","true")})),e.parentElement.addEventListener("mouseleave",(function(){a=setTimeout((()=>{t.classList.add("opacity-0","invisible","translate-y-1"),t.classList.remove("opacity-100","visible","translate-y-0"),e.setAttribute("aria-expanded","false")}),150)})),e.addEventListener("keydown",(function(e){if("Enter"===e.key||" "===e.key){e.preventDefault();const a="true"===this.getAttribute("aria-expanded");if(i(),!a){t.classList.remove("opacity-0","invisible","translate-y-1"),t.classList.add("opacity-100","visible","translate-y-0"),this.setAttribute("aria-expanded","true");const e=t.querySelector('[role="menuitem"]');e&&setTimeout((()=>e.focus()),100)}}else"Escape"===e.key&&(i(),this.focus())})),t.addEventListener("keydown",(function(a){const s=Array.from(t.querySelectorAll('[role="menuitem"]')),n=s.indexOf(document.activeElement);"ArrowDown"===a.key?(a.preventDefault(),s[n<s.length-1?n+1:0].focus()):"ArrowUp"===a.key?(a.preventDefault(),s[n>0?n-1:s.length-1].focus()):"Escape"===a.key&&(i(),e.focus())}))}function i(){[s,r].forEach((e=>{e&&(e.classList.add("opacity-0","invisible","translate-y-1"),e.classList.remove("opacity-100","visible","translate-y-0"))})),[a,n].forEach((e=>{e&&e.setAttribute("aria-expanded","false")}))}e&&t&&e.addEventListener("click",(function(e){e.stopPropagation();const a="true"===this.getAttribute("aria-pressed");t.classList.contains("hidden")?(t.classList.remove("hidden"),t.classList.add("block")):(t.classList.add("hidden"),t.classList.remove("block")),this.setAttribute("aria-pressed",!a),this.setAttribute("aria-expanded",!a),window.innerWidth<1024&&(document.body.style.overflow=a?"":"hidden")})),o(a,s),o(n,r),document.addEventListener("click",(function(a){const s=a.target.closest(".group"),n=e?.contains(a.target)||t?.contains(a.target);s||i(),n||!t||t.classList.contains("hidden")||(t.classList.add("hidden"),t.classList.remove("block"),e.setAttribute("aria-pressed","false"),e.setAttribute("aria-expanded","false"),document.body.style.overflow="")})),t&&t.querySelectorAll("a").forEach((a=>{a.addEventListener("click",(()=>{t.classList.add("hidden"),t.classList.remove("block"),e.setAttribute("aria-pressed","false"),e.setAttribute("aria-expanded","false"),document.body.style.overflow=""}))})),window.addEventListener("resize",(function(){window.innerWidth>=1024?t&&!t.classList.contains("hidden")&&(t.classList.add("hidden"),t.classList.remove("block"),e.setAttribute("aria-pressed","false"),e.setAttribute("aria-expanded","false"),document.body.style.overflow=""):i()})),document.querySelectorAll('a[href^="#"]').forEach((e=>{e.addEventListener("click",(function(e){e.preventDefault();const t=document.querySelector(this.getAttribute("href"));t&&t.scrollIntoView({behavior:"smooth",block:"start"})}))})),setTimeout((function(){const e=window.location.pathname,t=document.querySelectorAll("header nav a[href], .nav-menu a[href]");t.forEach((e=>{e.classList.contains("logo")||(e.classList.remove("text-blue-600","bg-blue-50","font-semibold"),e.classList.add("text-gray-600"),e.removeAttribute("aria-current"),e.classList.remove("after:absolute","after:bottom-0","after:left-1/2","after:-translate-x-1/2","after:w-5","after:h-0.5","after:bg-blue-600","after:rounded-sm"),e.closest(".tools-dropdown-menu")||e.closest(".more-dropdown-menu")?(e.classList.remove("text-blue-600","bg-blue-50"),e.classList.add("text-gray-700"),e.className=e.className.replace(/hover:bg-blue-\d+/g,"hover:bg-blue-50"),e.className=e.className.replace(/hover:text-blue-\d+/g,"hover:text-blue-600")):(e.closest(".nav-menu"),e.classList.remove("text-blue-600","bg-blue-50"),e.classList.add("text-gray-600")))})),t.forEach((t=>{try{if(t.classList.contains("logo"))return;(new URL(t.href,window.location.origin).pathname.replace(/\/$/,"")||"/")===(e.replace(/\/$/,"")||"/")&&(t.classList.add("text-blue-600","bg-blue-50","font-semibold"),t.classList.remove("text-gray-600","text-gray-700"),t.setAttribute("aria-current","page"),t.closest(".nav-menu")||t.closest(".tools-dropdown-menu")||t.closest(".more-dropdown-menu")||t.classList.add("after:absolute","after:bottom-0","after:left-1/2","after:-translate-x-1/2","after:w-5","after:h-0.5","after:bg-blue-600","after:rounded-sm"))}catch(e){}}))}),100);const l=document.querySelector(".draft-switcher"),c=document.getElementById("draft-select");if(l&&c&&window.drafts){const u=window.drafts;function d(e,t){const a=document.createElement("optgroup");a.label="Manage drafts",a.append(new Option("New draft","action:new"),new Option("Rename draft…","action:rename"),new Option("Delete draft…","action:delete")),c.replaceChildren(...e.map((e=>new Option(e.name,e.id,!1,!!t&&e.id===t.id))),a),t&&(c.value=t.id)}u.subscribe((e=>{"list"===e.type&&d(e.drafts,e.current)})),u.list().then((e=>d(e,u.current()))),u.isPersistent().then((e=>{c.title=e?"Drafts are saved in this browser only":"Drafts are kept until you close this page"})),c.addEventListener("change",(async function(){const e=this.value,t=u.current();try{if("action:new"===e)await u.create();else if("action:rename"===e){const e=t&&prompt("Rename draft",t.name);e&&await u.rename(t.id,e)}else"action:delete"===e?t&&confirm(`Delete "${t.name}"? This cannot be undone.`)&&await u.remove(t.id):await u.switchTo(e)}catch(e){console.error("Cannot update drafts:",e)}const a=u.current();a&&(this.value=a.id)})),l.classList.remove("hidden"),l.classList.add("flex")}}));
\ No newline at end of file
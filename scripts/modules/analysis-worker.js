@@ -0,0 +1,32 @@
+import { createAnalysisCache } from "./text-processor.js";
+import { runAnalysis } from "./text-analyzer.js";
+
+/**
+ * Id of the newest request; anything older is stale and is abandoned at the
+ * next stage boundary.
+ */
+let latestId = 0;
+
+/**
+ * Paragraph cache shared by every request, so each edit only re-analyzes the
+ * paragraphs it changed.
+ */
+const cache = createAnalysisCache();
+
+self.addEventListener("message", (event) => {
+  latestId = event.data.id;
+
+  if (event.data.cancel) return;
+
+  runAnalysis(
+    event.data,
+    (id) => id !== latestId,
+    (message) => {
+      self.postMessage(message);
+    },
+    cache
+  ).catch((error) => {
+    console.error("Error analyzing text:", error);
+    self.postMessage({ id: event.data.id, done: true });
+  });
+});
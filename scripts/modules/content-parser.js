@@ -0,0 +1,704 @@
+/**
+ * Content formats understood by {@link parseContent}.
+ */
+export const contentFormats = [
+  { code: "plain", name: "Plain text" },
+  { code: "markdown", name: "Markdown" },
+  { code: "html", name: "HTML" },
+];
+
+/**
+ * Named character references decoded by {@link decodeEntities}. Anything else
+ * is left as written.
+ */
+const namedEntities = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0",
+  ensp: "\u2002", emsp: "\u2003", thinsp: "\u2009", shy: "",
+  ndash: "–", mdash: "—", hellip: "…", bull: "•",
+  middot: "·", lsquo: "‘", rsquo: "’", sbquo: "‚",
+  ldquo: "“", rdquo: "”", bdquo: "„", laquo: "«",
+  raquo: "»", copy: "©", reg: "®", trade: "™",
+  deg: "°", euro: "€", pound: "£", yen: "¥",
+  cent: "¢", sect: "§", para: "¶", times: "×",
+  divide: "÷", iexcl: "¡", iquest: "¿",
+};
+
+/**
+ * HTML elements that start a new paragraph of text.
+ */
+export const htmlBlockElements = new Set([
+  "address", "article", "aside", "blockquote", "caption", "dd", "details",
+  "dialog", "div", "dl", "dt", "fieldset", "figcaption", "figure", "footer",
+  "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hgroup", "hr", "li",
+  "main", "nav", "ol", "p", "pre", "section", "summary", "table", "tr", "ul",
+]);
+
+/**
+ * HTML elements whose content is never visible text.
+ */
+export const htmlHiddenElements = new Set([
+  "head", "script", "style", "template", "noscript", "svg", "math", "iframe",
+  "object", "canvas", "select", "textarea",
+]);
+
+/**
+ * HTML elements holding code, which is counted apart from the prose.
+ */
+const htmlCodeElements = new Set(["pre", "code", "kbd", "samp"]);
+
+/**
+ * HTML elements that put their content on a line of its own within a
+ * paragraph, so that each list item reads as a sentence of its own.
+ */
+const htmlLineElements = new Set(["li", "dt", "dd"]);
+
+/**
+ * HTML elements that are cells of a table row. They are separated by tabs
+ * rather than put on lines of their own, so that a row reads as one
+ * sentence.
+ */
+const htmlCellElements = new Set(["td", "th"]);
+
+/**
+ * Decode HTML and XML character references, numeric and named.
+ *
+ * @param {*} text - string
+ * @returns {string} - decoded text
+ */
+export const decodeEntities = (text) =>
+  text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, name) => {
+    if (name[0] === "#") {
+      const codePoint = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return Object.hasOwn(namedEntities, name) ? namedEntities[name] : entity;
+  });
+
+/**
+ * Split markup into tags and the text between them.
+ *
+ * @param {*} markup - string of HTML or XML
+ * @returns Generator of {tag, name, closing, selfClosing, attributes, start, end}
+ *   and {text, start, end} tokens
+ */
+export function* tokenizeMarkup(markup) {
+  const pattern = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)|<[!?][^>]*>?|<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let offset = 0;
+  let match;
+
+  while ((match = pattern.exec(markup)) !== null) {
+    if (match.index > offset) {
+      yield { text: markup.slice(offset, match.index), start: offset, end: match.index };
+    }
+    offset = pattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      yield { text: match[1], cdata: true, start: match.index + 9, end: match.index + 9 + match[1].length };
+    } else if (match[3] !== undefined) {
+      yield {
+        tag: match[0],
+        name: match[3].toLowerCase(),
+        closing: match[2] === "/",
+        selfClosing: /\/\s*$/.test(match[4]),
+        attributes: match[4],
+        start: match.index,
+        end: offset,
+      };
+    }
+  }
+
+  if (offset < markup.length) {
+    yield { text: markup.slice(offset), start: offset, end: markup.length };
+  }
+}
+
+/**
+ * Helper function to build the prose of a marked-up text while remembering
+ * where every part of it came from.
+ *
+ * Whitespace at the edges of copied text is collapsed into single spaces,
+ * and breaks between lines and paragraphs are only written once more text
+ * follows, so the prose never starts or ends with whitespace.
+ *
+ * @returns {Object} - builder
+ */
+const createProseBuilder = () => {
+  let text = "";
+  const runs = [];
+  let pendingBreak = null;
+  let pendingSpace = null;
+
+  const addRun = (value, start, end, verbatim) => {
+    runs.push({ prose: text.length, length: value.length, source: start, sourceEnd: end, verbatim });
+    text += value;
+  };
+
+  const flush = () => {
+    if (text.length > 0) {
+      if (pendingBreak) {
+        addRun(pendingBreak.count > 0 ? "\n".repeat(pendingBreak.count) : "\t", pendingBreak.at, pendingBreak.at, false);
+      } else if (pendingSpace !== null) {
+        addRun(" ", pendingSpace, pendingSpace + 1, false);
+      }
+    }
+    pendingBreak = null;
+    pendingSpace = null;
+  };
+
+  const requestBreak = (count, at) => {
+    if (!pendingBreak || pendingBreak.count < count) pendingBreak = { count, at };
+  };
+
+  return {
+    // Separate what follows by a space, a tab between table cells, a new
+    // line or a new paragraph
+    space: (at) => {
+      if (pendingSpace === null) pendingSpace = at;
+    },
+    cellBreak: (at) => requestBreak(0, at),
+    lineBreak: (at) => requestBreak(1, at),
+    blockBreak: (at) => requestBreak(2, at),
+
+    // Copy source text, as is apart from the whitespace at its edges
+    copy: (source, start, end) => {
+      const value = source.slice(start, end);
+      const leading = value.search(/\S|$/);
+      const trailing = value.search(/\s*$/);
+
+      if (leading > 0 || leading === value.length) pendingSpace ??= start;
+      if (leading === value.length) return;
+
+      flush();
+      addRun(value.slice(leading, trailing), start + leading, start + trailing, true);
+      if (trailing < value.length) pendingSpace = start + trailing;
+    },
+
+    // Write text that stands for source text, such as a decoded entity
+    insert: (value, start, end) => {
+      if (!value) return;
+      flush();
+      addRun(value, start, end, false);
+    },
+
+    // Offset in the prose where the next text will be written
+    mark: () =>
+      text.length +
+      (text.length > 0 ? (pendingBreak ? Math.max(pendingBreak.count, 1) : pendingSpace !== null ? 1 : 0) : 0),
+
+    length: () => text.length,
+
+    build: () => ({ text, runs }),
+  };
+};
+
+/**
+ * Helper function to map an offset in the prose back to the source text.
+ *
+ * @param {*} runs - runs from the prose builder
+ * @param {*} offset - number
+ * @param {*} isEnd - boolean, the offset ends a span
+ * @returns number
+ */
+const mapOffset = (runs, offset, isEnd) => {
+  if (runs.length === 0) return 0;
+
+  const position = isEnd ? offset - 1 : offset;
+  let low = 0;
+  let high = runs.length - 1;
+
+  while (low < high) {
+    const middle = (low + high + 1) >> 1;
+    if (runs[middle].prose <= position) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  const run = runs[low];
+  if (!run.verbatim) return isEnd ? run.sourceEnd : run.source;
+
+  const inRun = Math.min(Math.max(position - run.prose, 0), run.length - 1);
+  return run.source + inRun + (isEnd ? 1 : 0);
+};
+
+/**
+ * Helper function to create the statistics gathered while parsing.
+ *
+ * @returns {Object} - empty statistics
+ */
+const createContentStatistics = () => ({
+  code: { blocks: 0, inline: 0, lines: 0, text: [] },
+  headings: [],
+  tables: { count: 0, rows: 0 },
+  links: 0,
+  images: 0,
+});
+
+/**
+ * Helper function to count the lines of a code block that are not blank.
+ *
+ * @param {*} code - string
+ * @returns number
+ */
+const countCodeLines = (code) => code.split("\n").filter((line) => line.trim()).length;
+
+/**
+ * Inline Markdown: code spans, images, links, footnote references,
+ * autolinks, bare URLs, HTML comments and tags, entities, backslash escapes
+ * and emphasis delimiters.
+ */
+const markdownInlinePattern = new RegExp(
+  [
+    "(?<codeTicks>`+)(?<code>[\\s\\S]+?)(?<!`)\\k<codeTicks>(?!`)",
+    "!\\[(?<imageAlt>(?:\\\\.|[^\\]\\\\])*)\\](?:\\((?:<[^>]*>|[^()\\s]|\\([^()\\s]*\\))*(?:[ \\t]+(?:\"[^\"]*\"|'[^']*'|\\([^)]*\\)))?[ \\t]*\\)|\\[[^\\]]*\\])?",
+    "\\[(?<linkText>(?:\\\\.|\\[(?:\\\\.|[^\\]\\\\])*\\](?:\\([^()\\s]*\\))?|[^\\[\\]\\\\])*)\\](?:\\((?:<[^>]*>|[^()\\s]|\\([^()\\s]*\\))*(?:[ \\t]+(?:\"[^\"]*\"|'[^']*'|\\([^)]*\\)))?[ \\t]*\\)|\\[[^\\]]*\\])",
+    "\\[\\^[^\\]\\s]+\\]",
+    "<(?<autolink>[a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\\s<>]*|[\\w.!#$%&'*+/=?^`{|}~-]+@[\\w-]+(?:\\.[\\w-]+)+)>",
+    "(?<url>\\b(?:https?:\\/\\/|www\\.)[^\\s<>]*[^\\s<>.,;:!?'\")\\]*_~])",
+    "<!--[\\s\\S]*?-->",
+    "<(?<tagClose>\\/?)(?<tag>[a-zA-Z][\\w-]*)(?:\\s(?:[^<>\"']|\"[^\"]*\"|'[^']*')*)?\\/?>",
+    "(?<entity>&(?:#[xX][0-9a-fA-F]{1,6}|#\\d{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});)",
+    "\\\\(?<escaped>[!-\\/:-@\\[-`{-~])",
+    "(?<emphasis>\\*+|_+|~~)",
+  ].join("|"),
+  "g"
+);
+
+/**
+ * Text-level HTML: whitespace, which collapses, bare URLs and entities.
+ */
+const htmlTextPattern = /(?<space>[ \t\r\n\f]+)|(?<url>\b(?:https?:\/\/|www\.)[^\s<>]*[^\s<>.,;:!?'")\]*_~])|(?<entity>&(?:#[xX][0-9a-fA-F]{1,6}|#\d{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});)/g;
+
+/**
+ * Helper function to tell whether a run of * or _ is an emphasis delimiter
+ * rather than literal text, such as the * in "2 * 3" or the _ in snake_case.
+ *
+ * @param {*} before - character before the run, or ""
+ * @param {*} after - character after the run, or ""
+ * @param {*} delimiter - string, the run
+ * @returns boolean
+ */
+const isEmphasisDelimiter = (before, after, delimiter) => {
+  const touchesText = (after && !/\s/.test(after)) || (before && !/\s/.test(before));
+  if (!touchesText) return false;
+
+  const isWordCharacter = (character) => /[\p{L}\p{N}]/u.test(character);
+  if (delimiter[0] === "_" && isWordCharacter(before) && isWordCharacter(after)) return false;
+
+  return !(/\d/.test(before) && /\d/.test(after));
+};
+
+/**
+ * Helper function to write the prose of a span of inline Markdown.
+ *
+ * @param {*} source - string, the whole Markdown text
+ * @param {*} start - number
+ * @param {*} end - number
+ * @param {*} prose - prose builder
+ * @param {*} stats - statistics
+ */
+const parseMarkdownInline = (source, start, end, prose, stats) => {
+  const segment = source.slice(start, end);
+  let offset = 0;
+
+  for (const match of segment.matchAll(markdownInlinePattern)) {
+    const at = start + match.index;
+    const matchEnd = at + match[0].length;
+    const groups = match.groups;
+
+    if (match.index > offset) prose.copy(source, start + offset, at);
+    offset = match.index + match[0].length;
+
+    if (groups.code !== undefined) {
+      stats.code.inline++;
+      stats.code.text.push(groups.code);
+    } else if (groups.imageAlt !== undefined) {
+      stats.images++;
+    } else if (groups.linkText !== undefined) {
+      stats.links++;
+      parseMarkdownInline(source, at + 1, at + 1 + groups.linkText.length, prose, stats);
+    } else if (groups.autolink !== undefined || groups.url !== undefined) {
+      stats.links++;
+    } else if (groups.tag !== undefined) {
+      const name = groups.tag.toLowerCase();
+      if (name === "br") {
+        prose.lineBreak(at);
+      } else if (name === "img") {
+        stats.images++;
+      } else if (name === "a" && !groups.tagClose) {
+        stats.links++;
+      } else if (htmlBlockElements.has(name)) {
+        prose.space(at);
+      }
+    } else if (groups.entity !== undefined) {
+      const decoded = decodeEntities(groups.entity);
+      if (decoded === groups.entity) {
+        prose.copy(source, at, matchEnd);
+      } else {
+        prose.insert(decoded, at, matchEnd);
+      }
+    } else if (groups.escaped !== undefined) {
+      prose.copy(source, at + 1, matchEnd);
+    } else if (groups.emphasis !== undefined) {
+      const before = segment.charAt(match.index - 1);
+      const after = segment.charAt(match.index + match[0].length);
+      if (!isEmphasisDelimiter(before, after, groups.emphasis)) prose.copy(source, at, matchEnd);
+    }
+    // Comments and footnote references are left out
+  }
+
+  if (offset < segment.length) prose.copy(source, start + offset, end);
+};
+
+/**
+ * Helper function to split a Markdown table row into its cells.
+ *
+ * @param {*} source - string
+ * @param {*} start - number, start of the row
+ * @param {*} end - number, end of the row
+ * @returns {Object[]} - {start, end} of each cell
+ */
+const splitTableRow = (source, start, end) => {
+  const cells = [];
+  let cellStart = start;
+
+  for (let i = start; i <= end; i++) {
+    if (i === end || (source[i] === "|" && source[i - 1] !== "\\")) {
+      cells.push({ start: cellStart, end: i });
+      cellStart = i + 1;
+    }
+  }
+
+  // Leading and trailing pipes leave empty cells at the edges
+  if (cells.length > 1 && !source.slice(cells[0].start, cells[0].end).trim()) cells.shift();
+  if (cells.length > 1 && !source.slice(cells.at(-1).start, cells.at(-1).end).trim()) cells.pop();
+
+  return cells;
+};
+
+/**
+ * Helper function to parse Markdown into prose: headings, paragraphs, lists,
+ * block quotes and tables keep their text, while front matter, code blocks,
+ * thematic breaks, link reference definitions and all inline markup are
+ * left out. A list is a single paragraph with a line per item, and a table
+ * one with a line per row and its cells separated by tabs. The lines of a
+ * paragraph are joined with spaces.
+ *
+ * @param {*} source - string
+ * @returns {Object} - {prose, stats}
+ */
+const parseMarkdown = (source) => {
+  const prose = createProseBuilder();
+  const stats = createContentStatistics();
+
+  const lines = [];
+  for (let offset = 0; offset <= source.length; ) {
+    const newLine = source.indexOf("\n", offset);
+    const end = newLine < 0 ? source.length : newLine;
+    lines.push({ start: offset, end: source[end - 1] === "\r" ? end - 1 : end });
+    if (newLine < 0) break;
+    offset = newLine + 1;
+  }
+  const lineText = (index) => (lines[index] ? source.slice(lines[index].start, lines[index].end) : "");
+
+  let first = 0;
+  if (/^---[ \t]*$/.test(lineText(0))) {
+    const closing = lines.findIndex((line, i) => i > 0 && /^(?:---|\.\.\.)[ \t]*$/.test(lineText(i)));
+    if (closing > 0) first = closing + 1;
+  }
+
+  const tableSeparator = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)+\|?[ \t]*$|^ {0,3}\|[ \t]*:?-+:?[ \t]*\|[ \t]*$/;
+  let fence = null;
+  let block = null;
+  let paragraphStart = 0;
+  let hardBreak = false;
+
+  for (let i = first; i < lines.length; i++) {
+    let { start } = lines[i];
+    const { end } = lines[i];
+
+    if (fence) {
+      const closing = lineText(i).match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) {
+        fence = null;
+      } else {
+        stats.code.text.push(lineText(i));
+        stats.code.lines += countCodeLines(lineText(i));
+      }
+      continue;
+    }
+
+    const quote = source.slice(start, end).match(/^(?: {0,3}> ?)+/);
+    if (quote) start += quote[0].length;
+    const content = source.slice(start, end);
+
+    if (!content.trim()) {
+      prose.blockBreak(start);
+      if (block !== "code") block = null;
+      continue;
+    }
+
+    const fenceOpen = content.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (fenceOpen && !(fenceOpen[1][0] === "`" && content.slice(fenceOpen[0].length).includes("`"))) {
+      prose.blockBreak(start);
+      fence = fenceOpen[1];
+      stats.code.blocks++;
+      block = null;
+      continue;
+    }
+
+    if (/^(?: {4}|\t)/.test(content) && (block === null || block === "code")) {
+      if (block !== "code") stats.code.blocks++;
+      stats.code.text.push(content);
+      stats.code.lines++;
+      block = "code";
+      continue;
+    }
+
+    if (block === "paragraph" && /^ {0,3}(?:=+|-+)[ \t]*$/.test(content)) {
+      stats.headings.push({ start: paragraphStart, end: prose.length() });
+      prose.blockBreak(start);
+      block = null;
+      continue;
+    }
+
+    if (/^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(content)) {
+      prose.blockBreak(start);
+      block = null;
+      continue;
+    }
+
+    const heading = content.match(/^ {0,3}#{1,6}(?:[ \t]+|$)/);
+    if (heading) {
+      const headingStart = start + heading[0].length;
+      const closing = source.slice(headingStart, end).match(/(?:^|[ \t]+)#+[ \t]*$/);
+      const headingEnd = closing ? headingStart + closing.index : end;
+
+      prose.blockBreak(start);
+      const proseStart = prose.mark();
+      parseMarkdownInline(source, headingStart, headingEnd, prose, stats);
+      if (prose.length() > proseStart) stats.headings.push({ start: proseStart, end: prose.length() });
+      prose.blockBreak(end);
+      block = null;
+      continue;
+    }
+
+    if (block !== "paragraph" && /^ {0,3}\[(?!\^)[^\]]+\]:[ \t]*\S/.test(content)) {
+      continue;
+    }
+
+    if (content.includes("|") && (block === "table" || tableSeparator.test(lineText(i + 1)))) {
+      if (tableSeparator.test(content)) continue;
+
+      if (block === "table") {
+        prose.lineBreak(start);
+      } else {
+        prose.blockBreak(start);
+        stats.tables.count++;
+      }
+      stats.tables.rows++;
+      for (const cell of splitTableRow(source, start, end)) {
+        parseMarkdownInline(source, cell.start, cell.end, prose, stats);
+        prose.cellBreak(cell.end);
+      }
+      block = "table";
+      continue;
+    }
+
+    const listItem = content.match(/^[ \t]*(?:[-*+]|\d{1,9}[.)])(?:[ \t]+|$)(?:\[[ xX]\][ \t]+)?/);
+    const footnote = content.match(/^ {0,3}\[\^[^\]]+\]:[ \t]*/);
+
+    if (listItem) {
+      if (block === "list") {
+        prose.lineBreak(start);
+      } else {
+        prose.blockBreak(start);
+      }
+      start += listItem[0].length;
+      block = "list";
+    } else if (footnote) {
+      prose.blockBreak(start);
+      start += footnote[0].length;
+      paragraphStart = prose.mark();
+      block = "paragraph";
+    } else if (block === "paragraph" || block === "list") {
+      if (hardBreak) {
+        prose.lineBreak(start);
+      } else {
+        prose.space(start);
+      }
+    } else {
+      prose.blockBreak(start);
+      paragraphStart = prose.mark();
+      block = "paragraph";
+    }
+
+    // Two trailing spaces or a backslash end the line with a hard break
+    const lineEnd = source.slice(start, end);
+    hardBreak = / {2,}$/.test(lineEnd) || /\\$/.test(lineEnd);
+    parseMarkdownInline(source, start, /\\$/.test(lineEnd) ? end - 1 : end, prose, stats);
+  }
+
+  return { prose, stats };
+};
+
+/**
+ * Helper function to write the prose of a run of HTML text, collapsing
+ * whitespace and leaving out bare URLs.
+ *
+ * @param {*} source - string
+ * @param {*} start - number
+ * @param {*} end - number
+ * @param {*} prose - prose builder
+ * @param {*} stats - statistics
+ */
+const parseHtmlText = (source, start, end, prose, stats) => {
+  const segment = source.slice(start, end);
+  let offset = 0;
+
+  for (const match of segment.matchAll(htmlTextPattern)) {
+    const at = start + match.index;
+
+    if (match.index > offset) prose.copy(source, start + offset, at);
+    offset = match.index + match[0].length;
+
+    if (match.groups.space !== undefined) {
+      prose.space(at);
+    } else if (match.groups.url !== undefined) {
+      stats.links++;
+    } else {
+      prose.insert(decodeEntities(match.groups.entity), at, at + match[0].length);
+    }
+  }
+
+  if (offset < segment.length) prose.copy(source, start + offset, end);
+};
+
+/**
+ * Helper function to parse HTML into prose: invisible elements and code are
+ * left out, block elements become paragraphs, list items and table rows get
+ * lines of their own, and table cells are separated by tabs.
+ *
+ * @param {*} source - string
+ * @returns {Object} - {prose, stats}
+ */
+const parseHtml = (source) => {
+  const prose = createProseBuilder();
+  const stats = createContentStatistics();
+  let hidden = null;
+  let codeDepth = 0;
+  let codeBlock = null;
+  let headingStart = null;
+
+  for (const token of tokenizeMarkup(source)) {
+    if (hidden) {
+      if (token.tag && token.closing && token.name === hidden) hidden = null;
+      continue;
+    }
+
+    if (token.text !== undefined) {
+      if (codeDepth > 0) {
+        const code = token.cdata ? token.text : decodeEntities(token.text);
+        stats.code.text.push(code);
+        if (codeBlock !== null) codeBlock += code;
+      } else if (token.cdata) {
+        prose.copy(source, token.start, token.end);
+      } else {
+        parseHtmlText(source, token.start, token.end, prose, stats);
+      }
+      continue;
+    }
+
+    const { name, closing } = token;
+
+    if (htmlHiddenElements.has(name)) {
+      if (!closing && !token.selfClosing) hidden = name;
+    } else if (htmlCodeElements.has(name)) {
+      if (token.selfClosing) continue;
+      if (!closing && codeDepth === 0) {
+        if (name === "pre") {
+          stats.code.blocks++;
+          codeBlock = "";
+        } else {
+          stats.code.inline++;
+        }
+      }
+      codeDepth = Math.max(0, codeDepth + (closing ? -1 : 1));
+      if (codeDepth === 0 && codeBlock !== null) {
+        stats.code.lines += countCodeLines(codeBlock);
+        codeBlock = null;
+      }
+      if (name === "pre") prose.blockBreak(token.start);
+    } else if (/^h[1-6]$/.test(name)) {
+      prose.blockBreak(token.start);
+      if (!closing) {
+        headingStart = prose.mark();
+      } else if (headingStart !== null) {
+        if (prose.length() > headingStart) stats.headings.push({ start: headingStart, end: prose.length() });
+        headingStart = null;
+      }
+    } else if (name === "br") {
+      prose.lineBreak(token.start);
+    } else if (name === "img") {
+      if (!closing) stats.images++;
+    } else if (name === "a") {
+      if (!closing && /\shref\s*=/i.test(token.attributes)) stats.links++;
+    } else if (name === "tr") {
+      if (!closing) {
+        prose.lineBreak(token.start);
+        stats.tables.rows++;
+      }
+    } else if (htmlLineElements.has(name)) {
+      if (!closing) prose.lineBreak(token.start);
+    } else if (htmlCellElements.has(name)) {
+      if (!closing) prose.cellBreak(token.start);
+    } else if (htmlBlockElements.has(name)) {
+      if (!closing && name === "table") stats.tables.count++;
+      prose.blockBreak(token.start);
+    }
+  }
+
+  if (codeBlock !== null) stats.code.lines += countCodeLines(codeBlock);
+
+  return { prose, stats };
+};
+
+/**
+ * Parse marked-up text into the prose that it displays, so that only the
+ * prose is counted.
+ *
+ * - "plain": the text is returned as is
+ * - "markdown": front matter, code, URLs, images and markup are left out,
+ *   and link text is kept
+ * - "html": tags, invisible elements, code and URLs are left out
+ *
+ * In the prose, paragraphs are separated by a blank line, list items and
+ * the rows of a table are on lines of their own, and table cells are
+ * separated by tabs. mapSpan() maps a {start, end} span of the prose back
+ * to the offsets of the source text.
+ *
+ * The code, headings, tables, links and images met along the way are
+ * reported separately: code as its text and the number of lines of its
+ * blocks, and headings as spans of the prose.
+ *
+ * @param {*} text - string
+ * @param {*} format - "plain" | "markdown" | "html"
+ * @returns {Object} - {format, text, mapSpan, code: {blocks, inline, lines, text}, headings,
+ *   tables: {count, rows}, links, images}
+ */
+export const parseContent = (text, format = "plain") => {
+  if (format !== "markdown" && format !== "html") {
+    return { format: "plain", text: text, mapSpan: (span) => span, ...createContentStatistics() };
+  }
+
+  const { prose, stats } = format === "markdown" ? parseMarkdown(text) : parseHtml(text);
+  const { text: proseText, runs } = prose.build();
+
+  const mapSpan = (span) => {
+    const start = mapOffset(runs, span.start, false);
+    return { ...span, start: start, end: span.end > span.start ? mapOffset(runs, span.end, true) : start };
+  };
+
+  return { format: format, text: proseText, mapSpan: mapSpan, ...stats };
+};
@@ -0,0 +1,161 @@
+/**
+ * Count targets: the lowest and highest count a brief allows for a metric of
+ * the text, such as "1,500-2,000 words" or "120-155 characters", and how far
+ * the text is from them.
+ *
+ * A target is an object with:
+ *
+ * - metric: id of one of targetMetrics
+ * - min: lowest count, or null for no lower bound
+ * - max: highest count, or null for no upper bound
+ */
+
+/**
+ * Metrics a target can be set for, with how to read each one from an
+ * analysis made by analyzeText.
+ */
+export const targetMetrics = [
+  { id: "words", name: "Words", unit: "word", read: (analysis) => analysis.words.count },
+  { id: "characters", name: "Characters", unit: "character", read: (analysis) => analysis.characters.total },
+  { id: "sentences", name: "Sentences", unit: "sentence", read: (analysis) => analysis.sentences.count },
+  { id: "readingTime", name: "Reading time", unit: "minute", read: (analysis) => analysis.readingTime.minutes },
+];
+
+/**
+ * Get a metric by id.
+ *
+ * @param {*} id - string
+ * @returns object, or undefined
+ */
+export const getTargetMetric = (id) => targetMetrics.find((metric) => metric.id === id);
+
+/**
+ * Helper function to read an optional bound: a number of at least 0, or null
+ * when left empty.
+ *
+ * @param {*} value - number | string | null
+ * @returns number, or null
+ */
+const readBound = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+
+  const bound = Number(String(value).replace(/[,\s]/g, ""));
+  if (!Number.isFinite(bound) || bound < 0) throw new Error("Targets must be numbers of 0 or more.");
+  return bound;
+};
+
+/**
+ * Check a target and put its bounds in order of use. Words, characters and
+ * sentences are whole numbers; reading time is in minutes.
+ *
+ * @param {*} target - {metric, min, max}, where min and max may be strings
+ *   from inputs
+ * @returns {Object} - {metric, min, max}
+ */
+export const normalizeTarget = (target) => {
+  const metric = getTargetMetric(target.metric);
+  if (!metric) throw new Error("Choose what the target counts.");
+
+  const round = (bound) => (bound === null || metric.id === "readingTime" ? bound : Math.round(bound));
+  const min = round(readBound(target.min));
+  const max = round(readBound(target.max));
+
+  if (min === null && max === null) throw new Error("Give the target a minimum, a maximum or both.");
+  if (min !== null && max !== null && min > max) throw new Error("The minimum cannot be above the maximum.");
+
+  return { metric: metric.id, min: min, max: max };
+};
+
+/**
+ * Add a target to a list, replacing the target of the same metric.
+ *
+ * @param {*} targets - target[]
+ * @param {*} target - {metric, min, max}
+ * @returns target[] - new list in the order of targetMetrics
+ */
+export const setTarget = (targets, target) => {
+  const normalized = normalizeTarget(target);
+  const list = targets.filter((entry) => entry.metric !== normalized.metric).concat(normalized);
+  return targetMetrics.flatMap((metric) => list.filter((entry) => entry.metric === metric.id));
+};
+
+/**
+ * Keep the valid targets of a list, such as one saved with a draft.
+ *
+ * @param {*} targets - anything
+ * @returns target[]
+ */
+export const readTargets = (targets) =>
+  (Array.isArray(targets) ? targets : []).reduce((list, target) => {
+    try {
+      return setTarget(list, target);
+    } catch {
+      return list;
+    }
+  }, []);
+
+/**
+ * Measure a value against a target.
+ *
+ * - "under": below the minimum
+ * - "within": between the bounds, inclusive
+ * - "over": above the maximum
+ *
+ * @param {*} value - number
+ * @param {*} target - {metric, min, max}
+ * @returns {Object} - {state, value, progress, minPosition}, where progress
+ *   is the share of the bar to fill, from 0 to 1, with the bar ending at the
+ *   maximum (or the minimum when there is none), and minPosition is where on
+ *   the bar the minimum falls, or null
+ */
+export const evaluateTarget = (value, target) => {
+  const { min, max } = target;
+  const scale = max ?? min;
+  let state = "within";
+
+  if (min !== null && value < min) {
+    state = "under";
+  } else if (max !== null && value > max) {
+    state = "over";
+  }
+
+  return {
+    state: state,
+    value: value,
+    progress: scale > 0 ? Math.min(1, value / scale) : value > 0 ? 1 : 0,
+    minPosition: min !== null && max !== null && max > 0 ? min / max : null,
+  };
+};
+
+/**
+ * Measure every target against an analysis.
+ *
+ * @param {*} targets - target[]
+ * @param {*} analysis - object from analyzeText
+ * @returns {Object[]} - {target, metric, state, value, progress, minPosition}
+ */
+export const evaluateTargets = (targets, analysis) =>
+  targets.map((target) => {
+    const metric = getTargetMetric(target.metric);
+    return { target: target, metric: metric, ...evaluateTarget(metric.read(analysis), target) };
+  });
+
+/**
+ * Describe a target's range, such as "1,500-2,000 words", "at least 300
+ * words" or "at most 155 characters".
+ *
+ * @param {*} target - {metric, min, max}
+ * @returns string
+ */
+export const describeTarget = (target) => {
+  const { unit } = getTargetMetric(target.metric);
+  const { min, max } = target;
+  const units = (count) => (count === 1 ? unit : `${unit}s`);
+
+  if (min !== null && max !== null) {
+    return min === max
+      ? `exactly ${min.toLocaleString()} ${units(min)}`
+      : `${min.toLocaleString()}–${max.toLocaleString()} ${units(max)}`;
+  }
+  return min !== null ? `at least ${min.toLocaleString()} ${units(min)}` : `at most ${max.toLocaleString()} ${units(max)}`;
+};
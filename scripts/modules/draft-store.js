@@ -0,0 +1,316 @@
+/**
+ * IndexedDB database holding the drafts. Nothing in it ever leaves the
+ * browser.
+ */
+const databaseName = "text-counter-pro";
+const databaseVersion = 1;
+
+/**
+ * Delay after the last edit before a draft is saved, in milliseconds.
+ */
+const autosaveDelay = 400;
+
+/**
+ * Helper function to wrap an IndexedDB request in a promise.
+ *
+ * @param {*} request - IDBRequest
+ * @returns Promise of the request result
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open the draft store: drafts ({id, name, text, targets, createdAt, updatedAt}) and
+ * settings, such as the draft currently open, kept in IndexedDB.
+ *
+ * Falls back to a store in memory, which lasts until the page is closed,
+ * where IndexedDB is unavailable or blocked (some private browsing modes).
+ *
+ * @returns Promise of store object
+ */
+export const openDraftStore = async () => {
+  try {
+    if (typeof indexedDB === "undefined") throw new Error("IndexedDB is unavailable");
+
+    const request = indexedDB.open(databaseName, databaseVersion);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains("drafts")) {
+        database.createObjectStore("drafts", { keyPath: "id" });
+      }
+      if (!database.objectStoreNames.contains("settings")) {
+        database.createObjectStore("settings");
+      }
+    };
+    const database = await promisify(request);
+
+    const run = (storeName, mode, action) => {
+      const transaction = database.transaction(storeName, mode);
+      return promisify(action(transaction.objectStore(storeName)));
+    };
+
+    return {
+      persistent: true,
+      listDrafts: () => run("drafts", "readonly", (store) => store.getAll()),
+      getDraft: (id) => run("drafts", "readonly", (store) => store.get(id)),
+      putDraft: (draft) => run("drafts", "readwrite", (store) => store.put(draft)),
+      deleteDraft: (id) => run("drafts", "readwrite", (store) => store.delete(id)),
+      getSetting: (key) => run("settings", "readonly", (store) => store.get(key)),
+      setSetting: (key, value) => run("settings", "readwrite", (store) => store.put(value, key)),
+    };
+  } catch (error) {
+    console.warn("Drafts will not be saved across page loads:", error);
+
+    const drafts = new Map();
+    const settings = new Map();
+
+    return {
+      persistent: false,
+      listDrafts: async () => Array.from(drafts.values(), (draft) => ({ ...draft })),
+      getDraft: async (id) => (drafts.has(id) ? { ...drafts.get(id) } : undefined),
+      putDraft: async (draft) => drafts.set(draft.id, { ...draft }),
+      deleteDraft: async (id) => drafts.delete(id),
+      getSetting: async (key) => settings.get(key),
+      setSetting: async (key, value) => settings.set(key, value),
+    };
+  }
+};
+
+/**
+ * Helper function to create a new, empty draft.
+ *
+ * @param {*} name - string
+ * @returns {Object} - draft
+ */
+const newDraft = (name) => {
+  const now = Date.now();
+
+  return {
+    id: globalThis.crypto && crypto.randomUUID ? crypto.randomUUID() : `${now}-${Math.random().toString(36).slice(2)}`,
+    name: name,
+    text: "",
+    targets: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Helper function to pick a name for a new draft that no other draft has.
+ *
+ * @param {*} drafts - draft[]
+ * @returns {string} - name
+ */
+const nextDraftName = (drafts) => {
+  const names = new Set(drafts.map((draft) => draft.name));
+  let number = drafts.length + 1;
+  while (names.has(`Draft ${number}`)) number++;
+  return `Draft ${number}`;
+};
+
+/**
+ * Create the draft manager shared by a page and its header: it opens the
+ * draft store, keeps track of the draft currently open, which carries over
+ * between the tools, and autosaves its text.
+ *
+ * Listeners passed to subscribe() receive {type: "open", draft} when a
+ * draft is opened, or changed in another tab, and its text should be shown, and {type: "list", drafts,
+ * current} whenever the drafts or their names change, here or in another tab.
+ *
+ * Several tabs can have the same draft open. Each save patches the stored
+ * draft instead of writing back the tab's own copy, and a tab reloads its
+ * draft when another one changes it, showing the new text or targets, or
+ * opening another draft when it was deleted.
+ *
+ * @returns {Object} - draft manager
+ */
+export const createDraftManager = () => {
+  const listeners = new Set();
+  const channel = typeof BroadcastChannel !== "undefined" ? new BroadcastChannel("text-counter-pro-drafts") : null;
+  const storePromise = openDraftStore();
+  let current = null;
+  let pendingText = null;
+  let saveTimer = null;
+
+  const emit = (event) => listeners.forEach((listener) => listener(event));
+
+  const listDrafts = async () => {
+    const store = await storePromise;
+    const drafts = await store.listDrafts();
+    return drafts.sort((a, b) => b.updatedAt - a.updatedAt);
+  };
+
+  const announceList = async (broadcast = true) => {
+    emit({ type: "list", drafts: await listDrafts(), current: current });
+    if (broadcast && channel) channel.postMessage({ type: "list" });
+  };
+
+  const open = async (draft) => {
+    const store = await storePromise;
+    current = draft;
+    await store.setSetting("currentDraftId", draft.id);
+    emit({ type: "open", draft: draft });
+    await announceList(false);
+  };
+
+  const openNextDraft = async () => {
+    const store = await storePromise;
+    const [next] = await listDrafts();
+    const draft = next || newDraft(nextDraftName([]));
+    if (!next) await store.putDraft(draft);
+    await open(draft);
+  };
+
+  const flush = async () => {
+    clearTimeout(saveTimer);
+    if (pendingText === null || !current) return;
+
+    const store = await storePromise;
+    const text = pendingText;
+    pendingText = null;
+
+    // A draft deleted in another tab stays deleted; the message about it
+    // opens another draft here
+    const stored = await store.getDraft(current.id);
+    if (!stored) return;
+
+    const isFirstSave = stored.text === "" && stored.createdAt === stored.updatedAt;
+    current = { ...stored, text: text, updatedAt: Date.now() };
+    await store.putDraft(current);
+    if (isFirstSave) {
+      await announceList();
+    } else if (channel) {
+      channel.postMessage({ type: "list" });
+    }
+  };
+
+  const reloadCurrent = async () => {
+    if (!current) return;
+    const stored = await (await storePromise).getDraft(current.id);
+
+    if (!stored) {
+      clearTimeout(saveTimer);
+      pendingText = null;
+      await openNextDraft();
+      return;
+    }
+
+    const changed =
+      stored.text !== current.text || JSON.stringify(stored.targets) !== JSON.stringify(current.targets);
+    current = stored;
+    // Edits not saved yet win over the other tab's text
+    if (changed && pendingText === null) emit({ type: "open", draft: stored });
+  };
+
+  if (channel) {
+    channel.addEventListener("message", async () => {
+      await reloadCurrent();
+      await announceList(false);
+    });
+  }
+  if (typeof window !== "undefined") {
+    window.addEventListener("pagehide", () => flush());
+  }
+
+  return {
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Open the draft that was open last, in any of the tools, or a new one.
+     */
+    load: async () => {
+      const store = await storePromise;
+      const id = await store.getSetting("currentDraftId");
+      let draft = id && (await store.getDraft(id));
+
+      if (!draft) {
+        draft = newDraft(nextDraftName(await store.listDrafts()));
+        await store.putDraft(draft);
+      }
+
+      await open(draft);
+      return draft;
+    },
+
+    /**
+     * Autosave the text of the current draft shortly after the last edit.
+     */
+    save: (text) => {
+      if (!current || text === (pendingText ?? current.text)) return;
+      pendingText = text;
+      clearTimeout(saveTimer);
+      saveTimer = setTimeout(flush, autosaveDelay);
+    },
+
+    flush: flush,
+
+    list: listDrafts,
+
+    current: () => current,
+
+    isPersistent: async () => (await storePromise).persistent,
+
+    switchTo: async (id) => {
+      if (current && current.id === id) return;
+      await flush();
+      const draft = await (await storePromise).getDraft(id);
+      if (draft) await open(draft);
+    },
+
+    create: async (name) => {
+      await flush();
+      const store = await storePromise;
+      const draft = newDraft(name || nextDraftName(await store.listDrafts()));
+      await store.putDraft(draft);
+      await open(draft);
+      if (channel) channel.postMessage({ type: "list" });
+      return draft;
+    },
+
+    /**
+     * Save the count targets of the current draft, see count-targets.js.
+     */
+    setTargets: async (targets) => {
+      if (!current) return;
+      await flush();
+      const store = await storePromise;
+      const stored = await store.getDraft(current.id);
+      if (!stored) return;
+
+      current = { ...stored, targets: targets };
+      await store.putDraft(current);
+      if (channel) channel.postMessage({ type: "list" });
+    },
+
+    rename: async (id, name) => {
+      if (!name || !name.trim()) return;
+      await flush();
+      const store = await storePromise;
+      const draft = await store.getDraft(id);
+      if (!draft) return;
+
+      draft.name = name.trim();
+      await store.putDraft(draft);
+      if (current && current.id === id) current = { ...current, name: draft.name };
+      await announceList();
+    },
+
+    remove: async (id) => {
+      const store = await storePromise;
+      if (current && current.id === id) {
+        clearTimeout(saveTimer);
+        pendingText = null;
+      }
+      await store.deleteDraft(id);
+
+      if (current && current.id === id) await openNextDraft();
+      await announceList();
+    },
+  };
+};
@@ -0,0 +1,372 @@
+import { decodeEntities, htmlBlockElements, htmlHiddenElements, tokenizeMarkup } from "./content-parser.js";
+
+/**
+ * Largest file accepted for import, in bytes. The whole file is read into
+ * memory, with the parts of a DOCX or ODT file unzipped there as well, so
+ * larger files could stall or crash the tab. A novel takes a megabyte or two
+ * as text, and the pictures of a document take most of the rest.
+ */
+const maxFileSize = 20 * 1024 * 1024;
+
+/**
+ * File extensions accepted by {@link importFile}, for the file picker.
+ */
+export const acceptedFileTypes = [".txt", ".text", ".md", ".markdown", ".html", ".htm", ".xhtml", ".docx", ".odt"];
+
+const textExtensions = ["txt", "text", "md", "markdown"];
+const htmlExtensions = ["html", "htm", "xhtml"];
+
+/**
+ * Helper function to tidy extracted text: trim every line, drop runs of
+ * blank lines down to a single paragraph break and trim the ends.
+ *
+ * @param {*} text - string
+ * @returns {string} - tidied text
+ */
+const tidyLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.replace(/^[ \u00a0]+|[ \u00a0]+$/g, ""))
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * Convert an HTML document or fragment to plain text: scripts, styles and
+ * other invisible content are dropped, block elements become paragraphs,
+ * line breaks and preformatted text are kept and entities are decoded.
+ *
+ * @param {*} html - string
+ * @returns {string} - plain text
+ */
+export const htmlToText = (html) => {
+  let text = "";
+  let hidden = null;
+  let preDepth = 0;
+
+  for (const token of tokenizeMarkup(html)) {
+    if (hidden) {
+      if (token.tag && token.closing && token.name === hidden) hidden = null;
+      continue;
+    }
+
+    if (token.text !== undefined) {
+      const content = token.cdata ? token.text : decodeEntities(token.text);
+      text += preDepth > 0 ? content : content.replace(/[ \t\r\n\f]+/g, " ");
+      continue;
+    }
+
+    if (htmlHiddenElements.has(token.name) && !token.closing) {
+      if (!token.selfClosing) hidden = token.name;
+    } else if (token.name === "br") {
+      text += "\n";
+    } else if (token.name === "td" || token.name === "th") {
+      if (!token.closing) text += "\t";
+    } else if (htmlBlockElements.has(token.name)) {
+      if (token.name === "pre") preDepth = Math.max(0, preDepth + (token.closing ? -1 : 1));
+      if (["li", "tr", "dt", "dd"].includes(token.name)) {
+        if (!token.closing) text += "\n";
+      } else {
+        text += "\n\n";
+      }
+    } else if (token.name === "img" && !token.closing) {
+      const alt = token.attributes.match(/\salt\s*=\s*(?:"([^"]*)"|'([^']*)')/i);
+      if (alt) text += decodeEntities(alt[1] ?? alt[2]);
+    }
+  }
+
+  return tidyLines(
+    text
+      .split("\n")
+      .map((line) => line.trim())
+      .join("\n")
+  );
+};
+
+/**
+ * Helper function to get the text of a Word document body (word/document.xml).
+ *
+ * Paragraphs become lines, tabs and breaks are kept, and deleted revisions,
+ * field codes and other non-text runs are skipped.
+ *
+ * @param {*} xml - string
+ * @returns {string} - plain text
+ */
+const wordDocumentToText = (xml) => {
+  let text = "";
+  let inText = false;
+
+  for (const token of tokenizeMarkup(xml)) {
+    if (token.text !== undefined) {
+      if (inText) text += decodeEntities(token.text);
+    } else if (token.name === "w:t") {
+      inText = !token.closing && !token.selfClosing;
+    } else if (token.name === "w:p" && (token.closing || token.selfClosing)) {
+      text += "\n";
+    } else if (token.name === "w:tab" && !token.closing) {
+      text += "\t";
+    } else if ((token.name === "w:br" || token.name === "w:cr") && !token.closing) {
+      text += "\n";
+    } else if (token.name === "w:nobreakhyphen") {
+      text += "\u2011";
+    }
+  }
+
+  return tidyLines(text);
+};
+
+/**
+ * Helper function to get the text of an OpenDocument body (content.xml).
+ *
+ * Paragraphs and headings become lines, spaces, tabs and line breaks are
+ * kept, and notes and annotations are skipped.
+ *
+ * @param {*} xml - string
+ * @returns {string} - plain text
+ */
+const openDocumentToText = (xml) => {
+  const skipped = new Set(["text:note", "office:annotation", "text:tracked-changes"]);
+  let text = "";
+  let paragraphDepth = 0;
+  let skipDepth = 0;
+
+  for (const token of tokenizeMarkup(xml)) {
+    if (token.text !== undefined) {
+      if (paragraphDepth > 0 && skipDepth === 0) text += decodeEntities(token.text).replace(/[ \t\r\n]+/g, " ");
+      continue;
+    }
+
+    if (skipped.has(token.name)) {
+      if (!token.selfClosing) skipDepth += token.closing ? -1 : 1;
+      continue;
+    }
+    if (skipDepth > 0) continue;
+
+    if (token.name === "text:p" || token.name === "text:h") {
+      if (token.selfClosing) {
+        text += "\n";
+      } else if (token.closing) {
+        paragraphDepth--;
+        if (paragraphDepth === 0) text += "\n";
+      } else {
+        paragraphDepth++;
+      }
+    } else if (token.name === "text:s" && !token.closing) {
+      const count = token.attributes.match(/text:c\s*=\s*["'](\d+)["']/);
+      text += " ".repeat(count ? Math.min(parseInt(count[1], 10), 1000) : 1);
+    } else if (token.name === "text:tab" && !token.closing) {
+      text += "\t";
+    } else if (token.name === "text:line-break" && !token.closing) {
+      text += "\n";
+    }
+  }
+
+  return tidyLines(text);
+};
+
+/**
+ * Helper function to read a ZIP archive's central directory.
+ *
+ * @param {*} bytes - Uint8Array
+ * @returns Map of entry name to {method, flags, compressedSize, offset}
+ */
+const readZipEntries = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let end = -1;
+
+  // The end of central directory record sits in the last 22 bytes, plus an
+  // optional comment of up to 64 KiB
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("The file is not a valid document archive.");
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (count === 0xffff || offset === 0xffffffff) throw new Error("Documents larger than 4 GB are not supported.");
+
+  const names = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("The file is not a valid document archive.");
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const name = names.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    entries.set(name, {
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      offset: view.getUint32(offset + 42, true),
+    });
+
+    offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+  }
+
+  return entries;
+};
+
+/**
+ * Helper function to extract one entry of a ZIP archive, inflating it with the
+ * browser's DecompressionStream.
+ *
+ * @param {*} bytes - Uint8Array of the archive
+ * @param {*} entry - object from readZipEntries
+ * @returns Promise of Uint8Array
+ */
+const extractZipEntry = async (bytes, entry) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (entry.flags & 1) throw new Error("Password-protected documents are not supported.");
+  if (view.getUint32(entry.offset, true) !== 0x04034b50) throw new Error("The file is not a valid document archive.");
+
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data;
+  if (entry.method !== 8) throw new Error("The document uses an unsupported compression method.");
+  if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot open compressed documents.");
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Detect the character encoding of a text file from its bytes: a byte order
+ * mark, UTF-16 without one (recognized by its zero bytes), valid UTF-8, a
+ * charset declared in HTML, and Windows-1252 as the last resort.
+ *
+ * @param {*} bytes - Uint8Array
+ * @param {*} isHtml - boolean, look for a declared charset
+ * @returns {Object} - {encoding, bomLength}
+ */
+export const detectEncoding = (bytes, isHtml = false) => {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { encoding: "utf-8", bomLength: 3 };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { encoding: "utf-16le", bomLength: 2 };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { encoding: "utf-16be", bomLength: 2 };
+
+  // Mostly-Latin UTF-16 has a zero in every other byte
+  const sample = bytes.subarray(0, 4096 - (Math.min(bytes.length, 4096) % 2));
+  if (sample.length >= 2) {
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i += 2) {
+      if (sample[i] === 0) evenZeros++;
+      if (sample[i + 1] === 0) oddZeros++;
+    }
+    const pairs = sample.length / 2;
+    if (oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) return { encoding: "utf-16le", bomLength: 0 };
+    if (evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) return { encoding: "utf-16be", bomLength: 0 };
+  }
+
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+    return { encoding: "utf-8", bomLength: 0 };
+  } catch {
+    // Not UTF-8, fall through to a declared or legacy encoding
+  }
+
+  if (isHtml) {
+    const head = new TextDecoder("windows-1252").decode(bytes.subarray(0, 1024));
+    const declared = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i);
+    if (declared) {
+      try {
+        new TextDecoder(declared[1]);
+        return { encoding: declared[1].toLowerCase(), bomLength: 0 };
+      } catch {
+        // Unknown label, use the fallback
+      }
+    }
+  }
+
+  return { encoding: "windows-1252", bomLength: 0 };
+};
+
+/**
+ * Decode the bytes of a text file, detecting its encoding.
+ *
+ * @param {*} bytes - Uint8Array
+ * @param {*} isHtml - boolean, honor a charset declared in the markup
+ * @returns {Object} - {text, encoding}
+ */
+export const decodeText = (bytes, isHtml = false) => {
+  const { encoding, bomLength } = detectEncoding(bytes, isHtml);
+  const text = new TextDecoder(encoding).decode(bytes.subarray(bomLength));
+
+  return { text: text.replace(/\r\n?/g, "\n"), encoding: encoding };
+};
+
+/**
+ * Helper function to get a file's lowercase extension.
+ *
+ * @param {*} name - string
+ * @returns {string} - extension without the dot, or ""
+ */
+const getExtension = (name) => {
+  const dot = name.lastIndexOf(".");
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : "";
+};
+
+/**
+ * Import a dropped or picked file as plain text, entirely in the browser.
+ *
+ * - .txt and .md files are decoded with encoding detection and kept as written
+ * - .html files are decoded and stripped to their visible text
+ * - .docx and .odt files are unzipped and their body text extracted
+ *
+ * Rejects with an Error whose message can be shown to the user when the file
+ * is too large, of an unsupported type or damaged.
+ *
+ * @param {*} file - File or Blob with a name
+ * @returns Promise of {name, format, encoding, text}
+ */
+export const importFile = async (file) => {
+  const name = file.name || "";
+  const extension = getExtension(name);
+  const type = (file.type || "").toLowerCase();
+
+  if (file.size > maxFileSize) {
+    throw new Error(`"${name}" is too large to import (the limit is ${maxFileSize / 1024 / 1024} MB).`);
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const isZip = bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+
+  if (extension === "docx" || extension === "odt" || (isZip && !textExtensions.includes(extension))) {
+    const entries = readZipEntries(bytes);
+
+    if (entries.has("word/document.xml")) {
+      const xml = new TextDecoder().decode(await extractZipEntry(bytes, entries.get("word/document.xml")));
+      return { name: name, format: "docx", encoding: "utf-8", text: wordDocumentToText(xml) };
+    }
+    if (entries.has("content.xml")) {
+      const xml = new TextDecoder().decode(await extractZipEntry(bytes, entries.get("content.xml")));
+      return { name: name, format: "odt", encoding: "utf-8", text: openDocumentToText(xml) };
+    }
+
+    throw new Error(`"${name}" is not a Word (.docx) or OpenDocument (.odt) text document.`);
+  }
+
+  if (htmlExtensions.includes(extension) || type === "text/html" || type === "application/xhtml+xml") {
+    const { text, encoding } = decodeText(bytes, true);
+    return { name: name, format: "html", encoding: encoding, text: htmlToText(text) };
+  }
+
+  if (textExtensions.includes(extension) || type.startsWith("text/") || (!extension && !type)) {
+    const { text, encoding } = decodeText(bytes);
+    return {
+      name: name,
+      format: extension === "md" || extension === "markdown" || type === "text/markdown" ? "markdown" : "text",
+      encoding: encoding,
+      text: text,
+    };
+  }
+
+  throw new Error(`"${name}" is not a supported file type. Use a .txt, .md, .html, .docx or .odt file.`);
+};
@@ -0,0 +1,47 @@
+/**
+ * German locale pack.
+ *
+ * See {@link registerLocale} for the shape of a locale pack.
+ */
+export const de = {
+  code: "de",
+  name: "Deutsch",
+
+  // Words that end with a period without ending the sentence
+  abbreviations: new Set([
+    // Titles
+    "dr", "prof", "hr", "hrn", "fr", "dipl", "ing",
+    // Common abbreviations
+    "usw", "bzw", "ca", "vgl", "evtl", "ggf", "inkl", "exkl", "bspw", "sog",
+    "etc", "zzgl", "abs", "nr", "tel", "gmbh", "str", "s", "bd", "hrsg",
+    "jh", "jhd",
+    // Time/Date, without "do", "sa" and "so", which end sentences as words
+    "jan", "feb", "mär", "apr", "jun", "jul", "aug", "sep", "sept", "okt",
+    "nov", "dez", "mo", "di", "mi",
+    // Units and measurements
+    "mio", "mrd", "max", "min", "std", "km", "kg", "cm", "mm",
+  ]),
+
+  // Common words left out of word frequency results such as "most common word"
+  stopWords: new Set([
+    "aber", "alle", "als", "also", "am", "an", "auch", "auf", "aus", "bei",
+    "bin", "bis", "bist", "da", "damit", "dann", "das", "dass", "dein", "dem",
+    "den", "denn", "der", "des", "dich", "die", "dir", "doch", "du", "durch",
+    "ein", "eine", "einem", "einen", "einer", "eines", "er", "es", "euch",
+    "euer", "für", "gegen", "hab", "habe", "haben", "hat", "hatte", "ich",
+    "ihm", "ihn", "ihr", "ihre", "im", "in", "ist", "ja", "jede", "jeder",
+    "kann", "kein", "keine", "man", "mein", "mich", "mir", "mit", "nach",
+    "nicht", "noch", "nun", "nur", "ob", "oder", "ohne", "schon", "sehr",
+    "sein", "seine", "sich", "sie", "sind", "so", "über", "um", "und", "uns",
+    "unser", "unter", "vom", "von", "vor", "war", "waren", "was", "weil",
+    "wenn", "wer", "wie", "wir", "wird", "wo", "zu", "zum", "zur",
+  ]),
+
+  sentenceTerminals: ".!?…",
+  // German quotes close with “ or with « in the »Guillemets« style
+  closingPunctuation: "\"'“”’«‹)]",
+
+  vowels: "aeiouäöü",
+  // "y" is always a vowel ("Typ", "Handy")
+  yVowelRule: "always",
+};
@@ -0,0 +1,195 @@
+/**
+ * English stemmer: the Porter2 ("English") algorithm from Snowball,
+ * https://snowballstem.org/algorithms/english/stemmer.html, which reduces
+ * "run", "runs" and "running" to "run" and "happy" and "happiness" to
+ * "happi". Stems are not always words.
+ */
+
+/**
+ * Words stemmed to something other than the algorithm would give, or left
+ * alone.
+ */
+const exceptions = new Map([
+  ["skis", "ski"],
+  ["skies", "sky"],
+  ["dying", "die"],
+  ["lying", "lie"],
+  ["tying", "tie"],
+  ["idly", "idl"],
+  ["gently", "gentl"],
+  ["ugly", "ugli"],
+  ["early", "earli"],
+  ["only", "onli"],
+  ["singly", "singl"],
+  ["sky", "sky"],
+  ["news", "news"],
+  ["howe", "howe"],
+  ["atlas", "atlas"],
+  ["cosmos", "cosmos"],
+  ["bias", "bias"],
+  ["andes", "andes"],
+]);
+
+/**
+ * Words left alone once their plural "s" is removed.
+ */
+const invariants = new Set(["inning", "outing", "canning", "herring", "earring", "proceed", "exceed", "succeed"]);
+
+// Suffixes of each step, longest first, and what replaces them
+const step2Suffixes = [
+  ["ization", "ize"], ["ational", "ate"], ["fulness", "ful"], ["ousness", "ous"], ["iveness", "ive"],
+  ["tional", "tion"], ["biliti", "ble"], ["lessli", "less"], ["entli", "ent"], ["ation", "ate"],
+  ["alism", "al"], ["aliti", "al"], ["ousli", "ous"], ["iviti", "ive"], ["fulli", "ful"],
+  ["enci", "ence"], ["anci", "ance"], ["abli", "able"], ["izer", "ize"], ["ator", "ate"],
+  ["alli", "al"], ["bli", "ble"], ["ogi", "og"], ["li", ""],
+];
+
+const step3Suffixes = [
+  ["ational", "ate"], ["tional", "tion"], ["alize", "al"], ["icate", "ic"], ["iciti", "ic"],
+  ["ative", ""], ["ical", "ic"], ["ness", ""], ["ful", ""],
+];
+
+const step4Suffixes = [
+  "ement", "ance", "ence", "able", "ible", "ment", "ant", "ent", "ism", "ate", "iti", "ous", "ive",
+  "ize", "ion", "al", "er", "ic",
+];
+
+/**
+ * Helper function to check whether a character is a vowel. A "Y" marks a
+ * "y" that is a consonant.
+ *
+ * @param {*} character - string
+ * @returns boolean
+ */
+const isVowel = (character) => character !== undefined && character !== "" && "aeiouy".includes(character);
+
+/**
+ * Helper function to find where the region after the first non-vowel that
+ * follows a vowel starts, from an offset. R1 is found from the start of the
+ * word and R2 from the start of R1.
+ *
+ * @param {*} word - string
+ * @param {*} start - number
+ * @returns number - offset, the word length when there is no such region
+ */
+const findRegion = (word, start) => {
+  for (let i = start + 1; i < word.length; i++) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) return i + 1;
+  }
+  return word.length;
+};
+
+/**
+ * Helper function to check whether a word ends with a short syllable: a
+ * non-vowel, a vowel and a non-vowel other than "w", "x" or "Y", or a vowel
+ * and a non-vowel making up the whole word.
+ *
+ * @param {*} word - string
+ * @returns boolean
+ */
+const endsWithShortSyllable = (word) => {
+  const n = word.length;
+  if (n === 2) return isVowel(word[0]) && !isVowel(word[1]);
+
+  return n >= 3 && !isVowel(word[n - 3]) && isVowel(word[n - 2]) && !isVowel(word[n - 1]) && !"wxY".includes(word[n - 1]);
+};
+
+/**
+ * Helper function to find the longest of a list of suffixes a word ends with.
+ *
+ * @param {*} word - string
+ * @param {*} suffixes - string[] or [suffix, replacement] entries, longest first
+ * @returns the matching list item, or undefined
+ */
+const findSuffix = (word, suffixes) =>
+  suffixes.find((suffix) => word.endsWith(Array.isArray(suffix) ? suffix[0] : suffix));
+
+/**
+ * Stem a lowercase English word.
+ *
+ * @param {*} word - string
+ * @returns string - stem
+ */
+export const stemEnglish = (word) => {
+  word = word.replace(/’/g, "'");
+  if (exceptions.has(word)) return exceptions.get(word);
+  if (word.length <= 2) return word;
+
+  word = word.replace(/^'/, "");
+
+  // A "y" at the start of the word or after a vowel is a consonant
+  word = word.replace(/^y/, "Y").replace(/([aeiouy])y/g, "$1Y");
+
+  const prefix = word.match(/^(gener|commun|arsen)/);
+  const r1 = prefix ? prefix[0].length : findRegion(word, 0);
+  const r2 = findRegion(word, r1);
+  const inR1 = (suffix) => word.length - suffix.length >= r1;
+  const inR2 = (suffix) => word.length - suffix.length >= r2;
+
+  // Step 0: possessives
+  word = word.replace(/'(s'?)?$/, "");
+
+  // Step 1a: plurals
+  if (word.endsWith("sses")) {
+    word = word.slice(0, -2);
+  } else if (word.endsWith("ied") || word.endsWith("ies")) {
+    word = word.slice(0, -3) + (word.length > 4 ? "i" : "ie");
+  } else if (word.endsWith("s") && !word.endsWith("us") && !word.endsWith("ss")) {
+    if (/[aeiouy]/.test(word.slice(0, -2))) word = word.slice(0, -1);
+  }
+
+  if (invariants.has(word)) return word;
+
+  // Step 1b: past tenses and participles
+  const step1b = findSuffix(word, ["eedly", "ingly", "edly", "eed", "ing", "ed"]);
+  if (step1b === "eed" || step1b === "eedly") {
+    if (inR1(step1b)) word = word.slice(0, -step1b.length) + "ee";
+  } else if (step1b && /[aeiouy]/.test(word.slice(0, -step1b.length))) {
+    word = word.slice(0, -step1b.length);
+
+    if (/(at|bl|iz)$/.test(word)) {
+      word += "e";
+    } else if (/(bb|dd|ff|gg|mm|nn|pp|rr|tt)$/.test(word)) {
+      word = word.slice(0, -1);
+    } else if (r1 >= word.length && endsWithShortSyllable(word)) {
+      word += "e";
+    }
+  }
+
+  // Step 1c: a final "y" after a consonant
+  if (word.length > 2 && /[yY]$/.test(word) && !isVowel(word[word.length - 2])) {
+    word = word.slice(0, -1) + "i";
+  }
+
+  // Step 2: derivational suffixes in R1
+  const step2 = findSuffix(word, step2Suffixes);
+  if (step2 && inR1(step2[0])) {
+    const [suffix, replacement] = step2;
+    const before = word[word.length - suffix.length - 1];
+
+    if (suffix === "ogi" ? before === "l" : suffix === "li" ? "cdeghkmnrt".includes(before || " ") : true) {
+      word = word.slice(0, -suffix.length) + replacement;
+    }
+  }
+
+  // Step 3: more derivational suffixes in R1
+  const step3 = findSuffix(word, step3Suffixes);
+  if (step3 && inR1(step3[0]) && (step3[0] !== "ative" || inR2(step3[0]))) {
+    word = word.slice(0, -step3[0].length) + step3[1];
+  }
+
+  // Step 4: suffixes in R2
+  const step4 = findSuffix(word, step4Suffixes);
+  if (step4 && inR2(step4) && (step4 !== "ion" || /[st]ion$/.test(word))) {
+    word = word.slice(0, -step4.length);
+  }
+
+  // Step 5: a final "e" or double "l"
+  if (word.endsWith("e")) {
+    if (inR2("e") || (inR1("e") && !endsWithShortSyllable(word.slice(0, -1)))) word = word.slice(0, -1);
+  } else if (word.endsWith("ll") && inR2("l")) {
+    word = word.slice(0, -1);
+  }
+
+  return word.replace(/Y/g, "y");
+};
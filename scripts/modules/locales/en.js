@@ -0,0 +1,172 @@
+import { stemEnglish } from "./en-stemmer.js";
+
+/**
+ * English locale pack.
+ *
+ * See {@link registerLocale} for the shape of a locale pack.
+ */
+export const en = {
+  code: "en",
+  name: "English",
+
+  // Words that end with a period without ending the sentence
+  abbreviations: new Set([
+    // Titles
+    "mr", "mrs", "ms", "dr", "prof", "sr", "jr", "capt", "gen", "col", "maj",
+    "lt",
+    // Common abbreviations
+    "vs", "etc", "inc", "ltd", "corp", "co", "llc", "llp",
+    // Location abbreviations
+    "st", "ave", "blvd", "rd", "apt", "no", "vol", "pp", "ch", "sec", "fig",
+    "ref",
+    // Academic/Scientific
+    "i.e", "e.g", "cf", "al", "approx", "ca", "circa", "est", "max", "min",
+    // Time/Date
+    "jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov",
+    "dec", "mon", "tue", "wed", "thu", "fri", "sat", "sun",
+    // Units and measurements
+    "ft", "in", "lb", "oz", "kg", "cm", "mm", "km", "mph", "rpm",
+    // Government/Legal
+    "gov", "dept", "div", "assn", "org", "admin",
+  ]),
+
+  // Common words left out of word frequency results such as "most common word"
+  stopWords: new Set([
+    "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "has", "he",
+    "in", "is", "it", "its", "of", "on", "that", "the", "to", "was", "will",
+    "with", "have", "i", "not", "you", "do", "this", "but", "his", "they", "we",
+    "say", "her", "she", "or", "my", "one", "all", "would", "there", "their",
+    "what", "so", "up", "out", "if", "about", "who", "get", "which", "go", "me",
+    "when", "make", "can", "like", "time", "no", "just", "him", "know", "take",
+    "people", "into", "year", "your", "good", "some", "could", "them", "see",
+    "other", "than", "then", "now", "look", "only", "come", "over", "think",
+    "also", "work", "life", "still", "should", "after", "being", "made",
+    "before", "here", "through", "where", "much", "way", "well", "new", "want",
+    "because", "any", "these", "give", "day", "most", "us", "may", "each",
+    "how", "two", "more", "very", "first", "write", "our", "used", "man", "too",
+    "same", "right", "around", "another", "came", "three", "high", "upon",
+    "show", "again", "change", "off", "went", "old", "number", "great", "tell",
+    "men", "small", "every", "found", "between", "name", "home", "big", "air",
+    "line", "set", "own", "under", "read", "last", "never", "left", "end",
+    "why", "while", "might", "next", "sound", "below", "saw", "something",
+    "thought", "both", "few", "those", "always", "looked", "large", "often",
+    "together", "asked", "house", "don't", "world", "going", "school",
+    "important", "until", "form", "food", "keep", "children", "feet", "land",
+    "side", "without", "boy", "once", "animal", "enough", "took", "sometimes",
+    "four", "head", "above", "kind", "began", "almost", "live", "page", "got",
+    "earth", "need", "far", "hand", "mother", "light", "country", "father",
+    "let", "night", "picture", "study", "second", "soon", "story", "since",
+    "white", "ever", "paper", "hard", "near", "sentence", "better", "best",
+    "across", "during", "today", "however", "sure", "knew", "it's", "try",
+    "told", "young", "sun", "thing", "whole", "hear", "example", "heard",
+    "several", "answer", "room", "sea", "against", "top", "turned", "learn",
+    "point", "city", "play", "toward", "five", "himself", "usually", "money",
+    "seen", "didn't", "car", "morning", "i'm", "body", "family", "later",
+    "turn", "move", "face", "door", "cut", "done", "group", "true", "leave",
+    "color", "red", "friend", "pretty", "eat", "really", "open",
+  ]),
+
+  sentenceTerminals: ".!?…",
+  closingPunctuation: "\"'”’)]",
+
+  vowels: "aeiouàáâãäåāăąǎæèéêëēĕėęěìíîïĩīĭįıòóôõöøōŏőœùúûüũūŭůűų",
+  // "y" is a vowel inside a word ("gym", "happy") and a consonant at the
+  // start of a word or after a vowel ("yes", "boy")
+  yVowelRule: "positional",
+
+  stem: stemEnglish,
+
+  // Irregular forms of verbs, nouns and adjectives, by base form. Regular
+  // forms share a stem with their base form instead
+  lemmas: new Map(
+    Object.entries({
+      be: "am is are was were been being",
+      have: "has had having",
+      do: "does did done doing",
+      go: "goes went gone",
+      begin: "began begun",
+      break: "broke broken",
+      bring: "brought",
+      build: "built",
+      buy: "bought",
+      catch: "caught",
+      choose: "chose chosen",
+      come: "came",
+      draw: "drew drawn",
+      drink: "drank drunk",
+      drive: "drove driven",
+      eat: "ate eaten",
+      fall: "fell fallen",
+      feel: "felt",
+      fight: "fought",
+      find: "found",
+      fly: "flew flown",
+      forget: "forgot forgotten",
+      freeze: "froze frozen",
+      get: "got gotten",
+      give: "gave given",
+      grow: "grew grown",
+      hear: "heard",
+      hold: "held",
+      keep: "kept",
+      know: "knew known",
+      lead: "led",
+      lend: "lent",
+      lose: "lost",
+      make: "made",
+      mean: "meant",
+      meet: "met",
+      pay: "paid",
+      ride: "rode ridden",
+      ring: "rang rung",
+      rise: "rose risen",
+      run: "ran",
+      say: "said",
+      see: "saw seen",
+      sell: "sold",
+      send: "sent",
+      shake: "shook shaken",
+      shoot: "shot",
+      show: "shown",
+      sing: "sang sung",
+      sink: "sank sunk",
+      sit: "sat",
+      sleep: "slept",
+      speak: "spoke spoken",
+      spend: "spent",
+      stand: "stood",
+      steal: "stole stolen",
+      strike: "struck",
+      swim: "swam swum",
+      take: "took taken",
+      teach: "taught",
+      tear: "tore torn",
+      tell: "told",
+      think: "thought",
+      throw: "threw thrown",
+      understand: "understood",
+      wake: "woke woken",
+      wear: "wore worn",
+      win: "won",
+      write: "wrote written",
+      child: "children",
+      foot: "feet",
+      goose: "geese",
+      man: "men",
+      mouse: "mice",
+      person: "people",
+      tooth: "teeth",
+      woman: "women",
+      knife: "knives",
+      life: "lives",
+      wife: "wives",
+      half: "halves",
+      wolf: "wolves",
+      analysis: "analyses",
+      criterion: "criteria",
+      phenomenon: "phenomena",
+      good: "better best",
+      bad: "worse worst",
+    }).flatMap(([base, forms]) => forms.split(" ").map((form) => [form, base]))
+  ),
+};
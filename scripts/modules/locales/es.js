@@ -0,0 +1,51 @@
+/**
+ * Spanish locale pack.
+ *
+ * See {@link registerLocale} for the shape of a locale pack.
+ */
+export const es = {
+  code: "es",
+  name: "Español",
+
+  // Words that end with a period without ending the sentence
+  abbreviations: new Set([
+    // Titles
+    "sr", "sra", "srta", "sres", "dr", "dra", "lic", "ing", "arq", "prof",
+    "d", "dña", "ud", "uds", "vd", "vds",
+    // Common abbreviations
+    "etc", "ej", "aprox", "cía", "cia", "s.a", "dpto", "depto", "admón",
+    "tel", "fig", "vol", "cap", "art", "pág", "págs", "núm", "ed",
+    // Location abbreviations
+    "av", "avda", "c", "pza", "ctra",
+    // Time/Date ("mar" is the sea)
+    "ene", "feb", "abr", "may", "jun", "jul", "ago", "sep", "sept",
+    "oct", "nov", "dic", "lun", "mié", "jue", "vie", "sáb", "dom",
+    // Units and measurements
+    "máx", "mín", "km", "kg", "cm", "mm",
+  ]),
+
+  // Common words left out of word frequency results such as "most common word"
+  stopWords: new Set([
+    "a", "al", "algo", "algunas", "algunos", "ante", "antes", "aquel",
+    "aquella", "aquellos", "aquí", "así", "aún", "bien", "cada", "como",
+    "cómo", "con", "contra", "cual", "cuál", "cuando", "cuándo", "de", "del",
+    "desde", "donde", "dónde", "durante", "e", "el", "él", "ella", "ellas",
+    "ellos", "en", "entre", "era", "eran", "eres", "es", "esa", "esas", "ese",
+    "eso", "esos", "esta", "está", "están", "estas", "este", "esto", "estos",
+    "fue", "fueron", "ha", "había", "han", "hasta", "hay", "la", "las", "le",
+    "les", "lo", "los", "más", "me", "mi", "mis", "mucho", "muy", "nada", "ni",
+    "no", "nos", "nosotros", "nuestra", "nuestro", "o", "os", "otra", "otro",
+    "otros", "para", "pero", "poco", "por", "porque", "qué", "que", "quien",
+    "quién", "se", "sea", "ser", "si", "sí", "sin", "sobre", "son", "su",
+    "sus", "también", "tan", "te", "tener", "tiene", "todo", "todos", "tu",
+    "tú", "tus", "un", "una", "uno", "unos", "usted", "ustedes", "y", "ya",
+    "yo",
+  ]),
+
+  sentenceTerminals: ".!?…",
+  closingPunctuation: "\"'”’»)]",
+
+  vowels: "aeiouáéíóúü",
+  // "y" is a vowel on its own ("y") and at the end of a word ("rey", "hoy")
+  yVowelRule: "final",
+};
@@ -0,0 +1,47 @@
+/**
+ * French locale pack.
+ *
+ * See {@link registerLocale} for the shape of a locale pack.
+ */
+export const fr = {
+  code: "fr",
+  name: "Français",
+
+  // Words that end with a period without ending the sentence
+  abbreviations: new Set([
+    // Titles
+    "m", "mm", "mme", "mmes", "mlle", "mlles", "dr", "pr", "me", "mgr", "st",
+    "ste",
+    // Common abbreviations
+    "etc", "cf", "env", "fig", "p", "pp", "vol", "chap", "éd", "n", "no",
+    "tél", "cie", "av", "apr",
+    // Location abbreviations
+    "bd", "boul", "pl", "rte",
+    // Time/Date; "mars", "sept", "mer" and "jeu" are words of their own
+    "janv", "févr", "avr", "juil", "oct", "nov", "déc",
+    "lun", "mar", "ven", "sam", "dim",
+    // Units and measurements
+    "max", "min", "km", "kg", "cm",
+  ]),
+
+  // Common words left out of word frequency results such as "most common word"
+  stopWords: new Set([
+    "à", "ai", "au", "aux", "avec", "avait", "avoir", "c'est", "ce", "ces",
+    "cet", "cette", "comme", "dans", "de", "des", "du", "elle", "elles", "en",
+    "est", "et", "était", "être", "eu", "eux", "il", "ils", "j'ai", "je",
+    "l'on", "la", "le", "les", "leur", "leurs", "lui", "ma", "mais", "me",
+    "même", "mes", "moi", "mon", "ne", "ni", "nos", "notre", "nous", "on",
+    "ont", "ou", "où", "par", "pas", "plus", "pour", "qu'il", "que", "qui",
+    "sa", "sans", "se", "ses", "si", "son", "sont", "sur", "ta", "te", "tes",
+    "toi", "ton", "tous", "tout", "toute", "très", "tu", "un", "une", "vos",
+    "votre", "vous", "y", "été", "fait", "faire", "peu", "bien", "aussi",
+    "alors", "donc", "car", "quand", "dont", "cela", "ça", "ceci",
+  ]),
+
+  sentenceTerminals: ".!?…",
+  closingPunctuation: "\"'”’»)]",
+
+  vowels: "aeiouàâæéèêëîïôœùûü",
+  // "y" is always a vowel ("stylo", "y")
+  yVowelRule: "always",
+};
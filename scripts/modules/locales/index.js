@@ -0,0 +1,62 @@
+import { en } from "./en.js";
+import { es } from "./es.js";
+import { fr } from "./fr.js";
+import { de } from "./de.js";
+import { pt } from "./pt.js";
+
+/**
+ * Registered locale packs keyed by language code.
+ */
+const locales = new Map([en, es, fr, de, pt].map((pack) => [pack.code, pack]));
+
+/**
+ * Register a locale pack, replacing any pack with the same code.
+ *
+ * A locale pack is an object with:
+ *
+ * - code: language code, e.g. "en"
+ * - name: language name in that language, for pickers
+ * - abbreviations: Set of lowercase words that end with a period without
+ *   ending the sentence
+ * - stopWords: Set of lowercase words left out of word frequency results
+ * - sentenceTerminals: string of characters that end a sentence
+ * - closingPunctuation: string of quotes and brackets that stay with the
+ *   sentence they follow
+ * - vowels: string of lowercase vowel letters
+ * - yVowelRule: when "y" is a vowel: "positional", "final" or "always"
+ * - stem: optional function reducing a lowercase word to its stem, to group
+ *   word forms in word frequency results
+ * - lemmas: optional Map of irregular lowercase word forms, such as "ran",
+ *   to their base form
+ *
+ * @param {*} pack - object
+ * @returns object
+ */
+export const registerLocale = (pack) => {
+  locales.set(pack.code, pack);
+  return pack;
+};
+
+/**
+ * Get the locale pack for a language code or tag. Region subtags fall back
+ * to the language ("es-MX" to "es") and unknown languages fall back to English.
+ * Locale pack objects are passed through unchanged.
+ *
+ * @param {*} locale - string or locale pack
+ * @returns object
+ */
+export const getLocale = (locale = "en") => {
+  if (locale && typeof locale === "object") {
+    return locale;
+  }
+
+  const code = String(locale).toLowerCase();
+  return locales.get(code) || locales.get(code.split("-")[0]) || en;
+};
+
+/**
+ * Get every registered locale pack.
+ *
+ * @returns object[]
+ */
+export const getLocales = () => Array.from(locales.values());
@@ -0,0 +1,47 @@
+/**
+ * Portuguese locale pack.
+ *
+ * See {@link registerLocale} for the shape of a locale pack.
+ */
+export const pt = {
+  code: "pt",
+  name: "Português",
+
+  // Words that end with a period without ending the sentence
+  abbreviations: new Set([
+    // Titles
+    "sr", "sra", "srta", "dr", "dra", "prof", "profa", "exmo", "exma", "eng",
+    "d",
+    // Common abbreviations
+    "etc", "fig", "vol", "cap", "art", "pág", "págs", "núm", "n", "no",
+    "ed", "tel", "lda", "ltda", "cia", "aprox",
+    // Location abbreviations
+    "av", "r", "pç", "rod",
+    // Time/Date; "mar", "set", "out", "dez" and "ter" are also words
+    "jan", "fev", "abr", "mai", "jun", "jul", "ago",
+    "nov", "seg", "qua", "qui", "sex", "sáb", "dom",
+    // Units and measurements
+    "máx", "mín", "km", "kg", "cm", "mm",
+  ]),
+
+  // Common words left out of word frequency results such as "most common word"
+  stopWords: new Set([
+    "a", "ao", "aos", "aquela", "aquele", "as", "às", "até", "com", "como",
+    "da", "das", "de", "dela", "dele", "deles", "depois", "do", "dos", "e",
+    "é", "ela", "elas", "ele", "eles", "em", "entre", "era", "essa", "esse",
+    "esta", "está", "estão", "este", "eu", "foi", "foram", "há", "isso",
+    "isto", "já", "lhe", "mais", "mas", "me", "mesmo", "meu", "minha",
+    "muito", "na", "nas", "não", "nem", "no", "nos", "nós", "nossa", "nosso",
+    "num", "numa", "o", "os", "ou", "para", "pela", "pelas", "pelo", "pelos",
+    "por", "quais", "qual", "quando", "que", "quem", "se", "sem", "ser",
+    "seu", "seus", "só", "sua", "suas", "também", "te", "tem", "têm", "ter",
+    "um", "uma", "umas", "uns", "você", "vocês", "vos",
+  ]),
+
+  sentenceTerminals: ".!?…",
+  closingPunctuation: "\"'”’»)]",
+
+  vowels: "aeiouáàâãéêíóôõú",
+  // "y" only appears in loanwords, where it is a vowel ("hobby")
+  yVowelRule: "always",
+};
@@ -0,0 +1,359 @@
+import { getConsensusGrade, getReadabilitySlowdown, getWordCount } from "./text-processor.js";
+
+/**
+ * Reading speed test: passages at several difficulty levels, each followed
+ * by comprehension questions, and the reader's measured speed, saved in
+ * this browser so estimates use it instead of the 250 WPM default.
+ *
+ * A passage is an object with:
+ *
+ * - id: unique id, e.g. "easy-lighthouse"
+ * - level: id of its level in readingTestLevels
+ * - title: shown above the passage
+ * - text: paragraphs separated by blank lines
+ * - questions: {question, choices, answer} objects, where answer is the
+ *   index of the right choice
+ */
+
+/**
+ * Difficulty levels of the passages, easiest first, with the consensus
+ * grades their passages measure.
+ */
+export const readingTestLevels = [
+  { id: "easy", name: "Easy", grades: "grades 5-6" },
+  { id: "standard", name: "Standard", grades: "grades 11-12" },
+  { id: "hard", name: "Hard", grades: "graduate level" },
+];
+
+const passages = [
+  {
+    id: "easy-lighthouse",
+    level: "easy",
+    title: "The Last Lighthouse Keeper",
+    text: `Mara lived on a small island with one lighthouse, two goats and a radio that only worked when the wind was calm. Her job was to keep the light burning every night so that ships would not hit the rocks.
+
+Each evening she climbed the ninety steps to the top of the tower. She cleaned the big glass lens with a soft cloth and checked that the lamp had enough oil. Then she wrote the weather in a thick blue book. She had filled eleven of those books in her time on the island.
+
+One winter night a storm broke the power line to the mainland. The new electric lamp went dark. Mara did not panic. She found the old oil lamp in the shed, carried it up the steps and lit it by hand. Far out at sea, a fishing boat saw the light and turned away from the rocks just in time.
+
+The next spring, the town sent a machine that could run the light by itself. Mara still climbs the steps every evening. She says the machine is good at its job, but it does not know how to write about the weather.`,
+    questions: [
+      {
+        question: "What did Mara use when the electric lamp went dark?",
+        choices: ["A flashlight from the radio", "An old oil lamp from the shed", "A fire on the beach", "The lamp from the fishing boat"],
+        answer: 1,
+      },
+      {
+        question: "How many weather books had Mara filled?",
+        choices: ["Two", "Nine", "Eleven", "Ninety"],
+        answer: 2,
+      },
+      {
+        question: "What did the town send in the spring?",
+        choices: ["A new keeper", "A boat", "A bigger radio", "A machine that runs the light"],
+        answer: 3,
+      },
+    ],
+  },
+  {
+    id: "easy-garden",
+    level: "easy",
+    title: "A Garden on the Roof",
+    text: `The building on Elm Street had a flat roof that nobody used. It was hot in the summer and covered in dry leaves in the fall. Then a group of neighbors asked the owner if they could grow food up there. He said yes, as long as they kept the drains clear.
+
+They started with twenty wooden boxes and bags of soil carried up the stairs one at a time. Some people planted tomatoes and beans. Others tried herbs, like basil and mint. A boy named Theo planted sunflowers, even though everyone told him they would blow over in the wind.
+
+The first year was hard. Birds ate the seeds, and a heat wave dried out half the boxes. So the neighbors put up nets and set up a rain barrel. They made a chart so that someone watered the plants every morning before work.
+
+By the second summer the roof was green. The neighbors shared their food at a long table every Friday night. Theo's sunflowers grew taller than the door to the stairs, and they never blew over once.`,
+    questions: [
+      {
+        question: "What did the owner ask the neighbors to do?",
+        choices: ["Pay rent for the roof", "Keep the drains clear", "Grow only flowers", "Share the food with him"],
+        answer: 1,
+      },
+      {
+        question: "Why did the neighbors put up nets?",
+        choices: ["Birds ate the seeds", "The wind was too strong", "To give the plants shade", "To keep out the rain"],
+        answer: 0,
+      },
+      {
+        question: "What happened to Theo's sunflowers?",
+        choices: ["They blew over", "Birds ate them", "They dried out in the heat", "They grew taller than the door"],
+        answer: 3,
+      },
+    ],
+  },
+  {
+    id: "standard-bees",
+    level: "standard",
+    title: "How Honeybees Share Directions",
+    text: `When a honeybee discovers a rich patch of flowers, she faces a problem: how can she tell thousands of her sisters where to find it? Bees cannot draw maps, yet a colony can send its foragers to a meadow several kilometers away within an hour of the first discovery.
+
+The answer is a behavior known as the waggle dance. Back inside the dark hive, the returning forager walks in a straight line across the vertical honeycomb while shaking her body from side to side, then circles back and repeats the run. The angle of the straight run, measured from vertical, matches the angle between the food and the sun. A run pointing straight up means "fly toward the sun," while a run tilted forty degrees to the right means "fly forty degrees to the right of it."
+
+Distance is encoded differently. The longer the waggle portion of each run lasts, the farther away the flowers are. Researchers have estimated that each second of waggling represents roughly a kilometer of flight, although the exact scale varies between colonies.
+
+Other bees follow the dancer closely, sensing her movements through the vibrations in the comb and the scent of the flowers on her body. Remarkably, the dance stays accurate even as the sun moves across the sky, because foragers adjust the angle to account for the time that has passed.`,
+    questions: [
+      {
+        question: "What does the angle of the straight run tell other bees?",
+        choices: ["How far away the flowers are", "The direction of the food relative to the sun", "Which kind of flower was found", "How much nectar is available"],
+        answer: 1,
+      },
+      {
+        question: "According to the passage, how is distance communicated?",
+        choices: ["By the length of the waggle portion", "By the number of circles", "By the loudness of buzzing", "By the strength of the scent"],
+        answer: 0,
+      },
+      {
+        question: "Why does the dance stay accurate as the day goes on?",
+        choices: ["Bees only dance at noon", "The hive faces the sun", "Foragers adjust for the sun's movement", "Other bees correct the dancer"],
+        answer: 2,
+      },
+    ],
+  },
+  {
+    id: "standard-pencil",
+    level: "standard",
+    title: "The Surprising History of the Pencil",
+    text: `For something so ordinary, the pencil has a remarkably complicated history. In the sixteenth century, shepherds in northern England discovered a large deposit of an unusually pure, solid graphite. Because it left a dark mark and was easy to handle, locals began using it to mark their sheep, and soon merchants were selling sticks of it wrapped in string or sheepskin.
+
+The English deposit was so valuable that it was guarded, and exports were restricted. Other countries had to find a substitute. In the 1790s, during a war that cut France off from English graphite, an engineer named Nicolas-Jacques Conté developed a method of mixing powdered graphite with clay and baking the mixture in a kiln. By changing the proportion of clay, he could make leads that were harder or softer, which is still how pencil grades are produced today.
+
+The familiar wooden casing came from a different tradition. Craftsmen in Germany and later in the United States learned to cut grooves into two thin boards of cedar, lay the leads inside, and glue the halves together. Cedar was preferred because it is soft enough to sharpen cleanly without splintering.
+
+Even the yellow paint has a story. In the late nineteenth century, the best graphite came from China, and some manufacturers painted their pencils yellow, a color associated with Chinese royalty, to signal quality.`,
+    questions: [
+      {
+        question: "What did Conté's method let manufacturers control?",
+        choices: ["The color of the paint", "How hard or soft the lead was", "The type of wood used", "The length of the pencil"],
+        answer: 1,
+      },
+      {
+        question: "Why was cedar used for the casing?",
+        choices: ["It smells pleasant", "It was the cheapest wood", "It sharpens without splintering", "It grows near graphite deposits"],
+        answer: 2,
+      },
+      {
+        question: "Why were some pencils painted yellow?",
+        choices: ["To make them easy to find", "To signal high-quality graphite", "Because yellow paint was cheapest", "To honor English shepherds"],
+        answer: 1,
+      },
+    ],
+  },
+  {
+    id: "hard-attention",
+    level: "hard",
+    title: "The Economics of Attention",
+    text: `In 1971 the economist and cognitive scientist Herbert Simon observed that an abundance of information creates a corresponding scarcity: a wealth of information consumes the attention of its recipients. His remark has become foundational to what is now described as the attention economy, an analytical framework that treats human attention, rather than information itself, as the fundamentally constrained resource.
+
+The implications are counterintuitive. Conventional economic reasoning assumes that additional information improves decisions, because consumers can compare alternatives more comprehensively. Yet if evaluating information requires limited cognitive capacity, then each additional option imposes a cost, and beyond a certain threshold, expanding the available choices may degrade rather than improve the quality of decisions. Experimental research on choice overload, although its effects are contested and appear to depend heavily on context, has been interpreted as partial evidence for this proposition.
+
+Organizations competing for attention consequently face incentives that diverge from those of a traditional marketplace. Where revenue depends on engagement rather than on direct payment, the optimal strategy is not necessarily to provide the most accurate or useful information, but to provide whatever most reliably captures and retains attention. Critics argue that this produces a systematic bias toward novelty, emotional intensity and conflict.
+
+Proposed remedies range from individual practices, such as deliberately restricting one's information diet, to structural interventions, including regulation of interface designs that exploit predictable cognitive tendencies.`,
+    questions: [
+      {
+        question: "According to Simon, what does an abundance of information create?",
+        choices: ["A scarcity of attention", "Better decisions", "Lower prices", "More competition among consumers"],
+        answer: 0,
+      },
+      {
+        question: "How does the passage describe the evidence on choice overload?",
+        choices: ["Conclusive and universal", "Contested and context-dependent", "Entirely disproven", "Limited to economics"],
+        answer: 1,
+      },
+      {
+        question: "What incentive do engagement-funded organizations face, according to critics?",
+        choices: ["To maximize accuracy", "To reduce the number of choices", "To favor novelty, emotion and conflict", "To charge direct payments"],
+        answer: 2,
+      },
+    ],
+  },
+  {
+    id: "hard-memory",
+    level: "hard",
+    title: "Memory Reconsolidation",
+    text: `For much of the twentieth century, neuroscientists generally assumed that memories, once consolidated into long-term storage, remained relatively stable. Consolidation was understood as a time-dependent process during which newly acquired information, initially fragile and susceptible to disruption, became progressively resistant to interference through protein synthesis and structural modifications at synapses.
+
+Experiments conducted around 2000 complicated this account considerably. Researchers demonstrated that when rats retrieved a previously consolidated fear memory, administering a protein-synthesis inhibitor immediately afterward impaired subsequent expression of that memory, whereas administering the same inhibitor without retrieval had no comparable effect. The interpretation was striking: retrieval apparently returned the memory to a labile state, requiring it to be stabilized again, a process designated reconsolidation.
+
+The theoretical consequences are substantial. If recalling a memory temporarily renders it modifiable, then remembering is not merely the passive reading of a fixed record but an active reconstruction, during which the memory may be strengthened, weakened or updated with contemporary information. This framework offers one plausible mechanism for the well-documented malleability of human recollection.
+
+Clinical researchers have investigated whether reconsolidation might be exploited therapeutically, for instance by pairing the recall of traumatic memories with pharmacological or behavioral interventions. Results have been mixed, and the boundary conditions determining when retrieval triggers reconsolidation remain incompletely understood.`,
+    questions: [
+      {
+        question: "What did the experiments around 2000 suggest about retrieval?",
+        choices: ["It makes memories permanently stable", "It returns a memory to a modifiable state", "It has no effect on stored memories", "It only works for fear memories in humans"],
+        answer: 1,
+      },
+      {
+        question: "What happened when the inhibitor was given without retrieval?",
+        choices: ["The memory was erased", "The memory became stronger", "There was no comparable effect", "The rats learned faster"],
+        answer: 2,
+      },
+      {
+        question: "How does the passage describe the clinical results?",
+        choices: ["Consistently successful", "Mixed", "Not yet attempted", "Harmful"],
+        answer: 1,
+      },
+    ],
+  },
+];
+
+/**
+ * Key of the saved reading speed in localStorage.
+ */
+const storageKey = "text-counter-pro:reading-speed";
+
+/**
+ * Lowest and highest speeds that are saved; results outside them are
+ * almost certainly a skimmed or abandoned test.
+ */
+const minSavedSpeed = 50;
+const maxSavedSpeed = 1500;
+
+/**
+ * Share of questions a reader must answer correctly for the speed of a test
+ * to count; below it, the passage was most likely skimmed.
+ */
+export const minComprehension = 2 / 3;
+
+/**
+ * Helper function to add the word count and consensus grade a passage is
+ * calibrated with.
+ *
+ * @param {*} passage - object
+ * @returns object - the passage with words and grade
+ */
+const describePassage = (passage) => ({
+  ...passage,
+  words: getWordCount(passage.text),
+  grade: getConsensusGrade(passage.text),
+});
+
+/**
+ * Get the passages of a level, or of every level.
+ *
+ * @param {*} level - level id, or undefined for every level
+ * @returns object[] - passages with their words and grade
+ */
+export const getReadingTestPassages = (level) =>
+  passages.filter((passage) => !level || passage.level === level).map(describePassage);
+
+/**
+ * Pick a passage of a level at random, avoiding the one just read where the
+ * level has another.
+ *
+ * @param {*} level - level id
+ * @param {*} previousId - id of the passage last read, or undefined
+ * @returns object - passage with its words and grade
+ */
+export const pickReadingTestPassage = (level, previousId) => {
+  const candidates = passages.filter((passage) => passage.level === level);
+  if (candidates.length === 0) throw new Error("Choose a difficulty level for the test.");
+
+  const fresh = candidates.filter((passage) => passage.id !== previousId);
+  const pool = fresh.length > 0 ? fresh : candidates;
+  return describePassage(pool[Math.floor(Math.random() * pool.length)]);
+};
+
+/**
+ * Score a reading test. The effective speed is the raw speed multiplied by
+ * the share of questions answered correctly, so that skimming does not pay,
+ * and it only counts when at least minComprehension of them were right.
+ *
+ * The plain speed is the effective speed taken back to plain text. A hard
+ * passage is read slower, by the {@link getReadabilitySlowdown} of its
+ * grade, and {@link calculateReadingTime} applies the slowdown of each text
+ * to the speed it is given, so that slowdown must not be counted twice.
+ *
+ * @param {*} passage - object from pickReadingTestPassage
+ * @param {*} seconds - number, time taken to read the passage
+ * @param {*} answers - chosen choice index of each question, or null when unanswered
+ * @returns {Object} - {passage, level, words, seconds, wordsPerMinute,
+ *   correct, total, comprehension, passed, effectiveWordsPerMinute,
+ *   plainWordsPerMinute}
+ */
+export const scoreReadingTest = (passage, seconds, answers) => {
+  if (!(seconds > 0)) throw new Error("The reading time must be above 0 seconds.");
+
+  const words = passage.words ?? getWordCount(passage.text);
+  const total = passage.questions.length;
+  const correct = passage.questions.filter((question, i) => answers[i] === question.answer).length;
+  const wordsPerMinute = (words / seconds) * 60;
+  const comprehension = total > 0 ? correct / total : 1;
+  const slowdown = getReadabilitySlowdown(passage.grade ?? getConsensusGrade(passage.text));
+
+  return {
+    passage: passage.id,
+    level: passage.level,
+    words: words,
+    seconds: seconds,
+    wordsPerMinute: Math.round(wordsPerMinute),
+    correct: correct,
+    total: total,
+    comprehension: comprehension,
+    passed: comprehension >= minComprehension,
+    effectiveWordsPerMinute: Math.round(wordsPerMinute * comprehension),
+    plainWordsPerMinute: Math.round(wordsPerMinute * comprehension * slowdown),
+  };
+};
+
+/**
+ * Save the plain speed of a passed test in this browser, the speed reading
+ * times are calculated with. Nothing is saved for a failed test, where
+ * storage is unavailable, such as in some private browsing modes, or when
+ * the speed is implausible.
+ *
+ * @param {*} result - object from scoreReadingTest
+ * @returns object - the saved speed, or null when it was not saved
+ */
+export const saveReadingSpeed = (result) => {
+  const wordsPerMinute = result.plainWordsPerMinute;
+  if (!result.passed || !(wordsPerMinute >= minSavedSpeed && wordsPerMinute <= maxSavedSpeed)) return null;
+
+  const saved = {
+    wordsPerMinute: wordsPerMinute,
+    effectiveWordsPerMinute: result.effectiveWordsPerMinute,
+    rawWordsPerMinute: result.wordsPerMinute,
+    comprehension: result.comprehension,
+    level: result.level,
+    passage: result.passage,
+    testedAt: new Date().toISOString(),
+  };
+
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(saved));
+  } catch (error) {
+    console.warn("Cannot save reading speed:", error);
+    return null;
+  }
+  return saved;
+};
+
+/**
+ * Load the reading speed saved in this browser.
+ *
+ * @returns object from saveReadingSpeed, or null
+ */
+export const loadReadingSpeed = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    return saved && saved.wordsPerMinute >= minSavedSpeed && saved.wordsPerMinute <= maxSavedSpeed ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Forget the reading speed saved in this browser.
+ */
+export const clearReadingSpeed = () => {
+  try {
+    localStorage.removeItem(storageKey);
+  } catch (error) {
+    console.warn("Cannot clear reading speed:", error);
+  }
+};
@@ -0,0 +1,510 @@
+import { createTextAnalyzer } from "./text-analyzer.js";
+import { formatTimestamp } from "./text-processor.js";
+
+/**
+ * Report formats understood by {@link formatReport}.
+ */
+export const reportFormats = [
+  { code: "json", name: "JSON", extension: "json", type: "application/json" },
+  { code: "csv", name: "CSV", extension: "csv", type: "text/csv" },
+  { code: "markdown", name: "Markdown", extension: "md", type: "text/markdown" },
+  { code: "html", name: "Printable HTML", extension: "html", type: "text/html" },
+];
+
+/**
+ * Most frequent words listed in the Markdown and HTML reports; JSON and CSV
+ * reports list every word.
+ */
+const maxListedWords = 100;
+
+const characterLabels = {
+  total: "Characters",
+  noSpaces: "Characters (no spaces)",
+  letters: "Letters",
+  upperCase: "Uppercase letters",
+  lowerCase: "Lowercase letters",
+  vowels: "Vowels",
+  consonants: "Consonants",
+  numbers: "Digits",
+  whitespace: "Whitespace",
+  spaces: "Spaces",
+  tabs: "Tabs",
+  newLines: "Line breaks",
+  punctuation: "Punctuation",
+  special: "Special characters",
+  symbols: "Symbols",
+  emoji: "Emoji",
+  ascii: "ASCII characters",
+  nonAscii: "Non-ASCII characters",
+};
+
+const readabilityLabels = {
+  fleschReadingEase: "Flesch Reading Ease",
+  fleschKincaidGrade: "Flesch-Kincaid Grade",
+  gunningFog: "Gunning Fog Index",
+  smogIndex: "SMOG Index",
+  colemanLiauIndex: "Coleman-Liau Index",
+  automatedReadabilityIndex: "Automated Readability Index",
+  daleChallScore: "Dale-Chall Score",
+  linsearWriteGrade: "Linsear Write Grade",
+  consensusGrade: "Consensus Grade",
+};
+
+const highlightLabels = {
+  hardSentences: "Hard sentences",
+  veryHardSentences: "Very hard sentences",
+  passiveSentences: "Passive sentences",
+  adverbs: "Adverbs",
+  polysyllables: "Complex words",
+};
+
+/**
+ * Hash text so a report can be matched to the exact text it describes:
+ * SHA-256 of its UTF-8 bytes, or 32-bit FNV-1a where Web Crypto is
+ * unavailable (pages served over plain HTTP).
+ *
+ * @param {*} text - string
+ * @returns Promise of {algorithm, value} with a hex value
+ */
+export const hashText = async (text) => {
+  const bytes = new TextEncoder().encode(text);
+
+  if (globalThis.crypto && globalThis.crypto.subtle) {
+    const digest = new Uint8Array(await globalThis.crypto.subtle.digest("SHA-256", bytes));
+    return {
+      algorithm: "SHA-256",
+      value: Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join(""),
+    };
+  }
+
+  let hash = 0x811c9dc5;
+  for (const byte of bytes) {
+    hash = Math.imul(hash ^ byte, 0x01000193);
+  }
+
+  return { algorithm: "FNV-1a", value: (hash >>> 0).toString(16).padStart(8, "0") };
+};
+
+/**
+ * Helper function to round a statistic for a report.
+ *
+ * @param {*} value - number
+ * @returns number
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Analyzer for texts whose analysis is missing or incomplete, created on first
+ * use. It is kept apart from the pages' analyzers so a report never supersedes
+ * the analysis a page is showing.
+ */
+let reportAnalyzer = null;
+
+/**
+ * Create a report of a text's analysis: counts, character breakdown, word
+ * frequency, readability scores and passive-voice findings, stamped with the
+ * time and a hash of the text.
+ *
+ * Pass the analysis a page already has to report exactly what it shows; the
+ * text is analyzed again, off the main thread, when the analysis is missing
+ * or still incomplete.
+ *
+ * @param {*} text - string
+ * @param {*} analysis - object from analyzeText, or null
+ * @param {*} details - {page, options}, where options are the analyzeText
+ *   options the page uses
+ * @returns Promise of report object
+ */
+export const createReport = async (text, analysis, details = {}) => {
+  const { page = "", options = {} } = details;
+  let result = analysis;
+
+  if (!result || !result.readability || !result.frequencies) {
+    reportAnalyzer = reportAnalyzer || createTextAnalyzer();
+    result = await reportAnalyzer.analyze(text, options);
+    if (!result) throw new Error("The report was superseded by a newer one.");
+  }
+  const totalWords = result.words.count;
+
+  return {
+    title: "Text Counter Pro report",
+    page: page,
+    generatedAt: new Date().toISOString(),
+    text: {
+      hash: await hashText(text),
+      length: text.length,
+    },
+    settings: {
+      locale: result.locale,
+      format: result.content.format,
+      ...(options.mode && { characterMode: options.mode }),
+      ...(options.wordsPerMinute !== undefined && { wordsPerMinute: options.wordsPerMinute }),
+      ...(options.groupBy && options.groupBy !== "word" && { wordGrouping: options.groupBy }),
+      ...(result.speaking && { speakingPreset: result.speaking.preset }),
+    },
+    counts: {
+      words: totalWords,
+      uniqueWords: result.words.unique,
+      sentences: result.sentences.count,
+      paragraphs: result.paragraphs.count,
+      averageWordLength: round(result.words.averageLength),
+      averageWordsPerSentence: round(result.sentences.averageWords),
+      averageSentencesPerParagraph: round(result.paragraphs.averageSentences),
+      longestWord: result.words.longest,
+      shortestWord: result.words.shortest,
+      readingTime: result.readingTime.readable,
+      ...(result.speaking && { speakingTime: result.speaking.readable }),
+    },
+    content: result.content,
+    characters: result.characters,
+    wordFrequency: result.frequencies.all.map(([word, count]) => ({
+      word: word,
+      count: count,
+      percentage: totalWords > 0 ? round((count / totalWords) * 100) : 0,
+    })),
+    ...(result.speaking && {
+      speakingCues: result.speaking.paragraphs.map((paragraph, i) => ({
+        paragraph: i + 1,
+        slide: paragraph.slide + 1,
+        time: formatTimestamp(paragraph.startTime),
+        words: paragraph.words,
+        seconds: round(paragraph.seconds),
+      })),
+    }),
+    readability: result.readability,
+    passiveVoice: {
+      percentage: round(result.passiveVoice.percentage),
+      description: result.passiveVoice.description,
+      constructions: result.passiveVoice.constructions.map((construction) => ({
+        sentence: construction.sentenceIndex + 1,
+        text: construction.text,
+        auxiliary: construction.auxiliary.text,
+        participle: construction.participle.text,
+        agent: construction.agent ? construction.agent.text : null,
+      })),
+    },
+    highlights: Object.fromEntries(
+      Object.entries(result.highlights).map(([key, spans]) => [key, spans.length])
+    ),
+  };
+};
+
+/**
+ * Helper function to list a report's statistics as titled sections of
+ * [label, value] rows, shared by the CSV, Markdown and HTML formats.
+ *
+ * @param {*} report - object from createReport
+ * @returns {Object[]} - {title, rows} sections
+ */
+const getReportSections = (report) => {
+  const { counts, content } = report;
+  const sections = [
+    {
+      title: "Report",
+      rows: [
+        ["Page", report.page],
+        ["Generated", report.generatedAt],
+        [`Text hash (${report.text.hash.algorithm})`, report.text.hash.value],
+        ["Text length", report.text.length],
+        ["Language", report.settings.locale],
+        ["Format", report.settings.format],
+        ...(report.settings.characterMode ? [["Character mode", report.settings.characterMode]] : []),
+        ...(report.settings.wordsPerMinute !== undefined ? [["Words per minute", report.settings.wordsPerMinute]] : []),
+        ...(report.settings.wordGrouping ? [["Word grouping", report.settings.wordGrouping]] : []),
+        ...(report.settings.speakingPreset ? [["Speaking pace", report.settings.speakingPreset]] : []),
+      ],
+    },
+    {
+      title: "Counts",
+      rows: [
+        ["Words", counts.words],
+        ["Unique words", counts.uniqueWords],
+        ["Sentences", counts.sentences],
+        ["Paragraphs", counts.paragraphs],
+        ["Average word length", counts.averageWordLength],
+        ["Average words per sentence", counts.averageWordsPerSentence],
+        ["Average sentences per paragraph", counts.averageSentencesPerParagraph],
+        ["Longest word", counts.longestWord],
+        ["Shortest word", counts.shortestWord],
+        ["Reading time", counts.readingTime],
+        ...(counts.speakingTime ? [["Speaking time", counts.speakingTime]] : []),
+      ],
+    },
+  ];
+
+  if (report.speakingCues) {
+    sections.push({
+      title: "Speaking cues",
+      rows: report.speakingCues.map((cue) => [
+        `Paragraph ${cue.paragraph}${cue.slide > 1 ? ` (slide ${cue.slide})` : ""}`,
+        cue.time,
+      ]),
+    });
+  }
+
+  if (content.format !== "plain") {
+    sections.push({
+      title: "Markup",
+      rows: [
+        ["Headings", content.headings.count],
+        ["Heading words", content.headings.words],
+        ["Code blocks", content.code.blocks],
+        ["Code lines", content.code.lines],
+        ["Inline code spans", content.code.inline],
+        ["Code words (not counted)", content.code.words],
+        ["Tables", content.tables.count],
+        ["Table rows", content.tables.rows],
+        ["Links", content.links],
+        ["Images", content.images],
+      ],
+    });
+  }
+
+  sections.push(
+    {
+      title: "Characters",
+      rows: Object.entries(characterLabels).map(([key, label]) => [label, report.characters[key]]),
+    },
+    {
+      title: "Readability",
+      rows: Object.entries(readabilityLabels).map(([key, label]) => [label, report.readability[key]]),
+    },
+    {
+      title: "Writing highlights",
+      rows: Object.entries(highlightLabels).map(([key, label]) => [label, report.highlights[key]]),
+    },
+    {
+      title: "Passive voice",
+      rows: [
+        ["Passive sentences (%)", report.passiveVoice.percentage],
+        ["Assessment", report.passiveVoice.description],
+        ["Passive constructions", report.passiveVoice.constructions.length],
+      ],
+    }
+  );
+
+  return sections;
+};
+
+/**
+ * Helper function to quote a CSV field. Fields that a spreadsheet would run
+ * as a formula are prefixed with an apostrophe.
+ *
+ * @param {*} value - string | number | null
+ * @returns {string} - field
+ */
+const toCsvField = (value) => {
+  let field = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+};
+
+/**
+ * Helper function to escape a value for a Markdown table cell.
+ *
+ * @param {*} value - string | number | null
+ * @returns {string} - cell text
+ */
+const toMarkdownCell = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\|/g, "\\|")
+    .replace(/\s+/g, " ");
+
+/**
+ * Helper function to escape text for HTML.
+ *
+ * @param {*} value - string | number | null
+ * @returns {string} - escaped text
+ */
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (character) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[character]
+  );
+
+const formatCsv = (report) => {
+  const lines = [["Section", "Item", "Value"].join(",")];
+
+  for (const section of getReportSections(report)) {
+    for (const [label, value] of section.rows) {
+      lines.push([section.title, label, value].map(toCsvField).join(","));
+    }
+  }
+  for (const { word, count } of report.wordFrequency) {
+    lines.push(["Word frequency", word, count].map(toCsvField).join(","));
+  }
+  for (const construction of report.passiveVoice.constructions) {
+    lines.push(
+      ["Passive construction", `Sentence ${construction.sentence}`, construction.text].map(toCsvField).join(",")
+    );
+  }
+
+  return lines.join("\r\n") + "\r\n";
+};
+
+const formatMarkdown = (report) => {
+  const lines = [`# ${report.title}`, ""];
+
+  for (const section of getReportSections(report)) {
+    lines.push(`## ${section.title}`, "", "| Item | Value |", "| --- | --- |");
+    for (const [label, value] of section.rows) {
+      lines.push(`| ${toMarkdownCell(label)} | ${toMarkdownCell(value)} |`);
+    }
+    lines.push("");
+  }
+
+  const words = report.wordFrequency.slice(0, maxListedWords);
+  lines.push("## Word frequency", "");
+  if (report.wordFrequency.length > words.length) {
+    lines.push(`Top ${words.length} of ${report.wordFrequency.length} words.`, "");
+  }
+  lines.push("| Word | Count | % of words |", "| --- | ---: | ---: |");
+  for (const { word, count, percentage } of words) {
+    lines.push(`| ${toMarkdownCell(word)} | ${count} | ${percentage} |`);
+  }
+  lines.push("");
+
+  if (report.passiveVoice.constructions.length > 0) {
+    lines.push("## Passive constructions", "", "| Sentence | Construction | Agent |", "| ---: | --- | --- |");
+    for (const construction of report.passiveVoice.constructions) {
+      lines.push(
+        `| ${construction.sentence} | ${toMarkdownCell(construction.text)} | ${toMarkdownCell(construction.agent ?? "")} |`
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+};
+
+const formatHtml = (report) => {
+  const table = (head, rows) =>
+    `<table><thead><tr>${head.map((cell) => `<th>${escapeHtml(cell)}</th>`).join("")}</tr></thead><tbody>` +
+    rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("") +
+    "</tbody></table>";
+
+  const words = report.wordFrequency.slice(0, maxListedWords);
+  const sections = getReportSections(report).map(
+    (section) => `<section><h2>${escapeHtml(section.title)}</h2>${table(["Item", "Value"], section.rows)}</section>`
+  );
+
+  sections.push(
+    `<section><h2>Word frequency</h2>` +
+      (report.wordFrequency.length > words.length
+        ? `<p>Top ${words.length} of ${report.wordFrequency.length} words.</p>`
+        : "") +
+      table(
+        ["Word", "Count", "% of words"],
+        words.map(({ word, count, percentage }) => [word, count, percentage])
+      ) +
+      `</section>`
+  );
+
+  if (report.passiveVoice.constructions.length > 0) {
+    sections.push(
+      `<section><h2>Passive constructions</h2>` +
+        table(
+          ["Sentence", "Construction", "Agent"],
+          report.passiveVoice.constructions.map((construction) => [
+            construction.sentence,
+            construction.text,
+            construction.agent ?? "",
+          ])
+        ) +
+        `</section>`
+    );
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)} – ${escapeHtml(report.generatedAt)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, -apple-system, "Segoe UI", sans-serif; color: #111827; margin: 2rem auto; max-width: 48rem; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin: 0 0 1rem; }
+  h2 { font-size: 1.125rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #f3f4f6; vertical-align: top; word-break: break-word; }
+  th { font-weight: 600; color: #4b5563; }
+  p { color: #4b5563; margin: 0 0 0.5rem; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    section { break-inside: avoid; }
+    tr { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.title)}</h1>
+${sections.join("\n")}
+</body>
+</html>
+`;
+};
+
+/**
+ * Serialize a report to a file.
+ *
+ * @param {*} report - object from createReport
+ * @param {*} format - "json" | "csv" | "markdown" | "html"
+ * @returns {Object} - {name, type, content}
+ */
+export const formatReport = (report, format) => {
+  const reportFormat = reportFormats.find((candidate) => candidate.code === format) || reportFormats[0];
+  const stamp = report.generatedAt.replace(/\.\d+Z$/, "Z").replace(/[:]/g, "-");
+  const formatters = {
+    json: (data) => JSON.stringify(data, null, 2) + "\n",
+    csv: formatCsv,
+    markdown: formatMarkdown,
+    html: formatHtml,
+  };
+
+  return {
+    name: `text-report-${stamp}.${reportFormat.extension}`,
+    type: `${reportFormat.type};charset=utf-8`,
+    content: formatters[reportFormat.code](report),
+  };
+};
+
+/**
+ * Download a file made in the browser.
+ *
+ * @param {*} file - {name, type, content}
+ */
+export const downloadFile = (file) => {
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = file.name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Save a report: JSON, CSV and Markdown reports are downloaded, and the HTML
+ * report opens in a new window with the print dialog, to print or save as
+ * PDF. It is downloaded instead when the window is blocked.
+ *
+ * @param {*} report - object from createReport
+ * @param {*} format - "json" | "csv" | "markdown" | "html"
+ */
+export const saveReport = (report, format) => {
+  const file = formatReport(report, format);
+
+  if (format === "html") {
+    const printWindow = window.open("", "_blank");
+    if (printWindow) {
+      printWindow.document.write(file.content);
+      printWindow.document.close();
+      printWindow.focus();
+      printWindow.print();
+      return;
+    }
+  }
+
+  downloadFile(file);
+};
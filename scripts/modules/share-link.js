@@ -0,0 +1,150 @@
+/**
+ * Share links carry the text and the tool settings in the URL fragment,
+ * which browsers never send to the server: "#share=" followed by the
+ * deflated JSON payload in base64url. Other fragments, such as the section
+ * anchors scroll-nav.js writes, are left alone.
+ */
+const sharePrefix = "#share=";
+const shareVersion = 1;
+
+/**
+ * Longest link we create. Chrome accepts URLs of up to 2 MB, other browsers
+ * and most messaging apps less.
+ */
+export const maxShareLinkLength = 1000000;
+
+/**
+ * Most bytes a share link may inflate to, so that a crafted link cannot
+ * exhaust memory. A link of maxShareLinkLength characters carries about
+ * 750 KB of deflated data, and prose deflates to around a third of its
+ * size, so links we create stay far below it.
+ */
+const maxPayloadSize = 8 * 1024 * 1024;
+
+/**
+ * Helper function to run bytes through a CompressionStream or
+ * DecompressionStream, giving up once the output grows past the limit.
+ *
+ * @param {*} bytes - Uint8Array
+ * @param {*} transform - CompressionStream or DecompressionStream
+ * @returns Promise of Uint8Array, or null if the output is too large
+ */
+const pipeBytes = async (bytes, transform) => {
+  const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+    if (length > maxPayloadSize) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+};
+
+/**
+ * Helper function to encode bytes as base64url, without padding.
+ *
+ * @param {*} bytes - Uint8Array
+ * @returns {string} - base64url
+ */
+const toBase64Url = (bytes) => {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+/**
+ * Helper function to decode base64url, with or without padding.
+ *
+ * @param {*} value - string
+ * @returns {Uint8Array} - bytes
+ */
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * Check whether a URL fragment is a share link.
+ *
+ * @param {*} hash - string, such as location.hash
+ * @returns {boolean}
+ */
+export const isShareHash = (hash) => typeof hash === "string" && hash.startsWith(sharePrefix);
+
+/**
+ * Create a link that opens the text with the given settings.
+ *
+ * @param {*} text - string
+ * @param {*} settings - object of tool settings, such as {locale, format}
+ * @param {*} base - string, URL of the page to open (defaults to this page)
+ * @returns Promise of string URL
+ */
+export const createShareLink = async (text, settings = {}, base = location.href) => {
+  if (typeof CompressionStream === "undefined") throw new Error("This browser cannot create share links.");
+
+  const payload = new TextEncoder().encode(JSON.stringify({ v: shareVersion, text: text, settings: settings }));
+  const compressed = await pipeBytes(payload, new CompressionStream("deflate-raw"));
+  if (!compressed) throw new Error("This text is too long to share as a link. Export a report instead.");
+
+  const url = new URL(base);
+  url.hash = sharePrefix + toBase64Url(compressed);
+
+  if (url.href.length > maxShareLinkLength) {
+    throw new Error("This text is too long to share as a link. Export a report instead.");
+  }
+  return url.href;
+};
+
+/**
+ * Read the text and settings from a share link's fragment.
+ *
+ * @param {*} hash - string, such as location.hash
+ * @returns Promise of {text, settings}, or null if the fragment is not a share link
+ */
+export const readShareLink = async (hash) => {
+  if (!isShareHash(hash)) return null;
+  if (typeof DecompressionStream === "undefined") throw new Error("This browser cannot open share links.");
+
+  let bytes;
+  let payload;
+  try {
+    const compressed = fromBase64Url(decodeURIComponent(hash.slice(sharePrefix.length)));
+    bytes = await pipeBytes(compressed, new DecompressionStream("deflate-raw"));
+    payload = bytes && JSON.parse(new TextDecoder("utf-8", { fatal: true }).decode(bytes));
+  } catch {
+    throw new Error("The share link is incomplete or damaged. Ask for it to be sent again.");
+  }
+
+  if (!bytes) throw new Error("The shared text is too large to open.");
+
+  if (!payload || typeof payload.text !== "string") {
+    throw new Error("The share link is incomplete or damaged. Ask for it to be sent again.");
+  }
+  if (payload.v > shareVersion) {
+    throw new Error("The share link was made by a newer version of Text Counter Pro. Reload the page and try again.");
+  }
+
+  return {
+    text: payload.text,
+    settings: payload.settings && typeof payload.settings === "object" ? payload.settings : {},
+  };
+};
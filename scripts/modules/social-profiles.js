@@ -0,0 +1,577 @@
+/**
+ * Social platform profiles: how long a post may be on each platform and how
+ * the platform counts it.
+ *
+ * A profile is an object with:
+ *
+ * - id: unique id, e.g. "x"
+ * - name: platform and field name, for display
+ * - icon: emoji shown next to the name
+ * - limit: most characters allowed
+ * - counting: how the platform counts characters:
+ *   - "weighted": X/Twitter, where CJK and most other non-Latin characters
+ *     and every emoji count twice
+ *   - "grapheme": user-perceived characters
+ *   - "codepoint": Unicode code points
+ *   - "utf16": UTF-16 code units, the same as String.prototype.length
+ * - urls: how a link counts: a number of characters for platforms that
+ *   shorten every link (23 on X and Mastodon), "display" for the shortened
+ *   form Bluesky shows, or null to count links as typed
+ * - mentionDomains: whether the domain of "@user@example.social" counts
+ *   (Mastodon only counts "@user")
+ * - warning: characters left at which the count turns to a warning
+ * - hashtagLimit: most hashtags allowed or used, or null for no limit
+ * - mentionLimit: most mentions allowed, or null for no limit
+ * - description: one sentence about the limit
+ * - editableLimit: whether users may change the limit, such as for their
+ *   Mastodon instance
+ * - custom: true for profiles users added themselves
+ */
+const builtInProfiles = [
+  {
+    id: "x",
+    name: "X (Twitter)",
+    icon: "𝕏",
+    limit: 280,
+    counting: "weighted",
+    urls: 23,
+    mentionDomains: true,
+    warning: 70,
+    hashtagLimit: null,
+    mentionLimit: null,
+    description:
+      "280 characters, where CJK characters and emoji count twice and every link counts as 23.",
+  },
+  {
+    id: "threads",
+    name: "Threads",
+    icon: "🧵",
+    limit: 500,
+    counting: "grapheme",
+    urls: null,
+    mentionDomains: true,
+    warning: 100,
+    hashtagLimit: 1,
+    mentionLimit: null,
+    description: "500 characters and a single topic tag per post.",
+  },
+  {
+    id: "bluesky",
+    name: "Bluesky",
+    icon: "🦋",
+    limit: 300,
+    counting: "grapheme",
+    urls: "display",
+    mentionDomains: true,
+    warning: 50,
+    hashtagLimit: null,
+    mentionLimit: null,
+    description:
+      "300 graphemes, so an emoji or flag counts once, and links count as the shortened form shown in the post.",
+  },
+  {
+    id: "mastodon",
+    name: "Mastodon",
+    icon: "🐘",
+    limit: 500,
+    counting: "codepoint",
+    urls: 23,
+    mentionDomains: false,
+    warning: 100,
+    hashtagLimit: null,
+    mentionLimit: null,
+    description:
+      "500 characters on most instances. Links count as 23 and mentions only count the username before the instance.",
+    editableLimit: true,
+  },
+  {
+    id: "linkedin",
+    name: "LinkedIn",
+    icon: "💼",
+    limit: 3000,
+    counting: "utf16",
+    urls: null,
+    mentionDomains: true,
+    warning: 500,
+    hashtagLimit: null,
+    mentionLimit: null,
+    description: "3,000 characters per post. Only the first lines show before “see more”.",
+  },
+  {
+    id: "instagram",
+    name: "Instagram",
+    icon: "📸",
+    limit: 2200,
+    counting: "utf16",
+    urls: null,
+    mentionDomains: true,
+    warning: 400,
+    hashtagLimit: 30,
+    mentionLimit: 20,
+    description: "Captions of up to 2,200 characters, with at most 30 hashtags and 20 mentions.",
+  },
+  {
+    id: "facebook",
+    name: "Facebook",
+    icon: "📘",
+    limit: 63206,
+    counting: "utf16",
+    urls: null,
+    mentionDomains: true,
+    warning: 2000,
+    hashtagLimit: null,
+    mentionLimit: null,
+    description: "Posts of up to 63,206 characters, though shorter posts get more engagement.",
+  },
+  {
+    id: "youtube-title",
+    name: "YouTube title",
+    icon: "▶️",
+    limit: 100,
+    counting: "utf16",
+    urls: null,
+    mentionDomains: true,
+    warning: 30,
+    hashtagLimit: null,
+    mentionLimit: null,
+    description: "Video titles of up to 100 characters. Search results cut them off at about 70.",
+  },
+  {
+    id: "youtube-description",
+    name: "YouTube description",
+    icon: "📺",
+    limit: 5000,
+    counting: "utf16",
+    urls: null,
+    mentionDomains: true,
+    warning: 500,
+    hashtagLimit: 60,
+    mentionLimit: null,
+    description: "Descriptions of up to 5,000 characters. With more than 60 hashtags, YouTube ignores them all.",
+  },
+  {
+    id: "tiktok",
+    name: "TikTok",
+    icon: "🎵",
+    limit: 4000,
+    counting: "utf16",
+    urls: null,
+    mentionDomains: true,
+    warning: 400,
+    hashtagLimit: null,
+    mentionLimit: null,
+    description: "Captions of up to 4,000 characters, hashtags and mentions included.",
+  },
+];
+
+/**
+ * Counting methods a profile can use, for pickers.
+ */
+export const countingMethods = [
+  { id: "grapheme", name: "Characters as seen (graphemes)" },
+  { id: "codepoint", name: "Unicode code points" },
+  { id: "utf16", name: "UTF-16 code units" },
+  { id: "weighted", name: "X/Twitter weighted" },
+];
+
+/**
+ * Key of the custom profiles and changed limits in localStorage.
+ */
+const storageKey = "text-counter-pro:social-profiles";
+
+/**
+ * Registered profiles keyed by id, in display order.
+ */
+const profiles = new Map(builtInProfiles.map((profile) => [profile.id, profile]));
+
+/**
+ * Register a profile, replacing any profile with the same id. Missing
+ * fields take the defaults of a plain character limit.
+ *
+ * @param {*} profile - object, see the top of this module for the fields
+ * @returns object
+ */
+export const registerSocialProfile = (profile) => {
+  const registered = {
+    icon: "💬",
+    counting: "grapheme",
+    urls: null,
+    mentionDomains: true,
+    warning: Math.round(profile.limit * 0.1),
+    hashtagLimit: null,
+    mentionLimit: null,
+    description: "",
+    ...profile,
+  };
+
+  profiles.set(registered.id, registered);
+  return registered;
+};
+
+/**
+ * Get a registered profile by id.
+ *
+ * @param {*} id - string
+ * @returns object, or undefined
+ */
+export const getSocialProfile = (id) => profiles.get(id);
+
+/**
+ * Get every registered profile, built-in ones first.
+ *
+ * @returns object[]
+ */
+export const getSocialProfiles = () => Array.from(profiles.values());
+
+/**
+ * Helper function to read the saved custom profiles and changed limits.
+ *
+ * @returns {Object} - {custom: profile[], limits: {id: limit}}
+ */
+const readSaved = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey));
+    return {
+      custom: Array.isArray(saved?.custom) ? saved.custom : [],
+      limits: saved?.limits && typeof saved.limits === "object" ? saved.limits : {},
+    };
+  } catch {
+    return { custom: [], limits: {} };
+  }
+};
+
+/**
+ * Helper function to save the custom profiles and changed limits. Nothing
+ * is saved where storage is unavailable, such as in some private browsing
+ * modes.
+ *
+ * @param {*} saved - object from readSaved
+ */
+const writeSaved = (saved) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(saved));
+  } catch (error) {
+    console.warn("Cannot save social profiles:", error);
+  }
+};
+
+/**
+ * Register the custom profiles and changed limits saved in this browser.
+ *
+ * @returns object[] - every registered profile
+ */
+export const loadSocialProfiles = () => {
+  const saved = readSaved();
+
+  for (const profile of saved.custom) {
+    if (profile && typeof profile.id === "string" && profile.limit > 0) {
+      registerSocialProfile({ ...profile, custom: true, editableLimit: true });
+    }
+  }
+
+  for (const [id, limit] of Object.entries(saved.limits)) {
+    const profile = profiles.get(id);
+    if (profile && profile.editableLimit && limit > 0) profile.limit = limit;
+  }
+
+  return getSocialProfiles();
+};
+
+/**
+ * Add a custom profile and save it in this browser.
+ *
+ * @param {*} profile - object with at least a name and a limit
+ * @returns object - the registered profile
+ */
+export const addSocialProfile = (profile) => {
+  const name = String(profile.name || "").trim();
+  const limit = Math.floor(Number(profile.limit));
+
+  if (!name) throw new Error("Give the platform a name.");
+  if (!(limit > 0)) throw new Error("The character limit must be a whole number above 0.");
+  if (profile.counting && !countingMethods.some((method) => method.id === profile.counting)) {
+    throw new Error("Choose how the platform counts characters.");
+  }
+
+  const optionalLimit = (value) =>
+    value === "" || value == null || !(Number(value) >= 0) ? null : Math.floor(Number(value));
+  const urls = optionalLimit(profile.urls);
+  const custom = {
+    id: `custom-${Date.now().toString(36)}`,
+    name: name,
+    limit: limit,
+    counting: profile.counting || "grapheme",
+    urls: urls,
+    warning: optionalLimit(profile.warning) ?? Math.round(limit * 0.1),
+    hashtagLimit: optionalLimit(profile.hashtagLimit),
+    mentionLimit: optionalLimit(profile.mentionLimit),
+    description: `Custom limit of ${limit.toLocaleString()} characters.`,
+  };
+
+  const saved = readSaved();
+  saved.custom.push(custom);
+  writeSaved(saved);
+
+  return registerSocialProfile({ ...custom, custom: true, editableLimit: true });
+};
+
+/**
+ * Change the limit of a profile that allows it and save it in this browser.
+ *
+ * @param {*} id - string
+ * @param {*} limit - number
+ * @returns object - the profile
+ */
+export const setSocialProfileLimit = (id, limit) => {
+  const profile = profiles.get(id);
+  const value = Math.floor(Number(limit));
+
+  if (!profile || !profile.editableLimit) throw new Error("This platform's limit cannot be changed.");
+  if (!(value > 0)) throw new Error("The character limit must be a whole number above 0.");
+
+  profile.limit = value;
+
+  const saved = readSaved();
+  const custom = saved.custom.find((entry) => entry.id === id);
+  if (custom) {
+    custom.limit = value;
+  } else {
+    saved.limits[id] = value;
+  }
+  writeSaved(saved);
+
+  return profile;
+};
+
+/**
+ * Remove a custom profile and forget it in this browser.
+ *
+ * @param {*} id - string
+ */
+export const removeSocialProfile = (id) => {
+  const profile = profiles.get(id);
+  if (!profile || !profile.custom) return;
+
+  profiles.delete(id);
+
+  const saved = readSaved();
+  saved.custom = saved.custom.filter((entry) => entry.id !== id);
+  writeSaved(saved);
+};
+
+/**
+ * Links, hashtags and mentions as platforms recognize them. Trailing
+ * punctuation is left out of links.
+ */
+const urlPattern = /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?'")\]]/giu;
+const hashtagPattern = /(?<![\p{L}\p{N}_&#])#[\p{L}\p{M}\p{N}_]*[\p{L}\p{M}][\p{L}\p{M}\p{N}_]*/gu;
+const mentionPattern = /(?<![\p{L}\p{N}_@.])@[\p{L}\p{N}_](?:[\p{L}\p{N}_.-]*[\p{L}\p{N}_])?(?:@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)+)?/gu;
+
+/**
+ * Code points X/Twitter counts once; everything else, and every emoji,
+ * counts twice (twitter-text configuration version 3).
+ */
+const lightRanges = [
+  [0x0000, 0x10ff],
+  [0x2000, 0x200d],
+  [0x2010, 0x201f],
+  [0x2032, 0x2037],
+];
+
+/**
+ * Grapheme segmenter used for user-perceived character counting, or null in
+ * environments without Intl.Segmenter. Shared with text-processor.js.
+ */
+export const graphemeSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: "grapheme" }) : null;
+
+/**
+ * Helper function to split text into graphemes, or code points where
+ * Intl.Segmenter is unavailable.
+ *
+ * @param {*} text - string
+ * @returns string[]
+ */
+const splitGraphemes = (text) =>
+  graphemeSegmenter ? Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment) : Array.from(text);
+
+/**
+ * Determine if a single grapheme is an emoji: an emoji presentation
+ * character, a pictograph followed by the emoji variation selector, a
+ * keycap, or a regional indicator flag. Platforms that weigh emoji and the
+ * emoji counts of text-processor.js both use it.
+ *
+ * @param {*} grapheme - string
+ * @returns boolean
+ */
+export const isEmojiGrapheme = (grapheme) =>
+  /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|\u20E3|\p{Regional_Indicator}/u.test(grapheme);
+
+/**
+ * Helper function to measure text in every counting method at once.
+ *
+ * @param {*} text - string
+ * @returns {Object} - {grapheme, codepoint, utf16, weighted}
+ */
+const measureLength = (text) => {
+  const lengths = { grapheme: 0, codepoint: 0, utf16: text.length, weighted: 0 };
+  const graphemes = splitGraphemes(text);
+
+  for (const grapheme of graphemes) {
+    lengths.grapheme++;
+    for (const _ of grapheme) lengths.codepoint++;
+  }
+
+  // X counts Unicode-normalized (NFC) text
+  const normalized = text.normalize("NFC");
+  for (const grapheme of normalized === text ? graphemes : splitGraphemes(normalized)) {
+    if (isEmojiGrapheme(grapheme)) {
+      lengths.weighted += 2;
+      continue;
+    }
+    for (const character of grapheme) {
+      const code = character.codePointAt(0);
+      lengths.weighted += lightRanges.some(([start, end]) => code >= start && code <= end) ? 1 : 2;
+    }
+  }
+
+  return lengths;
+};
+
+/**
+ * Measure text for social platforms, independently of any profile: its
+ * length in every counting method with the links left out, and the links,
+ * hashtags and mentions it contains. Measurements of consecutive pieces of
+ * a text can be added up with {@link sumSocialMetrics}, so
+ * {@link analyzeTextStages} measures and caches them paragraph by paragraph.
+ *
+ * @param {*} text - string
+ * @returns {Object} - {lengths, urls, hashtags, mentions}
+ */
+export const measureSocialText = (text) => {
+  const urls = [];
+  let withoutUrls = "";
+  let offset = 0;
+
+  for (const match of text.matchAll(urlPattern)) {
+    urls.push(match[0]);
+    withoutUrls += text.slice(offset, match.index);
+    offset = match.index + match[0].length;
+  }
+  withoutUrls += text.slice(offset);
+
+  return {
+    lengths: measureLength(withoutUrls),
+    urls: urls,
+    hashtags: (withoutUrls.match(hashtagPattern) || []).length,
+    mentions: withoutUrls.match(mentionPattern) || [],
+  };
+};
+
+/**
+ * Add up the measurements of consecutive pieces of a text.
+ *
+ * @param {*} metrics - object[] from measureSocialText
+ * @returns {Object} - {lengths, urls, hashtags, mentions}
+ */
+export const sumSocialMetrics = (metrics) => {
+  const total = {
+    lengths: { grapheme: 0, codepoint: 0, utf16: 0, weighted: 0 },
+    urls: [],
+    hashtags: 0,
+    mentions: [],
+  };
+
+  for (const metric of metrics) {
+    for (const key in total.lengths) total.lengths[key] += metric.lengths[key];
+    total.urls.push(...metric.urls);
+    total.hashtags += metric.hashtags;
+    total.mentions.push(...metric.mentions);
+  }
+
+  return total;
+};
+
+/**
+ * Helper function to shorten a link the way Bluesky displays it: the host
+ * and the first 13 characters of a longer path, followed by "...".
+ *
+ * @param {*} url - string
+ * @returns {string} - displayed link
+ */
+const shortenLink = (url) => {
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    const path = (parsed.pathname === "/" ? "" : parsed.pathname) + parsed.search + parsed.hash;
+    return parsed.host + (path.length > 15 ? `${path.slice(0, 13)}...` : path);
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Helper function to get the status of a count against a limit.
+ *
+ * @param {*} count - number
+ * @param {*} limit - number or null
+ * @param {*} warning - number of remaining items at which to warn, or 0 not
+ *   to warn, so a count right at the limit is "ok"
+ * @returns {string} - "ok", "warning" or "over"
+ */
+const getLimitStatus = (count, limit, warning = 0) => {
+  if (limit == null) return "ok";
+  if (count > limit) return "over";
+  return warning > 0 && limit - count <= warning ? "warning" : "ok";
+};
+
+/**
+ * Count a post the way a platform does.
+ *
+ * @param {*} metrics - object from measureSocialText or sumSocialMetrics
+ * @param {*} profile - profile object or id
+ * @returns {Object} - {id, count, limit, remaining, status, hashtags, mentions},
+ *   where hashtags and mentions are {count, limit, status}
+ */
+export const measureSocialPost = (metrics, profile) => {
+  const platform = typeof profile === "string" ? profiles.get(profile) : profile;
+  const method = platform.counting;
+
+  let count = metrics.lengths[method];
+
+  for (const url of metrics.urls) {
+    if (typeof platform.urls === "number") {
+      count += platform.urls;
+    } else {
+      const shown = platform.urls === "display" ? shortenLink(url) : url;
+      count += method === "utf16" ? shown.length : Array.from(shown).length;
+    }
+  }
+
+  if (!platform.mentionDomains) {
+    for (const mention of metrics.mentions) {
+      const domain = mention.indexOf("@", 1);
+      if (domain > 0) {
+        const instance = mention.slice(domain);
+        count -= method === "utf16" ? instance.length : Array.from(instance).length;
+      }
+    }
+  }
+
+  return {
+    id: platform.id,
+    count: count,
+    limit: platform.limit,
+    remaining: platform.limit - count,
+    status: getLimitStatus(count, platform.limit, platform.warning),
+    hashtags: {
+      count: metrics.hashtags,
+      limit: platform.hashtagLimit,
+      status: getLimitStatus(metrics.hashtags, platform.hashtagLimit),
+    },
+    mentions: {
+      count: metrics.mentions.length,
+      limit: platform.mentionLimit,
+      status: getLimitStatus(metrics.mentions.length, platform.mentionLimit),
+    },
+  };
+};
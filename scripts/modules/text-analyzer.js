@@ -0,0 +1,147 @@
+import { analyzeTextStages, createAnalysisCache } from "./text-processor.js";
+
+/**
+ * Helper function to wait for the next task, giving newer requests a chance
+ * to arrive before more work is done.
+ *
+ * @returns Promise
+ */
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Longest time a stage runs before yielding to the event loop between
+ * paragraphs, in milliseconds. Yielding after every paragraph would spend
+ * more time waiting on timers than analyzing.
+ */
+const sliceTime = 10;
+
+/**
+ * Run {@link analyzeTextStages} one stage at a time, yielding to the event
+ * loop before each stage and, for long stages, between paragraphs, and
+ * giving up as soon as the request is stale.
+ *
+ * Used by the analysis worker, and by {@link createTextAnalyzer} on the main
+ * thread where workers are unavailable.
+ *
+ * @param {*} request - {id, text, options}
+ * @param {*} isStale - function receiving the request id
+ * @param {*} post - function receiving each {id, stage, result} message and
+ *   a final {id, done: true} message
+ * @param {*} cache - object from createAnalysisCache, kept between requests so
+ *   only changed paragraphs are analyzed again
+ * @returns Promise
+ */
+export const runAnalysis = async ({ id, text, options }, isStale, post, cache) => {
+  const stages = analyzeTextStages(text, { ...options, cache: cache });
+
+  for (;;) {
+    await nextTask();
+    if (isStale(id)) return;
+
+    let sliceStart = performance.now();
+    let step = stages.next();
+
+    while (!step.done && !step.value) {
+      if (performance.now() - sliceStart >= sliceTime) {
+        await nextTask();
+        if (isStale(id)) return;
+        sliceStart = performance.now();
+      }
+      step = stages.next();
+    }
+    if (step.done) break;
+
+    post({ id: id, ...step.value });
+  }
+
+  post({ id: id, done: true });
+};
+
+/**
+ * Create a text analyzer that runs {@link analyzeTextStages} in a Web Worker,
+ * off the main thread, falling back to the main thread when module workers
+ * are unavailable.
+ *
+ * Each call to analyze() supersedes the previous one: stale work is dropped
+ * between stages and stale results are never delivered. Results arrive stage
+ * by stage, counts first, through the onStage callback, which receives the
+ * stage name and the analysis merged so far. The returned promise resolves
+ * with the full analysis, or null when a newer request superseded it.
+ *
+ * @returns {Object} - {analyze(text, options, onStage), cancel()}
+ */
+export const createTextAnalyzer = () => {
+  let latestId = 0;
+  let current = null;
+  let worker = null;
+  let cache = null;
+
+  const isStale = (id) => id !== latestId;
+
+  const receive = (message) => {
+    if (!current || message.id !== current.id) return;
+
+    if (message.done) {
+      current.resolve(current.analysis);
+      current = null;
+      return;
+    }
+
+    Object.assign(current.analysis, message.result);
+    current.onStage(message.stage, current.analysis);
+  };
+
+  const runOnMainThread = (request) => {
+    cache = cache || createAnalysisCache();
+    runAnalysis(request, isStale, receive, cache).catch((error) => {
+      console.error("Error analyzing text:", error);
+      receive({ id: request.id, done: true });
+    });
+  };
+
+  if (typeof Worker !== "undefined") {
+    try {
+      worker = new Worker(new URL("./analysis-worker.js", import.meta.url), {
+        type: "module",
+      });
+      worker.addEventListener("message", (event) => receive(event.data));
+      worker.addEventListener("error", (event) => {
+        // The worker failed to load (no module worker support, file:// pages),
+        // so redo the pending request here
+        console.warn("Text analysis worker unavailable, analyzing on the main thread:", event.message);
+        event.preventDefault();
+        worker.terminate();
+        worker = null;
+        if (current) runOnMainThread(current.request);
+      });
+    } catch (error) {
+      console.warn("Text analysis worker unavailable, analyzing on the main thread:", error);
+      worker = null;
+    }
+  }
+
+  const cancel = () => {
+    latestId++;
+    if (worker) worker.postMessage({ id: latestId, cancel: true });
+    if (current) current.resolve(null);
+    current = null;
+  };
+
+  const analyze = (text, options = {}, onStage = () => {}) => {
+    cancel();
+
+    const request = { id: latestId, text: text, options: options };
+
+    return new Promise((resolve) => {
+      current = { id: request.id, request, analysis: {}, onStage, resolve };
+
+      if (worker) {
+        worker.postMessage(request);
+      } else {
+        runOnMainThread(request);
+      }
+    });
+  };
+
+  return { analyze, cancel };
+};
@@ -1,40 +1,193 @@
+import { parseContent } from "./content-parser.js";
+import { daleChallWords } from "./dale-chall-words.js";
+import { getLocale, getLocales } from "./locales/index.js";
+import { graphemeSegmenter, isEmojiGrapheme, measureSocialText, sumSocialMetrics } from "./social-profiles.js";
+
+export { registerLocale, getLocale, getLocales } from "./locales/index.js";
+export { contentFormats, parseContent } from "./content-parser.js";
+export {
+  countingMethods,
+  registerSocialProfile,
+  getSocialProfile,
+  getSocialProfiles,
+  loadSocialProfiles,
+  addSocialProfile,
+  setSocialProfileLimit,
+  removeSocialProfile,
+  measureSocialText,
+  measureSocialPost,
+} from "./social-profiles.js";
+
+/**
+ * Length of the chunks that {@link segmentText} segments at a time.
+ */
+const segmentChunkSize = 2000;
+
+/**
+ * Helper function to run an Intl.Segmenter over the passed text string in
+ * chunks. Iterating the segments of one long string gets slower with every
+ * segment, so long text is cut into chunks that end between a whitespace and
+ * a non-whitespace character, where neither a word nor a grapheme can
+ * continue. Segment indexes are offsets in the full text.
+ *
+ * @param {*} segmenter - Intl.Segmenter
+ * @param {*} text - string
+ * @returns Generator of {segment, index, isWordLike} segments
+ */
+function* segmentText(segmenter, text) {
+  const boundary = /\s(?=[^\s\p{M}])/gu;
+  let start = 0;
+
+  while (start < text.length) {
+    boundary.lastIndex = start + segmentChunkSize;
+    const match = start + segmentChunkSize < text.length && boundary.exec(text);
+    const end = match ? match.index + 1 : text.length;
+
+    for (const { segment, index, isWordLike } of segmenter.segment(text.slice(start, end))) {
+      yield { segment, index: start + index, isWordLike };
+    }
+
+    start = end;
+  }
+}
+
+/**
+ * Character counting modes {@link splitCharacters} and the character count
+ * functions understand.
+ */
+export const characterModes = ["grapheme", "codepoint", "utf16"];
+
+/**
+ * Helper function to check that a counting mode is one of characterModes.
+ *
+ * @param {*} mode - string
+ */
+const checkCharacterMode = (mode) => {
+  if (!characterModes.includes(mode)) {
+    throw new Error(`Unknown character counting mode "${mode}". Use one of: ${characterModes.join(", ")}.`);
+  }
+};
+
+/**
+ * Split the passed text string into characters according to a counting mode:
+ *
+ * - "grapheme": user-perceived characters, so an emoji family, a flag or a
+ *   letter with combining accents is one character (falls back to code points
+ *   where Intl.Segmenter is unavailable)
+ * - "codepoint": Unicode code points
+ * - "utf16": UTF-16 code units, the same as String.prototype.length
+ *
+ * Any other mode throws an error.
+ *
+ * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
+ * @returns string[]
+ */
+export const splitCharacters = (text, mode = "grapheme") => {
+  checkCharacterMode(mode);
+
+  if (mode === "utf16") {
+    return text.split("");
+  }
+
+  if (mode === "codepoint" || !graphemeSegmenter) {
+    return Array.from(text);
+  }
+
+  return Array.from(segmentText(graphemeSegmenter, text), ({ segment }) => segment);
+};
+
+/**
+ * Helper function to measure the length of a string in the units of a counting mode.
+ *
+ * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
+ * @returns number
+ */
+const measureCharacters = (text, mode) => {
+  checkCharacterMode(mode);
+
+  if (mode === "utf16") {
+    return text.length;
+  }
+
+  if (mode === "codepoint" || !graphemeSegmenter) {
+    let count = 0;
+    for (const _ of text) count++;
+    return count;
+  }
+
+  let count = 0;
+  for (const _ of segmentText(graphemeSegmenter, text)) count++;
+  return count;
+};
+
+/**
+ * Helper function to count the characters of the passed text string that
+ * satisfy a predicate, in the units of a counting mode.
+ *
+ * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
+ * @param {*} predicate - function receiving a single character
+ * @returns number
+ */
+const countCharacters = (text, mode, predicate) => {
+  let count = 0;
+  for (const character of splitCharacters(text, mode)) {
+    if (predicate(character)) count++;
+  }
+  return count;
+};
+
 /**
  * Get the number of characters in the passed text string.
  *
+ * See {@link splitCharacters} for the counting modes.
+ *
  * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
  * @returns number
  */
-export const getCharCount = (text) => text.length;
+export const getCharCount = (text, mode = "grapheme") =>
+  measureCharacters(text, mode);
 
 /**
  * Get the number of non-whitespace characters in the passed text string.
  *
  * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
  * @returns number
  */
-export const getCharCountNoSpaces = (text) => text.replace(/\s/g, "").length;
+export const getCharCountNoSpaces = (text, mode = "grapheme") =>
+  measureCharacters(text.replace(/\s/g, ""), mode);
 
 /**
  * Count special characters in the passed text string, excluding letters, numbers, spaces, and punctuation.
  *
  * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
  * @returns number
  */
-export const getSpecialCharCount = (text) => {
-  // Exclude letters, numbers, spaces, and common punctuation
+export const getSpecialCharCount = (text, mode = "grapheme") => {
+  // Exclude letters (in any script), numbers, spaces, and common punctuation
   // Match any character that is NOT a letter, digit, whitespace, or punctuation
   // Punctuation: . , ; : ! ? ' " ( ) [ ] { } - _
-  return (text.match(/[^a-zA-Z0-9\s.,;:!?'"()[\]{}\-_]/g) || []).length;
+  // A grapheme is classified by its base character, so "e" plus a combining
+  // accent is not special but an emoji sequence counts once
+  return countCharacters(text, mode, (character) =>
+    /^[^\p{L}0-9\s.,;:!?'"()[\]{}\-_]/u.test(character)
+  );
 }
 
 /** 
  * Get the number of letters (both uppercase and lowercase) in the passed text string.
+ * Letters from every script count, including accented Latin, Greek, Cyrillic and CJK.
  * @param {*} text - string
  * @returns number
  */
 export const getLettersCharCount = (text) => {
   // Count letters (both uppercase and lowercase)
-  return (text.match(/[a-zA-Z]/g) || []).length;
+  return (text.match(/\p{L}/gu) || []).length;
 }
 
 /**
@@ -45,7 +198,7 @@ export const getLettersCharCount = (text) => {
  */
 export const getUpperCaseCharCount = (text) => {
   // Count uppercase letters
-  return (text.match(/[A-Z]/g) || []).length;
+  return (text.match(/\p{Lu}/gu) || []).length;
 }
 
 /**
@@ -56,7 +209,7 @@ export const getUpperCaseCharCount = (text) => {
  */
 export const getLowerCaseCharCount = (text) => {
   // Count lowercase letters
-  return (text.match(/[a-z]/g) || []).length;
+  return (text.match(/\p{Ll}/gu) || []).length;
 }
 
 /**
@@ -126,77 +279,156 @@ export const getPunctuationCharCount = (text) => {
 
 /** 
  * Get the number of emoji characters in the passed text string.
- * This function uses a regex pattern that matches a wide range of emoji characters.
- * Note: This may not cover all emojis, especially newer ones, as Unicode is constantly evolving.
+ *
+ * Emoji are detected per grapheme, so zero width joiners, variation selectors
+ * and skin tone modifiers belong to the emoji they modify. In "grapheme" mode
+ * each emoji counts once; in "codepoint" and "utf16" modes each emoji counts
+ * for its length in those units.
  * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
  * @returns number
  */
-export const getEmojiCharCount = (text) => {
-  // Count emoji characters using Unicode ranges
-  return (text.match(/[\u{1F600}-\u{1F64F}]|[\u{1F300}-\u{1F5FF}]|[\u{1F680}-\u{1F6FF}]|[\u{1F1E0}-\u{1F1FF}]|[\u{2600}-\u{26FF}]|[\u{2700}-\u{27BF}]|[\u{1F900}-\u{1F9FF}]|[\u{1F018}-\u{1F270}]|[^\w\s.,!?;:'"()\-_]/gu) || []).length;
+export const getEmojiCharCount = (text, mode = "grapheme") => {
+  checkCharacterMode(mode);
+
+  let count = 0;
+  for (const grapheme of splitCharacters(text, "grapheme")) {
+    if (isEmojiGrapheme(grapheme)) {
+      count += mode === "grapheme" ? 1 : measureCharacters(grapheme, mode);
+    }
+  }
+  return count;
 }
 
+/**
+ * Vowels of the Greek and Cyrillic alphabets, counted alongside the vowels of
+ * every locale pack so mixed-script text still counts.
+ */
+const nonLatinVowels = "αεηιουωάέήίόύώϊϋΐΰаеёиоуыэюяєії";
+
+/**
+ * Letters of the alphabets that have vowels and consonants: Latin, Greek and Cyrillic.
+ */
+const alphabeticLetterPattern =
+  /(?=\p{L})[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}]/gu;
+
+/**
+ * Vowel patterns built from locale packs, cached per pack.
+ */
+const vowelPatterns = new WeakMap();
+
+/**
+ * Helper function to get the pattern matching the vowels of a locale pack,
+ * not counting "y", which follows the pack's yVowelRule.
+ *
+ * @param {*} pack - locale pack
+ * @returns RegExp
+ */
+const getVowelPattern = (pack) => {
+  if (!vowelPatterns.has(pack)) {
+    const vowels = escapeCharacterClass(pack.vowels + nonLatinVowels);
+    vowelPatterns.set(pack, new RegExp(`[${vowels}]`, "giu"));
+  }
+  return vowelPatterns.get(pack);
+};
+
+/**
+ * Helper function to count the letters "y" and "Y" used as vowels and as
+ * consonants under a locale pack's yVowelRule:
+ *
+ * - "positional": a vowel when not at the start of a word and not followed by
+ *   a vowel, a consonant at the start of a word or after a vowel (English)
+ * - "final": a vowel on its own or at the end of a word (Spanish)
+ * - "always": always a vowel
+ *
+ * @param {*} text - string
+ * @param {*} pack - locale pack
+ * @returns {Object} - vowel and consonant counts
+ */
+const countY = (text, pack) => {
+  if (pack.yVowelRule === "positional") {
+    return {
+      vowel: (text.match(/(?<!\b)[yY](?![aeiouAEIOU])/g) || []).length,
+      consonant: (text.match(/\b[yY]|[aeiouAEIOU][yY]/g) || []).length,
+    };
+  }
+
+  const total = (text.match(/[yY]/g) || []).length;
+  const vowel =
+    pack.yVowelRule === "final"
+      ? (text.match(/[yY](?!\p{L})/gu) || []).length
+      : total;
+
+  return { vowel: vowel, consonant: total - vowel };
+};
+
 /**
  * Get the number of vowel characters in the passed text string.
  *
+ * Vowels and the treatment of "y" come from the locale pack, see {@link getLocale}.
+ *
  * @param {*} text - string
+ * @param {*} locale - language code or locale pack
  * @returns number
  */
-export const getVowelCharCount = (text) => {
-  // Count vowels (both uppercase and lowercase)
-  // Count vowels (A, E, I, O, U, and Y/y when used as a vowel)
-  // Treat 'y' as a vowel when it is not at the start of a word and is surrounded by non-vowels
-  const matches = text.match(/[aeiouAEIOU]/g) || [];
-  // Match 'y' or 'Y' as a vowel: not at the start of a word and not surrounded by vowels
-  const yMatches = text.match(/(?<!\b)[yY](?![aeiouAEIOU])/g) || [];
-  return matches.length + yMatches.length;
+export const getVowelCharCount = (text, locale = "en") => {
+  // Count vowels (both uppercase and lowercase, accented or not)
+  const pack = getLocale(locale);
+  const matches = text.match(getVowelPattern(pack)) || [];
+  return matches.length + countY(text, pack).vowel;
 }
 
 /**
  * Get the number of consonant characters in the passed text string.
  * @param {*} text - string
+ * @param {*} locale - language code or locale pack
  * @returns number
  */
-export const getConsonantCharCount = (text) => {
+export const getConsonantCharCount = (text, locale = "en") => {
   // Count consonants (both uppercase and lowercase), including 'Y'/'y' only when used as a consonant
-  // 'Y' is a consonant when at the start of a word or when surrounded by vowels
-  // First, count all consonant letters except 'Y'/'y'
-  const consonantMatches = text.match(/[bcdfghjklmnpqrstvwxzBCDFGHJKLMNPQRSTVWXZ]/g) || [];
-  // Now, count 'Y'/'y' as consonant: at the start of a word or after a vowel
-  const yConsonantMatches = text.match(/\b[yY]|[aeiouAEIOU][yY]/g) || [];
-  return consonantMatches.length + yConsonantMatches.length;
+  // First, count all Latin, Greek and Cyrillic letters that are neither vowels nor 'Y'/'y'
+  const pack = getLocale(locale);
+  const letterCount = (text.match(alphabeticLetterPattern) || []).length;
+  const vowelCount = (text.match(getVowelPattern(pack)) || []).length;
+  const yCount = (text.match(/[yY]/g) || []).length;
+  return letterCount - vowelCount - yCount + countY(text, pack).consonant;
 }
 
 /**
  * Get the number of ASCII characters in the passed text string.
  * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
  * @returns number
  */
-export const getAsciiCharCount = (text) => {
-  // Count ASCII characters (0-127)
-  return (text.match(/[\x00-\x7F]/g) || []).length;
+export const getAsciiCharCount = (text, mode = "grapheme") => {
+  // Count ASCII characters (0-127); a grapheme is ASCII only if all of it is
+  return countCharacters(text, mode, (character) => /^[\x00-\x7F]+$/.test(character));
 }
 
 /**  
  * Get the number of non-ASCII characters in the passed text string.
  * Non-ASCII characters are those with a code point of 128 or higher.
  * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
  * @returns number
  */
-export const getNonAsciiCharCount = (text) => {
+export const getNonAsciiCharCount = (text, mode = "grapheme") => {
   // Count non-ASCII characters (128 and above)
-  return (text.match(/[^\x00-\x7F]/g) || []).length;
+  return countCharacters(text, mode, (character) => /[^\x00-\x7F]/.test(character));
 }
 
 /**
  * Get a breakdown of special characters in the passed text string.
  * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
  * @returns {Object} - breakdown of special character counts
  */
-export const getSpecialCharCountBreakdown = (text) => {
+export const getSpecialCharCountBreakdown = (text, mode = "grapheme") => {
   const numbers = (text.match(/\d/g) || []).length;
   const punctuation = (text.match(/[.,;:!?'"()[\]{}-]/g) || []).length;
-  const symbols = (text.match(/[^a-zA-Z\d\s.,;:!?'"()[\]{}-]/g) || []).length;
+  const symbols = countCharacters(text, mode, (character) =>
+    /^[^\p{L}\d\s.,;:!?'"()[\]{}-]/u.test(character)
+  );
 
   return {
     total: numbers + punctuation + symbols,
@@ -207,905 +439,3028 @@ export const getSpecialCharCountBreakdown = (text) => {
 }
 
 /**
- * Get a list of words in the passed text string.
+ * Characters of the GSM 03.38 default alphabet, which an SMS encodes in one
+ * 7-bit septet each.
+ */
+const gsm7Characters = new Set(
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+    "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà"
+);
+
+/**
+ * Characters of the GSM 03.38 extension table, which take an escape septet
+ * and one more, so two septets each.
+ */
+const gsm7ExtendedCharacters = new Set("\f^{}\\[~]|€");
+
+/**
+ * Look-alike GSM-7 replacements for characters that would otherwise switch
+ * an SMS to UCS-2: smart quotes, dashes, ellipses and unusual spaces.
+ */
+const gsm7Replacements = new Map([
+  ["‘", "'"], ["’", "'"], ["‚", "'"], ["‛", "'"], ["′", "'"], ["‹", "'"], ["›", "'"],
+  ["“", '"'], ["”", '"'], ["„", '"'], ["‟", '"'], ["″", '"'], ["«", '"'], ["»", '"'],
+  ["‐", "-"], ["‑", "-"], ["‒", "-"], ["–", "-"], ["—", "-"], ["―", "-"], ["−", "-"],
+  ["…", "..."],
+  ["\u00A0", " "], ["\u2002", " "], ["\u2003", " "], ["\u2009", " "], ["\u202F", " "],
+  ["\u200B", ""], ["\uFEFF", ""],
+]);
+
+/**
+ * Characters that are in neither GSM-7 table, and the extended characters.
+ */
+const nonGsm7Pattern = new RegExp(
+  `[^${Array.from([...gsm7Characters, ...gsm7ExtendedCharacters], (character) =>
+    `\\u{${character.codePointAt(0).toString(16)}}`
+  ).join("")}]`,
+  "gu"
+);
+const gsm7ExtendedPattern = /[\f^{}\\[~\]|€]/g;
+
+/**
+ * Helper function to count the segments a message is split into, where no
+ * character may be split between two segments: an extended GSM-7 character
+ * takes two septets, and a character outside the Basic Multilingual Plane
+ * two UTF-16 code units.
  *
  * @param {*} text - string
- * @returns string[]
+ * @param {*} isGsm7 - boolean
+ * @param {*} capacity - number of units per segment
+ * @returns {Object} - {segments, used}, where used is the units in the last segment
  */
-export const getWords = (text) => {
-  return text.match(/(?:\b|\\.)\w[\w.'-]*(?=\b|\\.|$)/gi) || [];
+const packSmsSegments = (text, isGsm7, capacity) => {
+  let segments = 1;
+  let used = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    let size = 1;
+    if (isGsm7) {
+      if (gsm7ExtendedCharacters.has(text[i])) size = 2;
+    } else if ((text.charCodeAt(i) & 0xfc00) === 0xd800 && (text.charCodeAt(i + 1) & 0xfc00) === 0xdc00) {
+      size = 2;
+      i++;
+    }
+
+    if (used + size > capacity) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  }
+
+  return { segments: segments, used: used };
 };
 
 /**
- * Get the number of words in the passed text string.
+ * Get the SMS encoding and segments of the passed text string.
  *
- * See {@link getWords}
+ * A message of only GSM-7 characters is sent in 7-bit septets, 160 to a
+ * single message or 153 to each segment of a longer one, with the extended
+ * characters (^ { } \\ [ ] ~ | € and form feed) taking two. Any other
+ * character switches the whole message to UCS-2, 70 UTF-16 code units to a
+ * single message or 67 to each segment. Characters are never split between
+ * segments.
  *
  * @param {*} text - string
- * @returns number
+ * @returns {Object} - encoding ("GSM-7" or "UCS-2"), units (septets or code
+ *   units), segments, perSegment, remaining units in the last segment, and
+ *   unicodeCharacters: the {character, count, replacement} that force UCS-2,
+ *   most frequent first, where replacement is the GSM-7 look-alike or null
  */
-export const getWordCount = (text) => getWords(text).length;
+export const getSmsSegments = (text) => {
+  const unicode = new Map();
+  for (const [character] of text.matchAll(nonGsm7Pattern)) {
+    unicode.set(character, (unicode.get(character) || 0) + 1);
+  }
+
+  const isGsm7 = unicode.size === 0;
+  const doubleUnits = isGsm7
+    ? (text.match(gsm7ExtendedPattern) || []).length
+    : (text.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g) || []).length;
+  const units = isGsm7 ? text.length + doubleUnits : text.length;
+  const single = isGsm7 ? 160 : 70;
+  const multi = isGsm7 ? 153 : 67;
+
+  let segments = units > 0 ? 1 : 0;
+  let remaining = single - units;
+
+  if (units > single) {
+    // Without two-unit characters, segments are simply filled to capacity
+    const packed =
+      doubleUnits > 0
+        ? packSmsSegments(text, isGsm7, multi)
+        : { segments: Math.ceil(units / multi), used: units - (Math.ceil(units / multi) - 1) * multi };
+    segments = packed.segments;
+    remaining = multi - packed.used;
+  }
+
+  return {
+    encoding: isGsm7 ? "GSM-7" : "UCS-2",
+    units: units,
+    segments: segments,
+    perSegment: units > single ? multi : single,
+    remaining: remaining,
+    unicodeCharacters: Array.from(unicode, ([character, count]) => ({
+      character: character,
+      count: count,
+      replacement: gsm7Replacements.has(character) ? gsm7Replacements.get(character) : null,
+    })).sort((a, b) => b.count - a.count || a.character.localeCompare(b.character)),
+  };
+};
 
 /**
- * Get a list of sentences in the passed text string.
+ * Replace smart quotes, dashes, ellipses and unusual spaces in the passed
+ * text string with their GSM-7 look-alikes, so the text can be sent as a
+ * GSM-7 SMS if it has no other Unicode characters.
  *
  * @param {*} text - string
- * @returns string[]
+ * @returns string
  */
-export const getSentences = (text) => {
-  // Input validation
-  if (!text || typeof text !== "string") {
-    return [];
+export const replaceSmsCharacters = (text) => {
+  let replaced = "";
+  for (const character of text) {
+    replaced += gsm7Replacements.has(character) ? gsm7Replacements.get(character) : character;
   }
+  return replaced;
+};
 
-  // Expanded abbreviations set with common patterns
-  const abbreviations = new Set([
-    // Titles
-    "mr",
-    "mrs",
-    "ms",
-    "dr",
-    "prof",
-    "sr",
-    "jr",
-    "capt",
-    "gen",
-    "col",
-    "maj",
-    "lt",
-    // Common abbreviations
-    "vs",
-    "etc",
-    "inc",
-    "ltd",
-    "corp",
-    "co",
-    "llc",
-    "llp",
-    // Location abbreviations
-    "st",
-    "ave",
-    "blvd",
-    "rd",
-    "apt",
-    "no",
-    "vol",
-    "pp",
-    "ch",
-    "sec",
-    "fig",
-    "ref",
-    // Academic/Scientific
-    "i.e",
-    "e.g",
-    "cf",
-    "al",
-    "approx",
-    "ca",
-    "circa",
-    "est",
-    "max",
-    "min",
-    // Time/Date
-    "jan",
-    "feb",
-    "mar",
-    "apr",
-    "may",
-    "jun",
-    "jul",
-    "aug",
-    "sep",
-    "oct",
-    "nov",
-    "dec",
-    "mon",
-    "tue",
-    "wed",
-    "thu",
-    "fri",
-    "sat",
-    "sun",
-    // Units and measurements
-    "ft",
-    "in",
-    "lb",
-    "oz",
-    "kg",
-    "cm",
-    "mm",
-    "km",
-    "mph",
-    "rpm",
-    // Government/Legal
-    "gov",
-    "dept",
-    "div",
-    "assn",
-    "org",
-    "admin",
-  ]);
-
-  // Normalize text: handle multiple whitespace, but preserve structure
-  const normalizedText = text.trim().replace(/\s+/g, " ");
-
-  // Enhanced regex that captures the sentence-ending punctuation
-  // This handles ellipses (...) and multiple punctuation marks
-  const sentenceRegex = /([.!?]+|\.\.\.|…)/g;
-
-  // Split while keeping the delimiters
-  const parts = normalizedText
-    .split(sentenceRegex)
-    .filter((part) => part.trim());
-
-  const sentences = [];
-  let currentSentence = "";
-
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i].trim();
+/**
+ * Characters Windows-1252 adds in the 0x80-0x9F range, where Latin-1 has
+ * control characters.
+ */
+const windows1252Characters = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
 
-    // If this part is punctuation
-    if (/^[.!?]+$|^\.\.\.$|^…$/.test(part)) {
-      currentSentence += part;
+/**
+ * Byte encodings {@link getByteLength} and {@link findByteLimit} measure.
+ * Latin-1 and Windows-1252 take one byte per character but cannot store
+ * most of Unicode.
+ */
+export const byteEncodings = ["utf-8", "utf-16", "utf-32", "latin1", "windows-1252"];
 
-      // Check if we should end the sentence here
-      if (shouldEndSentence(currentSentence, abbreviations)) {
-        const cleanSentence = currentSentence.trim();
-        if (cleanSentence && !isJustPunctuation(cleanSentence)) {
-          sentences.push(cleanSentence);
-        }
-        currentSentence = "";
-      } else {
-        // Add a space after punctuation if there's more content
-        if (i < parts.length - 1) {
-          currentSentence += " ";
-        }
-      }
-    } else {
-      // This part is text content
-      if (currentSentence && !currentSentence.endsWith(" ")) {
-        currentSentence += " ";
-      }
-      currentSentence += part;
-    }
+/**
+ * Helper function to check that an encoding is one of byteEncodings.
+ *
+ * @param {*} encoding - string
+ */
+const checkByteEncoding = (encoding) => {
+  if (!byteEncodings.includes(encoding)) {
+    throw new Error(`Unknown encoding "${encoding}". Use one of: ${byteEncodings.join(", ")}.`);
   }
+};
 
-  // Handle any remaining content
-  if (currentSentence.trim() && !isJustPunctuation(currentSentence.trim())) {
-    sentences.push(currentSentence.trim());
+/**
+ * Helper function to get the number of bytes the code point at an index
+ * takes in an encoding. Lone surrogates take as many as the replacement
+ * character U+FFFD they are encoded as.
+ *
+ * @param {*} text - string
+ * @param {*} index - number, UTF-16 offset of the code point
+ * @param {*} encoding - one of byteEncodings
+ * @returns number, or null when the encoding cannot store the code point
+ */
+const getCodePointByteLength = (text, index, encoding) => {
+  const code = text.codePointAt(index);
+
+  if (encoding === "utf-16") return code > 0xffff ? 4 : 2;
+  if (encoding === "utf-32") return 4;
+  if (encoding === "latin1") return code <= 0xff ? 1 : null;
+  if (encoding === "windows-1252") {
+    const isMapped = code < 0x80 || (code >= 0xa0 && code <= 0xff) || windows1252Characters.includes(text[index]);
+    return isMapped ? 1 : null;
   }
-
-  return sentences;
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  return code > 0xffff ? 4 : 3;
 };
 
 /**
- * Get the number of sentences in the passed text string.
- *
- * See {@link getSentences}
+ * Check whether the passed text string can be stored in Latin-1 (ISO-8859-1),
+ * one byte per character.
  *
  * @param {*} text - string
- * @returns number
+ * @returns boolean
  */
-export const getSentenceCount = (text) => getSentences(text).length;
+export const isLatin1 = (text) => !/[^\x00-\xFF]/.test(text);
 
 /**
- * Get a list of paragraphs in the passed text string.
+ * Check whether the passed text string can be stored in Windows-1252, one
+ * byte per character: Latin-1 with curly quotes, dashes, € and a few other
+ * characters in place of its control characters 0x80-0x9F.
  *
  * @param {*} text - string
- * @returns string[]
+ * @returns boolean
  */
-export const getParagraphs = (text) =>
-  text.split(/\n\s*/).filter((p) => p.trim());
+export const isWindows1252 = (text) => {
+  for (const [character] of text.matchAll(/[^\x00-\x7F\xA0-\xFF]/g)) {
+    if (!windows1252Characters.includes(character)) return false;
+  }
+  return true;
+};
 
 /**
- * Get the number of paragraphs in the passed text string.
+ * Get the number of bytes the passed text string takes in an encoding,
+ * without a byte order mark. Lone surrogates count as the replacement
+ * character U+FFFD they are encoded as.
  *
  * @param {*} text - string
- * @returns string[]
+ * @param {*} encoding - one of byteEncodings
+ * @returns number, or null when the encoding cannot store the text
  */
-export const getParagraphCount = (text) => getParagraphs(text).length;
+export const getByteLength = (text, encoding = "utf-8") => {
+  checkByteEncoding(encoding);
+  if (encoding === "utf-16") return text.length * 2;
+
+  let bytes = 0;
+  for (let i = 0; i < text.length; i += text.codePointAt(i) > 0xffff ? 2 : 1) {
+    const size = getCodePointByteLength(text, i, encoding);
+    if (size === null) return null;
+    bytes += size;
+  }
+  return bytes;
+};
 
 /**
- * Calculate the total minutes it will take to read the passed text string given
- * a wordsPerMinute rate.
+ * Get the byte lengths of the passed text string in UTF-8, UTF-16 and UTF-32,
+ * and in Latin-1 and Windows-1252 where the text can be stored in them.
  *
  * @param {*} text - string
- * @param {*} wordsPerMinute - number
- * @returns number (float)
+ * @returns {Object} - {utf8, utf16, utf32, latin1, windows1252}, where latin1
+ *   and windows1252 are null for text those encodings cannot represent
  */
-export const calculateReadingTime = (text, wordsPerMinute = 250) =>
-  getWordCount(text) / wordsPerMinute;
+export const getByteLengths = (text) => {
+  let utf8 = text.length;
+  let codePoints = text.length;
+
+  // Count the bytes over one per UTF-16 code unit in a single pass: 2 or 3
+  // byte UTF-8 characters are one code unit, 4 byte ones a surrogate pair
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) continue;
+
+    if (code < 0x800) utf8 += 1;
+    else if ((code & 0xfc00) === 0xd800 && (text.charCodeAt(i + 1) & 0xfc00) === 0xdc00) {
+      utf8 += 2;
+      codePoints--;
+      i++;
+    } else utf8 += 2;
+  }
+
+  return {
+    utf8: utf8,
+    utf16: text.length * 2,
+    utf32: codePoints * 4,
+    latin1: isLatin1(text) ? codePoints : null,
+    windows1252: isWindows1252(text) ? codePoints : null,
+  };
+};
 
 /**
- * Return a more readable representation of the calculated reading time of the passed
- * text string for a given wordsPerMinute rate.
+ * Find where the passed text string crosses a byte limit in an encoding: the
+ * longest start of the text that fits without splitting a multi-byte
+ * character. With `wholeCharacters`, user-perceived characters such as an
+ * emoji family or a letter with combining accents are not split either.
  *
- * See {@link calculateReadingTime}
+ * In Latin-1 and Windows-1252 the text also stops fitting at the first
+ * character the encoding cannot store, which is reported as `unencodable`,
+ * the character itself.
  *
  * @param {*} text - string
- * @param {*} wordsPerMinute - number
- * @returns string
+ * @param {*} limit - number of bytes
+ * @param {*} encoding - one of byteEncodings
+ * @param {*} wholeCharacters - boolean, cut between graphemes
+ * @returns {Object} - {fits, offset, bytes, unencodable}: whether the whole
+ *   text fits, the UTF-16 offset to cut at (text.slice(0, offset) fits), the
+ *   bytes before that offset, and the character at the offset when the
+ *   encoding cannot store it, or null
  */
-export const getReadingTimeReadable = (text, wordsPerMinute = 250) => {
-  if (!wordsPerMinute || +wordsPerMinute === 0) {
-    return "0m 0s"; // avoid divide-by-zero infinity NaN display
+export const findByteLimit = (text, limit, encoding = "utf-8", wholeCharacters = false) => {
+  checkByteEncoding(encoding);
+  let bytes = 0;
+  let offset = 0;
+
+  const cut = (size, character) => ({
+    fits: false,
+    offset: offset,
+    bytes: bytes,
+    unencodable: size === null ? character : null,
+  });
+
+  if (wholeCharacters && graphemeSegmenter) {
+    for (const { segment } of segmentText(graphemeSegmenter, text)) {
+      const size = getByteLength(segment, encoding);
+      if (size === null || bytes + size > limit) return cut(size, segment);
+      bytes += size;
+      offset += segment.length;
+    }
+    return { fits: true, offset: offset, bytes: bytes, unencodable: null };
   }
 
-  const totalTime = calculateReadingTime(text, wordsPerMinute);
+  while (offset < text.length) {
+    const size = getCodePointByteLength(text, offset, encoding);
+    if (size === null || bytes + size > limit) return cut(size, String.fromCodePoint(text.codePointAt(offset)));
+    bytes += size;
+    offset += text.codePointAt(offset) > 0xffff ? 2 : 1;
+  }
+  return { fits: true, offset: offset, bytes: bytes, unencodable: null };
+};
 
-  let seconds = 0;
-  let minutes = 0;
-  let hours = 0;
-  let days = 0;
+/**
+ * Word segmenter used for word tokenization, or null in environments without
+ * Intl.Segmenter.
+ */
+const wordSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: "word" })
+    : null;
 
-  minutes = Math.floor(totalTime);
-  seconds = Math.round((totalTime - minutes) * 60);
+/**
+ * Characters of scripts written without spaces between words, which are
+ * counted one character per word: Han, Hiragana and Katakana (including the
+ * katakana prolonged sound mark).
+ */
+const cjkCharacterPattern =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30FC]/u;
 
-  if (minutes >= 60) {
-    hours = Math.floor(minutes / 60);
-    minutes = minutes - hours * 60;
-  }
+/**
+ * Helper function to create a span of the passed text string, the shape
+ * returned by {@link getWordSpans}, {@link getSentenceSpans} and
+ * {@link getParagraphSpans}.
+ *
+ * @param {*} text - string
+ * @param {*} start - number, inclusive
+ * @param {*} end - number, exclusive
+ * @returns {Object} - text with its start and end offsets
+ */
+const createSpan = (text, start, end) => ({
+  text: text.slice(start, end),
+  start: start,
+  end: end,
+});
 
-  if (hours >= 24) {
-    days = Math.floor(hours / 24);
-    hours = minutes - days * 24;
-  }
+/**
+ * Helper function to move a span found in part of a text, such as a
+ * paragraph, to its offsets in the full text. Other properties of the span
+ * are kept.
+ *
+ * @param {*} span - {text, start, end} span
+ * @param {*} offset - number, position of the part in the full text
+ * @returns {Object} - span
+ */
+const shiftSpan = (span, offset) => ({
+  ...span,
+  start: span.start + offset,
+  end: span.end + offset,
+});
 
-  if (days > 0) {
-    return `${days}d ${hours}h`;
-  } else if (hours > 0) {
-    return `${hours}h ${minutes}m`;
-  } else {
-    return `${minutes}m ${seconds}s`;
+/**
+ * Helper function to split a word-like token into word spans, counting each
+ * CJK character as its own word and keeping runs of other characters together.
+ *
+ * @param {*} token - string
+ * @param {*} offset - number, position of the token in the full text
+ * @returns object[]
+ */
+const splitCjkCharacters = (token, offset) => {
+  if (!cjkCharacterPattern.test(token)) {
+    return [{ text: token, start: offset, end: offset + token.length }];
   }
+
+  const pattern =
+    /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30FC]|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30FC]+/gu;
+
+  return Array.from(token.matchAll(pattern), (match) => ({
+    text: match[0],
+    start: offset + match.index,
+    end: offset + match.index + match[0].length,
+  }));
 };
 
 /**
- * Calculate the frequency of words in the passed text string.
- * 
+ * Get a list of word spans in the passed text string: each word with its
+ * start and end offsets in the original string, so that
+ * text.slice(start, end) === word.
+ *
+ * Words are found with Intl.Segmenter word boundaries, so accented letters and
+ * non-Latin scripts tokenize correctly and Thai is split by dictionary.
+ * Hyphenated compounds ("well-known") stay one word, and Chinese and Japanese
+ * text counts one word per character.
+ *
  * @param {*} text - string
- * @returns object[]
+ * @returns {Object[]} - {text, start, end} spans
  */
-export const calculateWordFrequency = (text) => {
-  if (!text || typeof text !== "string") {
+export const getWordSpans = (text) => {
+  if (!text) {
     return [];
   }
 
-  const words = getWords(text.toLowerCase());
-  if (!words || words.length === 0) {
-    return [];
+  if (!wordSegmenter) {
+    // Without Intl.Segmenter, fall back to runs of letters, marks and numbers
+    const pattern = /[\p{L}\p{M}\p{N}_]+(?:['’.-][\p{L}\p{M}\p{N}_]+)*/gu;
+    return Array.from(text.matchAll(pattern)).flatMap((match) =>
+      splitCjkCharacters(match[0], match.index)
+    );
   }
 
-  const wordFrequencies = new Map();
+  const spans = [];
+  let hyphenEnd = -1;
 
-  for (const word of words) {
-    wordFrequencies.set(word, (wordFrequencies.get(word) || 0) + 1);
-  }
-
-  return Array.from(wordFrequencies.entries()).sort((a, b) => b[1] - a[1]);
-};
-
-/**
- * Filter out common stop words from the word frequency list.
- *
- * @param {*} wordFrequency 
- * @returns 
- */
-export const filterStopWords = (wordFrequency) => {
-    const stopWords = new Set([
-      "a",
-      "an",
-      "and",
-      "are",
-      "as",
-      "at",
-      "be",
-      "by",
-      "for",
-      "from",
-      "has",
-      "he",
-      "in",
-      "is",
-      "it",
-      "its",
-      "of",
-      "on",
-      "that",
-      "the",
-      "to",
-      "was",
-      "will",
-      "with",
-      "be",
-      "to",
-      "of",
-      "and",
-      "a",
-      "in",
-      "that",
-      "have",
-      "i",
-      "it",
-      "for",
-      "not",
-      "on",
-      "with",
-      "as",
-      "you",
-      "do",
-      "at",
-      "this",
-      "but",
-      "his",
-      "by",
-      "from",
-      "they",
-      "we",
-      "say",
-      "her",
-      "she",
-      "or",
-      "an",
-      "will",
-      "my",
-      "one",
-      "all",
-      "would",
-      "there",
-      "their",
-      "what",
-      "so",
-      "up",
-      "out",
-      "if",
-      "about",
-      "who",
-      "get",
-      "which",
-      "go",
-      "me",
-      "when",
-      "make",
-      "can",
-      "like",
-      "time",
-      "no",
-      "just",
-      "him",
-      "know",
-      "take",
-      "people",
-      "into",
-      "year",
-      "your",
-      "good",
-      "some",
-      "could",
-      "them",
-      "see",
-      "other",
-      "than",
-      "then",
-      "now",
-      "look",
-      "only",
-      "come",
-      "its",
-      "over",
-      "think",
-      "also",
-      "work",
-      "life",
-      "still",
-      "should",
-      "after",
-      "being",
-      "made",
-      "before",
-      "here",
-      "through",
-      "where",
-      "much",
-      "way",
-      "well",
-      "new",
-      "want",
-      "because",
-      "any",
-      "these",
-      "give",
-      "day",
-      "most",
-      "us",
-      "may",
-      "say",
-      "each",
-      "which",
-      "she",
-      "how",
-      "two",
-      "more",
-      "very",
-      "what",
-      "know",
-      "just",
-      "first",
-      "get",
-      "over",
-      "think",
-      "where",
-      "much",
-      "go",
-      "good",
-      "new",
-      "write",
-      "our",
-      "used",
-      "me",
-      "man",
-      "too",
-      "any",
-      "day",
-      "same",
-      "right",
-      "look",
-      "think",
-      "also",
-      "around",
-      "another",
-      "came",
-      "three",
-      "high",
-      "upon",
-      "show",
-      "again",
-      "change",
-      "off",
-      "went",
-      "old",
-      "number",
-      "great",
-      "tell",
-      "men",
-      "say",
-      "small",
-      "every",
-      "found",
-      "still",
-      "between",
-      "name",
-      "should",
-      "home",
-      "big",
-      "give",
-      "air",
-      "line",
-      "set",
-      "own",
-      "under",
-      "read",
-      "last",
-      "never",
-      "us",
-      "left",
-      "end",
-      "why",
-      "while",
-      "might",
-      "next",
-      "sound",
-      "below",
-      "saw",
-      "something",
-      "thought",
-      "both",
-      "few",
-      "those",
-      "always",
-      "looked",
-      "show",
-      "large",
-      "often",
-      "together",
-      "asked",
-      "house",
-      "don't",
-      "world",
-      "going",
-      "want",
-      "school",
-      "important",
-      "until",
-      "form",
-      "food",
-      "keep",
-      "children",
-      "feet",
-      "land",
-      "side",
-      "without",
-      "boy",
-      "once",
-      "animal",
-      "life",
-      "enough",
-      "took",
-      "sometimes",
-      "four",
-      "head",
-      "above",
-      "kind",
-      "began",
-      "almost",
-      "live",
-      "page",
-      "got",
-      "earth",
-      "need",
-      "far",
-      "hand",
-      "high",
-      "year",
-      "mother",
-      "light",
-      "country",
-      "father",
-      "let",
-      "night",
-      "picture",
-      "being",
-      "study",
-      "second",
-      "soon",
-      "story",
-      "since",
-      "white",
-      "ever",
-      "paper",
-      "hard",
-      "near",
-      "sentence",
-      "better",
-      "best",
-      "across",
-      "during",
-      "today",
-      "however",
-      "sure",
-      "knew",
-      "it's",
-      "try",
-      "told",
-      "young",
-      "sun",
-      "thing",
-      "whole",
-      "hear",
-      "example",
-      "heard",
-      "several",
-      "change",
-      "answer",
-      "room",
-      "sea",
-      "against",
-      "top",
-      "turned",
-      "learn",
-      "point",
-      "city",
-      "play",
-      "toward",
-      "five",
-      "himself",
-      "usually",
-      "money",
-      "seen",
-      "didn't",
-      "car",
-      "morning",
-      "i'm",
-      "body",
-      "upon",
-      "family",
-      "later",
-      "turn",
-      "move",
-      "face",
-      "door",
-      "cut",
-      "done",
-      "group",
-      "true",
-      "leave",
-      "color",
-      "red",
-      "friend",
-      "pretty",
-      "eat",
-      "far",
-      "sea",
-      "really",
-      "open",
-    ]);
+  for (const { segment, index, isWordLike } of segmentText(wordSegmenter, text)) {
+    const previous = spans[spans.length - 1];
 
-    const filtered = [];
-    for (let i = 0; i < wordFrequency.length; i++) {
-      const [word, frequency] = wordFrequency[i];
-      if (!stopWords.has(word.toLowerCase())) {
-        filtered.push(wordFrequency[i]);
-      }
+    if (!isWordLike) {
+      // Remember a hyphen directly after a word so the next word can be joined
+      hyphenEnd =
+        /^[-‐]$/.test(segment) && previous && index === previous.end
+          ? index + segment.length
+          : -1;
+      continue;
     }
-    return filtered;
+
+    const tokens = splitCjkCharacters(segment, index);
+
+    if (index === hyphenEnd && !cjkCharacterPattern.test(segment)) {
+      const joined = tokens.shift();
+      spans[spans.length - 1] = createSpan(text, previous.start, joined.end);
+    }
+
+    spans.push(...tokens);
+    hyphenEnd = -1;
   }
 
-/**
- * Calculate the average number of characters per word in the passed
- * text string. 
- * 
- * @param {*} text - string 
- * @returns number (float)
- */
-export const getAverageWordsPerSentence = (text) => text.trim().length > 0 ? getWordCount(text) / getSentenceCount(text) : 0;
+  return spans;
+};
 
 /**
- * Calculate the average number of sentences per paragraph in the passed
- * text string.
+ * Get a list of words in the passed text string.
+ *
+ * See {@link getWordSpans}
  *
  * @param {*} text - string
- * @returns number (float)
+ * @returns string[]
  */
-export const getAverageSentencePerParagraph = (text) => text.trim().length > 0 ? getSentenceCount(text) / getParagraphCount(text) : 0;
+export const getWords = (text) => getWordSpans(text).map((span) => span.text);
 
 /**
- * Calculate the average number of characters per word in the passed
- * text string. 
- * 
- * @param {*} text - string 
- * @returns number (float)
+ * Get the number of words in the passed text string.
+ *
+ * See {@link getWords}
+ *
+ * @param {*} text - string
+ * @returns number
+ */
+export const getWordCount = (text) => getWords(text).length;
+
+/**
+ * Sentence-ending punctuation shared by every locale: the ideographic full
+ * stop and fullwidth exclamation and question marks used in CJK text.
+ */
+const universalSentenceTerminals = "。！？";
+
+/**
+ * Closing quotes and brackets shared by every locale: CJK corner brackets and
+ * the fullwidth closing parenthesis.
+ */
+const universalClosingPunctuation = "」』）";
+
+/**
+ * Helper function to escape characters for use inside a regex character class.
+ *
+ * @param {*} characters - string
+ * @returns string
+ */
+const escapeCharacterClass = (characters) =>
+  characters.replace(/[\\\]^-]/g, "\\$&");
+
+/**
+ * Get a list of sentence spans in the passed text string: each sentence with
+ * its start and end offsets in the original string, so that
+ * text.slice(start, end) === sentence.
+ *
+ * Sentences never cross paragraph breaks (see {@link getParagraphSpans}), so
+ * a heading or list item without end punctuation is a sentence of its own.
+ *
+ * Sentence terminals and abbreviations come from the locale pack, see
+ * {@link getLocale}. A terminal only ends a sentence when it is followed by
+ * whitespace, a closing quote or the end of the text, so "3.14" and
+ * "example.com" stay whole; CJK terminals end a sentence anywhere. Closing
+ * quotes and brackets after a terminal (such as the » in « Bonjour. ») stay
+ * with the sentence they close.
+ *
+ * @param {*} text - string
+ * @param {*} locale - language code or locale pack
+ * @returns {Object[]} - {text, start, end} spans
+ */
+export const getSentenceSpans = (text, locale = "en") => {
+  // Input validation
+  if (!text || typeof text !== "string") {
+    return [];
+  }
+
+  const pack = getLocale(locale);
+
+  return getParagraphSpans(text).flatMap((paragraph) =>
+    findSentenceSpans(paragraph.text, pack).map((span) =>
+      shiftSpan(span, paragraph.start)
+    )
+  );
+};
+
+/**
+ * Helper function to find the sentence spans of a single paragraph.
+ *
+ * See {@link getSentenceSpans}
+ *
+ * @param {*} text - string
+ * @param {*} pack - locale pack
+ * @returns {Object[]} - {text, start, end} spans
+ */
+const findSentenceSpans = (text, pack) => {
+  const terminals = escapeCharacterClass(
+    pack.sentenceTerminals + universalSentenceTerminals
+  );
+  const closers = escapeCharacterClass(
+    pack.closingPunctuation + universalClosingPunctuation
+  );
+
+  // Runs of sentence-ending punctuation, including ellipses (...) and
+  // multiple punctuation marks (?!)
+  const terminalRegex = new RegExp(`[${terminals}]+`, "g");
+  // Closing punctuation directly after the terminal, or after a space when
+  // the closing mark is itself followed by whitespace or the end of the text
+  const closersRegex = new RegExp(`[${closers}]+|[^\\S\\n][${closers}]+(?=\\s|$)`, "y");
+  const universalTerminalRegex = new RegExp(`[${universalSentenceTerminals}]`);
+
+  const sentences = [];
+  const pushSentence = (start, end) => {
+    const span = createSpan(text, start, end);
+    if (span.text && !isJustPunctuation(span.text)) {
+      sentences.push(span);
+    }
+  };
+
+  let sentenceStart = text.search(/\S|$/);
+
+  for (const match of text.matchAll(terminalRegex)) {
+    let end = match.index + match[0].length;
+
+    closersRegex.lastIndex = end;
+    const closing = closersRegex.exec(text);
+    const next = text.charAt(closing ? closersRegex.lastIndex : end);
+
+    // A terminal inside a token ("3.14") does not end the sentence
+    if (next && !/\s/.test(next) && !universalTerminalRegex.test(match[0])) {
+      continue;
+    }
+
+    if (!shouldEndSentence(text.slice(sentenceStart, end), pack)) {
+      continue;
+    }
+
+    if (closing) {
+      end = closersRegex.lastIndex;
+    }
+
+    pushSentence(sentenceStart, end);
+    sentenceStart = end + text.slice(end).search(/\S|$/);
+  }
+
+  // Handle any remaining content
+  const remaining = text.slice(sentenceStart);
+  pushSentence(sentenceStart, sentenceStart + remaining.trimEnd().length);
+
+  return sentences;
+};
+
+/**
+ * Get a list of sentences in the passed text string, with whitespace inside
+ * each sentence collapsed to single spaces.
+ *
+ * See {@link getSentenceSpans}
+ *
+ * @param {*} text - string
+ * @param {*} locale - language code or locale pack
+ * @returns string[]
+ */
+export const getSentences = (text, locale = "en") =>
+  getSentenceSpans(text, locale).map((span) => span.text.replace(/\s+/g, " "));
+
+/**
+ * Get the number of sentences in the passed text string.
+ *
+ * See {@link getSentences}
+ *
+ * @param {*} text - string
+ * @param {*} locale - language code or locale pack
+ * @returns number
+ */
+export const getSentenceCount = (text, locale = "en") =>
+  getSentences(text, locale).length;
+
+/**
+ * Get a list of paragraph spans in the passed text string: each non-blank
+ * line with its start and end offsets in the original string, so that
+ * text.slice(start, end) === paragraph. Leading and trailing whitespace is
+ * left out of the span.
+ *
+ * @param {*} text - string
+ * @returns {Object[]} - {text, start, end} spans
+ */
+export const getParagraphSpans = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  return Array.from(text.matchAll(/[^\n]*\S[^\n]*/g), (match) => {
+    const start = match.index + match[0].search(/\S/);
+    const end = match.index + match[0].trimEnd().length;
+    return createSpan(text, start, end);
+  });
+};
+
+/**
+ * Get a list of paragraphs in the passed text string.
+ *
+ * See {@link getParagraphSpans}
+ *
+ * @param {*} text - string
+ * @returns string[]
+ */
+export const getParagraphs = (text) =>
+  getParagraphSpans(text).map((span) => span.text);
+
+/**
+ * Get the number of paragraphs in the passed text string.
+ *
+ * @param {*} text - string
+ * @returns string[]
+ */
+export const getParagraphCount = (text) => getParagraphs(text).length;
+
+/**
+ * Helper function to group spans, such as words, by the container spans,
+ * such as sentences, that they start in. Both lists must be in text order.
+ *
+ * @param {*} spans - {text, start, end} spans
+ * @param {*} containers - {text, start, end} spans
+ * @returns {Object[][]} - one list of spans per container
+ */
+const groupSpans = (spans, containers) => {
+  const groups = containers.map(() => []);
+  let index = 0;
+
+  containers.forEach((container, containerIndex) => {
+    while (index < spans.length && spans[index].start < container.end) {
+      if (spans[index].start >= container.start) {
+        groups[containerIndex].push(spans[index]);
+      }
+      index++;
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Reading rates of the content-aware reading time, see
+ * {@link calculateReadingTime}. Images take imageSeconds for the first one
+ * and a second less for each one after it, down to minImageSeconds, as
+ * Medium counts them.
+ */
+export const readingTimeDefaults = {
+  wordsPerMinute: 250,
+  charactersPerMinute: 500,
+  codeLinesPerMinute: 20,
+  tableRowSeconds: 3,
+  imageSeconds: 12,
+  minImageSeconds: 3,
+};
+
+/**
+ * Readability grade above which reading slows down, by slowdownPerGrade for
+ * each grade, up to maxSlowdown times as long.
+ */
+const slowdownBaseGrade = 8;
+const slowdownPerGrade = 0.05;
+const maxSlowdown = 1.5;
+
+/**
+ * Calculate the seconds it takes to look at a number of images: 12 seconds
+ * for the first, 11 for the second and so on, and 3 seconds for each image
+ * from the tenth on.
+ *
+ * @param {*} images - number
+ * @param {*} options - {imageSeconds, minImageSeconds}, see {@link readingTimeDefaults}
+ * @returns number
+ */
+export const getImageReadingSeconds = (images, options = {}) => {
+  const { imageSeconds, minImageSeconds } = { ...readingTimeDefaults, ...options };
+  let seconds = 0;
+
+  for (let i = 0; i < images; i++) {
+    seconds += Math.max(imageSeconds - i, minImageSeconds);
+  }
+  return seconds;
+};
+
+/**
+ * Calculate how many times as long text of a readability grade takes to read
+ * as plain text: 1 up to grade 8, then 5% more for each grade, up to 1.5.
+ *
+ * @param {*} grade - number, such as the consensus grade of {@link getReadabilityScores}
+ * @returns number
+ */
+export const getReadabilitySlowdown = (grade) =>
+  Number.isFinite(grade)
+    ? Math.min(maxSlowdown, Math.max(1, 1 + (grade - slowdownBaseGrade) * slowdownPerGrade))
+    : 1;
+
+/**
+ * Helper function to build a reading time from what a text holds, each part
+ * read at its own rate.
+ *
+ * @param {*} counts - {words, characters, codeLines, tableRows, images, grade},
+ *   where words leaves out the CJK characters counted under characters
+ * @param {*} options - rates, see {@link readingTimeDefaults}
+ * @returns {Object} - {minutes, readable, slowdown, components}
+ */
+const buildReadingTime = (counts, options = {}) => {
+  const rates = { ...readingTimeDefaults, ...options };
+  const slowdown = getReadabilitySlowdown(counts.grade);
+  const perMinute = (count, rate) => (rate > 0 ? count / rate : 0);
+  const component = (key, count, minutes) => ({ [key]: count, minutes: minutes, readable: formatReadingTime(minutes) });
+
+  const components = {
+    words: component("count", counts.words, perMinute(counts.words, rates.wordsPerMinute) * slowdown),
+    characters: component("count", counts.characters, perMinute(counts.characters, rates.charactersPerMinute)),
+    code: component("lines", counts.codeLines, perMinute(counts.codeLines, rates.codeLinesPerMinute)),
+    tables: component("rows", counts.tableRows, (counts.tableRows * rates.tableRowSeconds) / 60),
+    images: component("count", counts.images, getImageReadingSeconds(counts.images, rates) / 60),
+  };
+  const minutes = Object.values(components).reduce((total, part) => total + part.minutes, 0);
+
+  return {
+    minutes: minutes,
+    readable: formatReadingTime(minutes),
+    slowdown: slowdown,
+    components: components,
+  };
+};
+
+/**
+ * Helper function to measure the reading time of the passed text string.
+ *
+ * @param {*} text - string
+ * @param {*} wordsPerMinute - number
+ * @param {*} options - object, see {@link calculateReadingTime}
+ * @returns {Object} - see {@link getReadingTimeReadable}
+ */
+const measureReadingTime = (text, wordsPerMinute, options = {}) => {
+  const { format = "plain", ...rates } = options;
+  const content = parseContent(text, format);
+  const words = getWords(content.text);
+  const characters = words.filter((word) => cjkCharacterPattern.test(word)).length;
+
+  return buildReadingTime(
+    {
+      words: words.length - characters,
+      characters: characters,
+      codeLines: content.code.lines,
+      tableRows: content.tables.rows,
+      images: content.images,
+      grade: words.length > characters ? getConsensusGrade(content.text) : undefined,
+    },
+    { ...rates, wordsPerMinute: wordsPerMinute }
+  );
+};
+
+/**
+ * Calculate the total minutes it will take to read the passed text string given
+ * a wordsPerMinute rate.
+ *
+ * The reading time is content-aware: words are read more slowly the higher
+ * the readability grade (see {@link getReadabilitySlowdown}), Chinese and
+ * Japanese characters are read at charactersPerMinute, and in Markdown and
+ * HTML code blocks are read line by line, tables take time per row and
+ * images take time each (see {@link getImageReadingSeconds}).
+ *
+ * Options:
+ *
+ * - format: "plain", "markdown" or "html" (default "plain"), see
+ *   {@link parseContent}
+ * - charactersPerMinute, codeLinesPerMinute, tableRowSeconds, imageSeconds,
+ *   minImageSeconds: see {@link readingTimeDefaults}
+ *
+ * @param {*} text - string
+ * @param {*} wordsPerMinute - number
+ * @param {*} options - object
+ * @returns number (float)
+ */
+export const calculateReadingTime = (text, wordsPerMinute = 250, options = {}) =>
+  measureReadingTime(text, wordsPerMinute, options).minutes;
+
+/**
+ * Return a more readable representation of the calculated reading time of the passed
+ * text string for a given wordsPerMinute rate, broken down by what is read.
+ *
+ * See {@link calculateReadingTime}
+ *
+ * @param {*} text - string
+ * @param {*} wordsPerMinute - number
+ * @param {*} options - object
+ * @returns {Object} - {minutes, readable, slowdown, components}, where
+ *   components holds the {minutes, readable} of the words (with their count),
+ *   characters (CJK, with their count), code (with its lines), tables (with
+ *   their rows) and images (with their count)
+ */
+export const getReadingTimeReadable = (text, wordsPerMinute = 250, options = {}) =>
+  measureReadingTime(text, +wordsPerMinute || 0, options);
+
+/**
+ * Helper function to format a reading time in minutes as "1m 30s", "2h 5m" or
+ * "1d 3h".
+ *
+ * @param {*} totalTime - number of minutes
+ * @returns string
+ */
+const formatReadingTime = (totalTime) => {
+  let seconds = 0;
+  let minutes = 0;
+  let hours = 0;
+  let days = 0;
+
+  minutes = Math.floor(totalTime);
+  seconds = Math.round((totalTime - minutes) * 60);
+
+  if (minutes >= 60) {
+    hours = Math.floor(minutes / 60);
+    minutes = minutes - hours * 60;
+  }
+
+  if (hours >= 24) {
+    days = Math.floor(hours / 24);
+    hours = minutes - days * 24;
+  }
+
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  } else if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  } else {
+    return `${minutes}m ${seconds}s`;
+  }
+};
+
+/**
+ * Speaking pace presets for {@link calculateSpeakingTime}: words per minute,
+ * and the pause in seconds between sentences, between paragraphs and at each
+ * [pause] marker.
+ */
+export const speakingPresets = {
+  slow: { wordsPerMinute: 110, sentencePause: 0.8, paragraphPause: 2, markerPause: 2 },
+  conversational: { wordsPerMinute: 150, sentencePause: 0.5, paragraphPause: 1.2, markerPause: 1.5 },
+  fast: { wordsPerMinute: 180, sentencePause: 0.3, paragraphPause: 0.8, markerPause: 1 },
+};
+
+/**
+ * A pause marker in a script: "[pause]", or "[pause 3s]" for a pause of its
+ * own length in seconds.
+ */
+const pauseMarkerPattern = /\[pause(?:[\s:=]+(\d+(?:\.\d+)?)\s*s?)?\]/gi;
+
+/**
+ * A line of three or more dashes, separating slides.
+ */
+const slideSeparatorPattern = /^[ \t]*-{3,}[ \t]*$/gm;
+
+/**
+ * Format a number of seconds as a timestamp for cue sheets and writing
+ * sessions: "0:45", "12:05" or "1:02:05".
+ *
+ * @param {*} totalSeconds - number
+ * @returns string
+ */
+export const formatTimestamp = (totalSeconds) => {
+  const rounded = Math.max(0, Math.round(totalSeconds));
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = String(rounded % 60).padStart(2, "0");
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}` : `${minutes}:${seconds}`;
+};
+
+/**
+ * Calculate how long the passed text string takes to speak, for talks,
+ * podcast scripts and voice-overs: the words at a speaking pace plus a pause
+ * between sentences, between paragraphs and at each [pause] marker. Lines
+ * of three or more dashes ("---") separate slides.
+ *
+ * Options:
+ *
+ * - preset: "slow", "conversational" or "fast" (default "conversational"),
+ *   see {@link speakingPresets}
+ * - wordsPerMinute, sentencePause, paragraphPause, markerPause: override
+ *   the preset
+ * - locale: language code or locale pack for finding sentences (default "en")
+ * - format: "plain", "markdown" or "html" (default "plain"), see
+ *   {@link parseContent}
+ *
+ * @param {*} text - string
+ * @param {*} options - object
+ * @returns {Object} - {preset, wordsPerMinute, words, seconds, speakingSeconds,
+ *   pauseSeconds, pauses, readable, paragraphs, slides}, where each paragraph
+ *   ({text, start, end, slide, words, sentences, markers, startTime,
+ *   seconds}) and slide ({index, start, end, paragraphs, words, startTime,
+ *   seconds}) has its offsets in the text and its start time in seconds
+ */
+export const calculateSpeakingTime = (text, options = {}) => {
+  const { preset = "conversational", locale = "en", format = "plain" } = options;
+  const pace = { ...(speakingPresets[preset] || speakingPresets.conversational) };
+
+  for (const key of Object.keys(pace)) {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && options[key] !== "" && value >= 0 && (key !== "wordsPerMinute" || value > 0)) {
+      pace[key] = value;
+    }
+  }
+
+  const pack = getLocale(locale);
+  const source = typeof text === "string" ? text : "";
+  const paragraphs = [];
+  const slides = [];
+  const pauses = { sentences: 0, paragraphs: 0, markers: 0 };
+  let speakingSeconds = 0;
+  let pauseSeconds = 0;
+  let time = 0;
+
+  const separators = Array.from(source.matchAll(slideSeparatorPattern));
+  const slideSpans = [...separators, null].map((separator, i) => {
+    const start = i > 0 ? separators[i - 1].index + separators[i - 1][0].length : 0;
+    return { start: start, end: separator ? separator.index : source.length };
+  });
+
+  for (const slideSpan of slideSpans) {
+    const content = parseContent(source.slice(slideSpan.start, slideSpan.end), format);
+    const prose = content.text;
+    const spans = content.format === "plain" ? getParagraphSpans(prose) : getBlockSpans(prose);
+    const slide = { index: slides.length, start: slideSpan.start, end: slideSpan.end, paragraphs: 0, words: 0, startTime: 0, seconds: 0 };
+
+    for (const span of spans) {
+      const markers = Array.from(span.text.matchAll(pauseMarkerPattern));
+      const spoken = span.text.replace(pauseMarkerPattern, " ");
+      const words = getWordCount(spoken);
+      if (words === 0 && markers.length === 0) continue;
+
+      const sentences = words > 0 ? getSentenceSpans(spoken, pack).length : 0;
+      const markerSeconds = markers.reduce(
+        (total, marker) => total + (marker[1] !== undefined ? Number(marker[1]) : pace.markerPause),
+        0
+      );
+      const speaking = (words / pace.wordsPerMinute) * 60;
+      const pause = Math.max(0, sentences - 1) * pace.sentencePause + markerSeconds;
+
+      if (paragraphs.length > 0) {
+        time += pace.paragraphPause;
+        pauseSeconds += pace.paragraphPause;
+        pauses.paragraphs++;
+      }
+      if (slide.paragraphs === 0) slide.startTime = time;
+
+      paragraphs.push({
+        ...shiftSpan(content.mapSpan(span), slideSpan.start),
+        slide: slide.index,
+        words: words,
+        sentences: sentences,
+        markers: markers.length,
+        startTime: time,
+        seconds: speaking + pause,
+      });
+
+      pauses.sentences += Math.max(0, sentences - 1);
+      pauses.markers += markers.length;
+      speakingSeconds += speaking;
+      pauseSeconds += pause;
+      time += speaking + pause;
+
+      slide.paragraphs++;
+      slide.words += words;
+      slide.seconds = time - slide.startTime;
+    }
+
+    if (slide.paragraphs > 0) slides.push(slide);
+  }
+
+  return {
+    preset: speakingPresets[preset] ? preset : "conversational",
+    wordsPerMinute: pace.wordsPerMinute,
+    words: paragraphs.reduce((total, paragraph) => total + paragraph.words, 0),
+    seconds: time,
+    speakingSeconds: speakingSeconds,
+    pauseSeconds: pauseSeconds,
+    pauses: pauses,
+    readable: formatReadingTime(time / 60),
+    paragraphs: paragraphs,
+    slides: slides,
+  };
+};
+
+/**
+ * Calculate the frequency of words in the passed text string. Words with the
+ * same frequency are sorted alphabetically.
+ *
+ * Options:
+ *
+ * - groupBy: "word", "stem" or "lemma" (default "word"), see
+ *   {@link groupWordFrequency}
+ * - locale: language code or locale pack whose stemmer and lemmas group the
+ *   words (default "en")
+ * 
+ * @param {*} text - string
+ * @param {*} options - object
+ * @returns object[]
+ */
+export const calculateWordFrequency = (text, options = {}) => {
+  if (!text || typeof text !== "string") {
+    return [];
+  }
+
+  const { groupBy = "word", locale = "en" } = options;
+  return groupWordFrequency(countWordFrequency(getWords(text)), groupBy, locale);
+};
+
+/**
+ * Helper function to count how often each word occurs, ignoring case.
+ *
+ * @param {*} words - string[]
+ * @returns array of [word, frequency] entries, most frequent first
+ */
+const countWordFrequency = (words) => sortWordFrequency(countWords(words));
+
+/**
+ * Helper function to count how often each word occurs, ignoring case.
+ *
+ * @param {*} words - string[]
+ * @returns Map of word to frequency
+ */
+const countWords = (words) => {
+  const wordFrequencies = new Map();
+
+  for (const word of words) {
+    const key = word.toLowerCase();
+    wordFrequencies.set(key, (wordFrequencies.get(key) || 0) + 1);
+  }
+
+  return wordFrequencies;
+};
+
+/**
+ * Helper function to turn word counts into [word, frequency] entries, most
+ * frequent first and alphabetically among equals.
+ *
+ * @param {*} wordFrequencies - Map of word to frequency, or its entries
+ * @returns array of [word, frequency] entries
+ */
+const sortWordFrequency = (wordFrequencies) =>
+  Array.from(wordFrequencies).sort(
+    (a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0)
+  );
+
+/**
+ * Filter out common stop words from the word frequency list. Phrases from
+ * {@link calculatePhraseFrequency} are left out when they start or end with
+ * a stop word, so "of the" goes but "state of the art" stays.
+ *
+ * @param {*} wordFrequency - array of [word, frequency] entries
+ * @param {*} locale - language code or locale pack
+ * @returns array of [word, frequency] entries
+ */
+export const filterStopWords = (wordFrequency, locale = "en") => {
+    const stopWords = getLocale(locale).stopWords;
+
+    const filtered = [];
+    for (let i = 0; i < wordFrequency.length; i++) {
+      const [word] = wordFrequency[i];
+      const words = word.toLowerCase().split(" ");
+      if (!stopWords.has(words[0]) && !stopWords.has(words[words.length - 1])) {
+        filtered.push(wordFrequency[i]);
+      }
+    }
+    return filtered;
+  }
+
+/**
+ * Ways {@link groupWordFrequency} groups word forms.
+ */
+export const wordGroupings = ["word", "stem", "lemma"];
+
+/**
+ * Stems already computed, per locale pack.
+ */
+const stemCache = new WeakMap();
+
+/**
+ * Stem a word with the stemmer of a locale pack, such as the Porter2
+ * stemmer for English: "running" becomes "run" and "happiness" "happi".
+ * Words of languages without a stemmer are only lowercased.
+ *
+ * @param {*} word - string
+ * @param {*} locale - language code or locale pack
+ * @returns string - stem
+ */
+export const stemWord = (word, locale = "en") => {
+  const pack = getLocale(locale);
+  const lower = word.toLowerCase();
+  if (!pack.stem) return lower;
+
+  if (!stemCache.has(pack)) stemCache.set(pack, new Map());
+  const stems = stemCache.get(pack);
+
+  let stem = stems.get(lower);
+  if (stem === undefined) {
+    stem = pack.stem(lower);
+    stems.set(lower, stem);
+  }
+  return stem;
+};
+
+/**
+ * Get the base form of an irregular word form from the lemmas of a locale
+ * pack, such as "run" for "ran" or "child" for "children". Other words are
+ * only lowercased.
+ *
+ * @param {*} word - string
+ * @param {*} locale - language code or locale pack
+ * @returns string - lemma
+ */
+export const lemmatizeWord = (word, locale = "en") => {
+  const lemmas = getLocale(locale).lemmas;
+  const lower = word.toLowerCase();
+  return (lemmas && lemmas.get(lower)) || lower;
+};
+
+/**
+ * Group a word or phrase frequency list by the stems of its words, or by
+ * their lemmas, and add up the frequencies in each group.
+ *
+ * - "stem": "run", "runs" and "running" are grouped under their stem "run";
+ *   groups are named by their stem
+ * - "lemma": irregular forms join their base form as well ("ran" joins
+ *   "run"); groups are named by their shortest form after irregular forms
+ *   are replaced by their base form, which for regular forms is not always
+ *   the base form itself ("studied" for "studied", "studies" and "studying")
+ * - "word": the list is returned unchanged
+ *
+ * Phrases are grouped word by word.
+ *
+ * @param {*} wordFrequency - array of [word, frequency] entries
+ * @param {*} groupBy - "word" | "stem" | "lemma"
+ * @param {*} locale - language code or locale pack
+ * @returns array of [group, frequency, forms] entries, most frequent first,
+ *   where forms are the [word, frequency] entries in the group
+ */
+export const groupWordFrequency = (wordFrequency, groupBy = "word", locale = "en") => {
+  if (groupBy !== "stem" && groupBy !== "lemma") return wordFrequency;
+
+  const pack = getLocale(locale);
+  const groups = new Map();
+
+  for (const entry of wordFrequency) {
+    const words = entry[0].split(" ");
+    const lemmas = groupBy === "lemma" ? words.map((word) => lemmatizeWord(word, pack)) : words;
+    const key = lemmas.map((word) => stemWord(word, pack)).join(" ");
+    const name = groupBy === "lemma" ? lemmas.join(" ") : key;
+
+    const group = groups.get(key);
+    if (group) {
+      group[1] += entry[1];
+      group[2].push(entry);
+      if (name.length < group[0].length || (name.length === group[0].length && name < group[0])) group[0] = name;
+    } else {
+      groups.set(key, [name, entry[1], [entry]]);
+    }
+  }
+
+  return sortWordFrequency(groups.values());
+};
+
+/**
+ * Longest phrase, in words, that {@link calculatePhraseFrequency} and
+ * {@link analyzeText} count.
+ */
+export const maxPhraseLength = 4;
+
+/**
+ * Helper function to split words into runs that a phrase can span: words
+ * with only spaces or quotes between them. Commas, full stops, other
+ * punctuation, tabs (between table cells, see {@link parseContent}) and
+ * line breaks end a run. Words are lowercased.
+ *
+ * @param {*} text - string
+ * @param {*} wordSpans - {text, start, end} word spans of the text
+ * @returns string[][] - runs of words
+ */
+const getPhraseRuns = (text, wordSpans) => {
+  const runs = [];
+  let run = [];
+
+  wordSpans.forEach((span, i) => {
+    if (i > 0 && /[^\p{Zs}'"‘’“”]/u.test(text.slice(wordSpans[i - 1].end, span.start))) {
+      runs.push(run);
+      run = [];
+    }
+    run.push(span.text.toLowerCase());
+  });
+
+  if (run.length > 0) runs.push(run);
+  return runs;
+};
+
+/**
+ * Helper function to count the phrases of 2 up to {@link maxPhraseLength}
+ * words in runs of words.
+ *
+ * @param {*} runs - string[][] from getPhraseRuns
+ * @returns Map of phrase to frequency
+ */
+const countPhrases = (runs) => {
+  const phrases = new Map();
+
+  for (const run of runs) {
+    for (let i = 0; i < run.length - 1; i++) {
+      let phrase = run[i];
+      for (let length = 2; length <= maxPhraseLength && i + length <= run.length; length++) {
+        phrase += " " + run[i + length - 1];
+        phrases.set(phrase, (phrases.get(phrase) || 0) + 1);
+      }
+    }
+  }
+
+  return phrases;
+};
+
+/**
+ * Helper function to count how often a phrase occurs in runs of words.
+ * Occurrences do not overlap, so "the the" occurs once in "the the the".
+ *
+ * @param {*} runs - string[][] from getPhraseRuns
+ * @param {*} words - string[], the lowercased words of the phrase
+ * @returns number
+ */
+const countPhraseInRuns = (runs, words) => {
+  let count = 0;
+
+  for (const run of runs) {
+    for (let i = 0; i + words.length <= run.length; i++) {
+      let j = 0;
+      while (j < words.length && run[i + j] === words[j]) j++;
+      if (j === words.length) {
+        count++;
+        i += words.length - 1;
+      }
+    }
+  }
+
+  return count;
+};
+
+/**
+ * Calculate the frequency of phrases (n-grams) of a number of words in the
+ * passed text string, ignoring case. Phrases do not run across punctuation
+ * or line breaks. Phrases with the same frequency are sorted alphabetically.
+ *
+ * Takes the same options as {@link calculateWordFrequency}.
+ *
+ * @param {*} text - string
+ * @param {*} length - number of words per phrase, 2 to maxPhraseLength
+ * @param {*} options - object
+ * @returns array of [phrase, frequency] entries, most frequent first
+ */
+export const calculatePhraseFrequency = (text, length = 2, options = {}) => {
+  if (!text || typeof text !== "string") {
+    return [];
+  }
+
+  const { groupBy = "word", locale = "en" } = options;
+  const phrases = countPhrases(getPhraseRuns(text, getWordSpans(text)));
+  const entries = sortWordFrequency(phrases).filter(([phrase]) => phrase.split(" ").length === length);
+  return groupWordFrequency(entries, groupBy, locale);
+};
+
+/**
+ * Calculate the keyword density of a word or phrase: the share of all words
+ * in the text that its occurrences make up, as a percentage.
+ *
+ * @param {*} frequency - number of occurrences
+ * @param {*} length - number of words in the keyword
+ * @param {*} wordCount - number of words in the text
+ * @returns number - percentage
+ */
+export const calculateKeywordDensity = (frequency, length, wordCount) =>
+  wordCount > 0 ? ((frequency * length) / wordCount) * 100 : 0;
+
+/**
+ * Count a target keyword or phrase in the passed text string, ignoring case
+ * and the punctuation around it, and calculate its density. Markdown and HTML
+ * are searched as the prose they display, as in {@link analyzeText}, so the
+ * result matches its `keyword` for the same format.
+ *
+ * @param {*} text - string
+ * @param {*} keyword - string
+ * @param {*} options - {format}, "plain" | "markdown" | "html"
+ * @returns {Object} - {keyword, words, count, density}, or null when the
+ *   keyword has no words
+ */
+export const getKeywordDensity = (text, keyword, options = {}) => {
+  const { format = "plain" } = options;
+  const prose = parseContent(text || "", format).text;
+  const wordSpans = getWordSpans(prose);
+  return findKeyword([getPhraseRuns(prose, wordSpans)], keyword, wordSpans.length);
+};
+
+/**
+ * Helper function to count a target keyword in runs of words.
+ *
+ * @param {*} runLists - string[][][], runs from getPhraseRuns per paragraph
+ * @param {*} keyword - string
+ * @param {*} wordCount - number of words in the text
+ * @returns {Object} - {keyword, words, count, density}, or null
+ */
+const findKeyword = (runLists, keyword, wordCount) => {
+  const words = getWords(typeof keyword === "string" ? keyword : "").map((word) => word.toLowerCase());
+  if (words.length === 0) return null;
+
+  const count = runLists.reduce((total, runs) => total + countPhraseInRuns(runs, words), 0);
+
+  return {
+    keyword: words.join(" "),
+    words: words.length,
+    count: count,
+    density: calculateKeywordDensity(count, words.length, wordCount),
+  };
+};
+
+/**
+ * Guess the language of the passed text string from the registered locale
+ * packs, by counting how many of its words are stop words in each language.
+ * Only the first 1,000 words are sampled. Returns the fallback when no
+ * locale matches.
+ *
+ * @param {*} text - string
+ * @param {*} fallback - language code
+ * @returns string - language code
+ */
+export const detectLocale = (text, fallback = "en") =>
+  detectLocaleFromWords(getWords(text || ""), fallback);
+
+/**
+ * Helper function to guess the language of already tokenized words.
+ *
+ * See {@link detectLocale}
+ *
+ * @param {*} words - string[]
+ * @param {*} fallback - language code
+ * @returns string - language code
+ */
+const detectLocaleFromWords = (words, fallback) => {
+  const sample = words.slice(0, 1000).map((word) => word.toLowerCase());
+
+  let bestCode = fallback;
+  let bestScore = 0;
+
+  for (const pack of getLocales()) {
+    let score = 0;
+    for (const word of sample) {
+      if (pack.stopWords.has(word)) score++;
+    }
+
+    if (score > bestScore) {
+      bestCode = pack.code;
+      bestScore = score;
+    }
+  }
+
+  return bestCode;
+};
+
+/**
+ * Calculate the average number of words per sentence in the passed
+ * text string. 
+ * 
+ * @param {*} text - string 
+ * @param {*} locale - language code or locale pack
+ * @returns number (float)
+ */
+export const getAverageWordsPerSentence = (text, locale = "en") => text.trim().length > 0 ? getWordCount(text) / getSentenceCount(text, locale) : 0;
+
+/**
+ * Calculate the average number of sentences per paragraph in the passed
+ * text string.
+ *
+ * @param {*} text - string
+ * @param {*} locale - language code or locale pack
+ * @returns number (float)
+ */
+export const getAverageSentencePerParagraph = (text, locale = "en") => text.trim().length > 0 ? getSentenceCount(text, locale) / getParagraphCount(text) : 0;
+
+/**
+ * Calculate the average number of characters per word in the passed
+ * text string. 
+ * 
+ * @param {*} text - string 
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
+ * @returns number (float)
+ */
+export const getAverageCharsPerWord = (text, mode = "grapheme") => text.trim().length > 0 && getWordCount(text) > 0 ? getCharCountNoSpaces(text, mode) / getWordCount(text) : 0;
+
+/**
+ * Helper function to determine if we should end a sentence.
+ *
+ * @param {*} sentence - string
+ * @param {*} pack - locale pack
+ * @returns boolean
+ */
+const shouldEndSentence = (sentence, pack) => {
+  // Handle ellipses - these typically end sentences
+  if (sentence.endsWith("...") || sentence.endsWith("…")) {
+    return true;
+  }
+
+  // Every terminal other than a period always ends a sentence
+  if (!sentence.endsWith(".")) {
+    return true;
+  }
+
+  // For periods, check for abbreviations
+  const words = sentence.replace(/[.!?]+$/, "").split(/\s+/);
+  const lastWord = words[words.length - 1];
+
+  if (!lastWord) return true;
+
+  // Keep inner periods so "e.g." is looked up as "e.g"
+  const cleanLastWord = lastWord
+    .toLowerCase()
+    .replace(/[^\p{L}.]/gu, "")
+    .replace(/^\.+|\.+$/g, "");
+
+  // Check if it's a known abbreviation
+  if (pack.abbreviations.has(cleanLastWord)) {
+    return false;
+  }
+
+  // Check for patterns that suggest abbreviations
+  // Single letters followed by periods (A. B. C., U.S.A., z.B.)
+  if (/^(?:\p{L}\.)*\p{L}$/u.test(cleanLastWord)) {
+    return false;
+  }
+
+  // Common abbreviation patterns (2-4 letters, all caps in original)
+  if (lastWord.length <= 4 && /^\p{Lu}+$/u.test(lastWord)) {
+    return false;
+  }
+
+  // Check for numbered items (1. 2. etc.)
+  if (/^\d+$/.test(cleanLastWord)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Helper function to check if string is just punctuation.
+ *
+ * @param {*} str - string
+ * @returns boolean
+ */
+const isJustPunctuation = (str) => {
+  return /^[\p{P}\s]+$/u.test(str);
+};
+
+/**
+ * Auxiliary verbs that introduce the passive voice, longest first so that
+ * "has been" wins over "been". Contractions appear without their apostrophe,
+ * as they are compared against cleaned words.
+ */
+const auxiliaryVerbs = [
+  "ought to be",
+  "have been", "has been", "had been", "will be", "would be",
+  "can be", "could be", "may be", "might be", "must be",
+  "should be", "shall be",
+  "am", "is", "are", "was", "were", "be", "been", "being",
+  "isnt", "arent", "wasnt", "werent",
+  "get", "gets", "got", "gotten", "getting",
+];
+
+/**
+ * Irregular past participles (common ones). Regular participles are caught by
+ * their "-ed" ending instead.
+ */
+const irregularPastParticiples = new Set([
+  "done", "gone", "taken", "given", "seen", "known", "shown",
+  "written", "spoken", "broken", "chosen", "frozen", "stolen",
+  "beaten", "eaten", "fallen", "forgotten", "hidden", "ridden",
+  "risen", "driven", "thrown", "grown", "blown", "flown",
+  "drawn", "worn", "torn", "born", "borne", "sworn", "cut", "hit",
+  "put", "shut", "hurt", "set", "let", "bet", "cost",
+  "burst", "cast", "split", "spread", "read", "led", "fed",
+  "held", "told", "sold", "built", "sent", "spent", "lent",
+  "bent", "kept", "slept", "wept", "swept", "felt", "dealt",
+  "meant", "learnt", "burnt", "heard", "made", "paid", "laid",
+  "said", "stood", "understood", "found", "bound", "wound",
+  "hung", "sung", "rung", "won", "run", "begun", "come",
+  "become", "overcome", "brought", "bought", "thought",
+  "fought", "caught", "taught", "sought", "wrought",
+  "bitten", "forbidden", "forgiven", "mistaken", "proven", "shaken",
+  "woken", "sewn", "sown", "shorn", "struck", "stuck", "spun", "strung",
+  "left", "lost", "shot", "lit", "met", "dug", "slain",
+]);
+
+/**
+ * Words ending in "-ed" that are never past participles.
+ */
+const nonParticiplesEndingInEd = new Set([
+  "bleed", "breed", "creed", "deed", "embed", "exceed", "feed", "greed",
+  "hundred", "indeed", "kindred", "need", "proceed", "seed", "shed",
+  "speed", "steed", "succeed", "tweed", "weed",
+]);
+
+/**
+ * Participles that mostly work as adjectives after a linking verb ("she was
+ * tired"). They only count as passive when a "by" agent follows ("she was
+ * tired by the journey").
+ */
+const adjectiveParticiples = new Set([
+  "advanced", "aged", "amazed", "annoyed", "armed", "ashamed", "bored",
+  "complicated", "concerned", "confused", "crowded", "dedicated",
+  "delighted", "detailed", "determined", "disappointed", "embarrassed",
+  "engaged", "excited", "exhausted", "experienced", "frightened",
+  "interested", "involved", "limited", "married", "pleased", "prepared",
+  "qualified", "related", "relaxed", "satisfied", "scared", "shocked",
+  "sophisticated", "supposed", "surprised", "talented", "tired", "used",
+  "worried",
+]);
+
+/**
+ * Words allowed between the auxiliary and the participle ("was not
+ * reviewed", "is being built"), on top of "-ly" adverbs.
+ */
+const passiveInterveningWords = new Set([
+  "not", "never", "always", "often", "sometimes", "seldom", "already",
+  "still", "just", "also", "even", "ever", "once", "soon", "well", "being",
+  "been", "all", "both",
+]);
+
+/**
+ * Words that start a new clause, so the search for a participle or agent
+ * stops at them.
+ */
+const clauseBoundaryWords = new Set([
+  "and", "but", "or", "nor", "yet", "so", "because", "although", "though",
+  "while", "whereas", "when", "whenever", "where", "if", "unless", "until",
+  "since", "that", "which", "who", "whom", "whose",
+]);
+
+/**
+ * Prepositions that end a "by" agent phrase ("by the team in March").
+ */
+const agentBoundaryWords = new Set([
+  "about", "after", "at", "before", "during", "for", "from", "in", "into",
+  "on", "over", "to", "under", "with", "without",
+]);
+
+/**
+ * Longest "by" agent phrase, in words, including "by" itself.
+ */
+const maxAgentWords = 6;
+
+/**
+ * Helper function to lower-case a word and strip everything but letters.
+ *
+ * @param {*} word - string
+ * @returns string
+ */
+const cleanPassiveWord = (word) => word.toLowerCase().replace(/[^\p{L}]/gu, "");
+
+/**
+ * Helper function to check for punctuation that separates clauses.
+ *
+ * @param {*} str - string between two words
+ * @returns boolean
+ */
+const isClauseBoundary = (str) => /[,;:()\[\]"“”–—]/.test(str);
+
+/**
+ * Helper function to check if a cleaned word could be a past participle.
+ *
+ * @param {*} word - string
+ * @returns boolean
+ */
+const isPastParticiple = (word) =>
+  irregularPastParticiples.has(word) ||
+  // Prefixed irregulars ("rebuilt", "overdone", "mistaken", "undone")
+  irregularPastParticiples.has(word.replace(/^(?:re|un|mis|over|under|out|with)/, "")) ||
+  (word.length > 3 && word.endsWith("ed") && !nonParticiplesEndingInEd.has(word));
+
+/**
+ * Helper function to find the auxiliary verb starting at a word, trying the
+ * longest auxiliaries first.
+ *
+ * @param {*} words - cleaned words of the sentence
+ * @param {*} index - number
+ * @returns number of words in the auxiliary, or 0 if there is none
+ */
+const matchAuxiliary = (words, index) => {
+  for (const auxiliary of auxiliaryVerbs) {
+    const parts = auxiliary.split(" ");
+    if (parts.every((part, offset) => words[index + offset] === part)) {
+      return parts.length;
+    }
+  }
+  return 0;
+};
+
+/**
+ * Find the passive voice constructions in the passed text string.
+ *
+ * A construction is an auxiliary verb ("was", "has been", "got") followed by a
+ * past participle, with only adverbs and negations between them and no clause
+ * boundary (a comma, a dash, "and", "which"). Participles that usually act as
+ * adjectives ("tired", "interested") only count when a "by" agent follows.
+ *
+ * Every match carries the index of its sentence in {@link getSentenceSpans}
+ * and spans for the whole construction, the auxiliary, the participle and
+ * the agent phrase (or null when there is none).
+ *
+ * @param {*} text - string
+ * @returns {Object[]} - passive constructions, in text order
+ */
+export const findPassiveConstructions = (text) =>
+  matchPassiveConstructions(text, getSentenceSpans(text), getWordSpans(text));
+
+/**
+ * Helper function to find passive voice constructions from the already
+ * tokenized sentence and word spans of the text.
+ *
+ * See {@link findPassiveConstructions}
+ *
+ * @param {*} text - string
+ * @param {*} sentences - spans from getSentenceSpans
+ * @param {*} wordSpans - spans from getWordSpans
+ * @returns {Object[]} - passive constructions, in text order
+ */
+const matchPassiveConstructions = (text, sentences, wordSpans) => {
+  const constructions = [];
+  const sentenceWords = groupSpans(wordSpans, sentences);
+
+  sentences.forEach((sentence, sentenceIndex) => {
+    const spans = sentenceWords[sentenceIndex];
+    const words = spans.map((span) => cleanPassiveWord(span.text));
+    const isJoined = (from, to) =>
+      !isClauseBoundary(text.slice(spans[from].end, spans[to].start));
+
+    for (let i = 0; i < words.length; i++) {
+      const auxiliaryLength = matchAuxiliary(words, i);
+      if (auxiliaryLength === 0) continue;
+
+      const auxiliaryEnd = i + auxiliaryLength - 1;
+      let participleIndex = -1;
+
+      for (let j = auxiliaryEnd + 1; j < words.length; j++) {
+        if (!isJoined(j - 1, j) || clauseBoundaryWords.has(words[j])) break;
+        if (isPastParticiple(words[j])) {
+          participleIndex = j;
+          break;
+        }
+        if (!passiveInterveningWords.has(words[j]) && !isAdverb(words[j])) break;
+      }
+
+      if (participleIndex === -1) continue;
+
+      let agent = null;
+      let agentStart = participleIndex + 1;
+
+      while (agentStart < words.length && isAdverb(words[agentStart]) && isJoined(agentStart - 1, agentStart)) {
+        agentStart++;
+      }
+
+      if (words[agentStart] === "by" && isJoined(agentStart - 1, agentStart)) {
+        let agentEnd = agentStart;
+
+        while (
+          agentEnd + 1 < words.length &&
+          agentEnd + 1 - agentStart < maxAgentWords &&
+          isJoined(agentEnd, agentEnd + 1) &&
+          !clauseBoundaryWords.has(words[agentEnd + 1]) &&
+          !agentBoundaryWords.has(words[agentEnd + 1])
+        ) {
+          agentEnd++;
+        }
+
+        if (agentEnd > agentStart) {
+          agent = createSpan(text, spans[agentStart].start, spans[agentEnd].end);
+        }
+      }
+
+      if (adjectiveParticiples.has(words[participleIndex]) && !agent) {
+        continue;
+      }
+
+      const participle = spans[participleIndex];
+
+      constructions.push({
+        sentenceIndex,
+        ...createSpan(text, spans[i].start, (agent || participle).end),
+        auxiliary: createSpan(text, spans[i].start, spans[auxiliaryEnd].end),
+        participle,
+        agent,
+      });
+
+      i = participleIndex;
+    }
+  });
+
+  return constructions;
+};
+
+/**
+ * Get the percentage of sentences in the passed text string that contain at
+ * least one passive voice construction.
+ *
+ * See {@link findPassiveConstructions}
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getPassiveVoicePercentage = (text) => {
+  if (!text || typeof text !== "string") return 0;
+
+  return passiveVoicePercentage(findPassiveConstructions(text), getSentenceCount(text));
+};
+
+/**
+ * Helper function to calculate the percentage of sentences that contain at
+ * least one of the passed passive voice constructions.
+ *
+ * @param {*} constructions - object[] from findPassiveConstructions
+ * @param {*} sentenceCount - number
+ * @returns number (float)
+ */
+const passiveVoicePercentage = (constructions, sentenceCount) => {
+  if (sentenceCount === 0) return 0;
+
+  const passiveSentences = new Set(
+    constructions.map((construction) => construction.sentenceIndex)
+  );
+
+  // Calculate percentage
+  const percentage = (passiveSentences.size / sentenceCount) * 100;
+  return Math.round(percentage * 100) / 100; // Round to 2 decimal places
+};
+
+export const getPassiveVoiceDescription = (text) =>
+  describePassiveVoice(getPassiveVoicePercentage(text));
+
+/**
+ * Helper function to label a passive voice percentage.
+ *
+ * @param {*} percentage - number
+ * @returns string
+ */
+const describePassiveVoice = (percentage) => {
+  if (percentage === 0) return "Not Passive";
+  if (percentage <= 5) return "Minimal Passivity";
+  if (percentage <= 10) return "Low Passivity";
+  if (percentage <= 15) return "Moderate Passivity";
+  if (percentage <= 25) return "High Passivity";
+  if (percentage <= 35) return "Very High Passivity";
+  return "Excessive Passivity";
+};
+
+export const getPassiveVoiceExtendedDescription = (text) =>
+  describePassiveVoiceExtended(getPassiveVoicePercentage(text));
+
+/**
+ * Helper function to explain a passive voice percentage.
+ *
+ * @param {*} percentage - number
+ * @returns string
+ */
+const describePassiveVoiceExtended = (percentage) => {
+  if (percentage === 0) {
+    return "This text contains no passive voice constructions, demonstrating excellent active voice usage. Active voice creates direct, clear sentences where the subject performs the action, making your writing more engaging and easier to follow. This approach helps readers immediately understand who is responsible for each action, creating stronger, more confident prose.";
+  }
+  
+  if (percentage <= 5) {
+    return "This text uses passive voice very sparingly, which represents optimal writing practice. With minimal passive voice usage, your writing maintains strong clarity and directness while occasionally using passive constructions where they serve a specific purpose. This balance creates engaging, readable content that keeps readers focused on the action and actors involved.";
+  }
+  
+  if (percentage <= 10) {
+    return "This text demonstrates good passive voice control with low usage that supports readability. Active voice dominates your writing, creating clear, direct sentences that engage readers effectively. The occasional passive voice likely serves specific purposes, such as emphasizing the action over the actor or maintaining flow between sentences. This level maintains strong reader engagement.";
+  }
+  
+  if (percentage <= 15) {
+    return "This text shows moderate passive voice usage that begins to impact readability. While still within acceptable ranges for most writing contexts, you may want to review passive constructions to ensure they serve specific purposes. Converting some passive sentences to active voice would create more direct, engaging prose and help readers more easily identify who is performing each action.";
+  }
+  
+  if (percentage <= 25) {
+    return "This text contains high levels of passive voice that likely reduce readability and reader engagement. Passive constructions can make writing feel indirect, wordy, and sometimes unclear about who is responsible for actions. Consider revising many of these passive sentences to active voice to create stronger, more direct communication that better connects with your audience.";
+  }
+  
+  if (percentage <= 35) {
+    return "This text exhibits very high passive voice usage that significantly impacts clarity and engagement. Excessive passive voice creates distance between readers and the content, often making writing feel academic, indirect, or evasive. Substantial revision toward active voice would dramatically improve readability, making your writing more compelling and easier to understand.";
+  }
+  
+  return "This text contains excessive passive voice that severely hampers readability and engagement. Such heavy reliance on passive constructions creates wordy, indirect prose that obscures responsibility and action. Readers may struggle to follow your meaning and lose interest due to the indirect style. Comprehensive revision focusing on active voice construction would transform this text into clear, engaging communication.";
+};
+
+/**
+ * Words whose syllable count the vowel-group heuristic in
+ * {@link getWordSyllableCount} gets wrong.
+ */
+const syllableExceptions = new Map([
+  ["area", 3],
+  ["being", 2],
+  ["business", 2],
+  ["create", 2],
+  ["created", 3],
+  ["everyone", 3],
+  ["everything", 3],
+  ["idea", 3],
+  ["ideas", 3],
+  ["lion", 2],
+  ["poem", 2],
+  ["poet", 2],
+  ["science", 2],
+  ["society", 4],
+  ["video", 3],
+  ["whole", 1],
+]);
+
+/**
+ * Get the number of syllables in a single English word.
+ *
+ * Uses a vowel-group heuristic with corrections for silent endings
+ * ("make", "makes", "jumped") and a short list of exceptions. Tokens without
+ * any letters (numbers) count as one syllable.
+ *
+ * @param {*} word - string
+ * @returns number
+ */
+export const getWordSyllableCount = (word) => {
+  const cleanWord = word.toLowerCase().replace(/[^a-z]/g, "");
+
+  if (!cleanWord) return 1;
+  if (cleanWord.length <= 3) return 1;
+  if (syllableExceptions.has(cleanWord)) return syllableExceptions.get(cleanWord);
+
+  const stripped = cleanWord
+    // Silent trailing "e", "es" and "ed" ("make", "makes", "jumped") but not
+    // "le" ("table"), "ted"/"ded" ("wanted") or sibilant plurals ("boxes")
+    .replace(/(?:[^laeiouysxzh]es|[^laeiouytd]ed|[^laeiouy]e)$/, "")
+    // A leading "y" is a consonant ("yellow")
+    .replace(/^y/, "");
+
+  const vowelGroups = stripped.match(/[aeiouy]+/g) || [];
+  return Math.max(1, vowelGroups.length);
+};
+
+/**
+ * Get the total number of syllables in the passed text string.
+ *
+ * See {@link getWordSyllableCount}
+ *
+ * @param {*} text - string
+ * @returns number
+ */
+export const getSyllableCount = (text) =>
+  getWords(text).reduce((total, word) => total + getWordSyllableCount(word), 0);
+
+/**
+ * Get the number of words with three or more syllables in the passed text string.
+ *
+ * @param {*} text - string
+ * @returns number
+ */
+export const getPolysyllableCount = (text) =>
+  getWords(text).filter((word) => getWordSyllableCount(word) >= 3).length;
+
+/**
+ * Helper function to determine if a word counts as "complex" for the Gunning
+ * Fog index: three or more syllables, not hyphenated, and not reaching three
+ * syllables only through an -es, -ed or -ing suffix.
+ *
+ * @param {*} word - string
+ * @returns boolean
+ */
+const isComplexWord = (word) => {
+  if (word.includes("-") || getWordSyllableCount(word) < 3) {
+    return false;
+  }
+
+  const stem = word.toLowerCase().replace(/(?:es|ed|ing)$/, "");
+  return getWordSyllableCount(stem) >= 3;
+};
+
+/**
+ * Helper function to determine if a word is "difficult" for the Dale-Chall
+ * formula, meaning neither it nor its regular inflected base form is on the
+ * Dale-Chall list of familiar words.
+ *
+ * @param {*} word - string
+ * @returns boolean
+ */
+const isDifficultWord = (word) => {
+  const cleanWord = word.toLowerCase().replace(/^[^a-z]+|[^a-z]+$/g, "");
+
+  if (!cleanWord) return false;
+  if (daleChallWords.has(cleanWord)) return false;
+
+  const baseForms = [
+    cleanWord.replace(/'s$/, ""),
+    cleanWord.replace(/s$/, ""),
+    cleanWord.replace(/es$/, ""),
+    cleanWord.replace(/ies$/, "y"),
+    cleanWord.replace(/d$/, ""),
+    cleanWord.replace(/ed$/, ""),
+    cleanWord.replace(/ied$/, "y"),
+    cleanWord.replace(/ing$/, ""),
+    cleanWord.replace(/ing$/, "e"),
+    cleanWord.replace(/er$/, ""),
+    cleanWord.replace(/est$/, ""),
+    cleanWord.replace(/ly$/, ""),
+  ];
+
+  return !baseForms.some((form) => form !== cleanWord && daleChallWords.has(form));
+};
+
+/**
+ * Helper function to round a score to two decimal places.
+ *
+ * @param {*} value - number
+ * @returns number
+ */
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Helper function to gather the counts every readability formula is built
+ * from, using the same {@link getWords} and {@link getSentences} tokenization
+ * as the rest of this module.
+ *
+ * @param {*} text - string
+ * @returns {Object} - word, sentence, syllable and letter counts
+ */
+const getReadabilityStatistics = (text) =>
+  buildReadabilityStatistics(getWords(text), getSentenceCount(text));
+
+/**
+ * Helper function to gather the readability counts from already tokenized
+ * words.
+ *
+ * See {@link getReadabilityStatistics}
+ *
+ * @param {*} words - string[]
+ * @param {*} sentenceCount - number
+ * @returns {Object} - word, sentence, syllable and letter counts
+ */
+const buildReadabilityStatistics = (words, sentenceCount) => {
+  const statistics = {
+    wordCount: words.length,
+    sentenceCount: sentenceCount,
+    syllableCount: 0,
+    polysyllableCount: 0,
+    complexWordCount: 0,
+    difficultWordCount: 0,
+    letterCount: 0,
+    characterCount: 0,
+  };
+
+  for (const word of words) {
+    const syllables = getWordSyllableCount(word);
+
+    statistics.syllableCount += syllables;
+    statistics.letterCount += (word.match(/[a-zA-Z]/g) || []).length;
+    statistics.characterCount += (word.match(/[a-zA-Z0-9]/g) || []).length;
+
+    if (syllables >= 3) statistics.polysyllableCount++;
+    if (isComplexWord(word)) statistics.complexWordCount++;
+    if (isDifficultWord(word)) statistics.difficultWordCount++;
+  }
+
+  return statistics;
+};
+
+/**
+ * Helper function to check whether there is enough text to score.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns boolean
+ */
+const canScore = (statistics) =>
+  statistics.wordCount > 0 && statistics.sentenceCount > 0;
+
+/**
+ * Calculate the Flesch Reading Ease score (0-100, higher is easier) from
+ * precomputed statistics.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const fleschReadingEase = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { wordCount, sentenceCount, syllableCount } = statistics;
+  return roundScore(
+    206.835 -
+      1.015 * (wordCount / sentenceCount) -
+      84.6 * (syllableCount / wordCount)
+  );
+};
+
+/**
+ * Calculate the Flesch-Kincaid grade level from precomputed statistics.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const fleschKincaidGrade = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { wordCount, sentenceCount, syllableCount } = statistics;
+  return roundScore(
+    0.39 * (wordCount / sentenceCount) +
+      11.8 * (syllableCount / wordCount) -
+      15.59
+  );
+};
+
+/**
+ * Calculate the Gunning Fog index from precomputed statistics.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const gunningFog = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { wordCount, sentenceCount, complexWordCount } = statistics;
+  return roundScore(
+    0.4 * (wordCount / sentenceCount + 100 * (complexWordCount / wordCount))
+  );
+};
+
+/**
+ * Calculate the SMOG grade from precomputed statistics, normalized to the
+ * formula's 30-sentence sample.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const smogIndex = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { sentenceCount, polysyllableCount } = statistics;
+  return roundScore(
+    1.043 * Math.sqrt(polysyllableCount * (30 / sentenceCount)) + 3.1291
+  );
+};
+
+/**
+ * Calculate the Coleman-Liau index from precomputed statistics.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const colemanLiauIndex = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { wordCount, sentenceCount, letterCount } = statistics;
+  const lettersPer100Words = (letterCount / wordCount) * 100;
+  const sentencesPer100Words = (sentenceCount / wordCount) * 100;
+
+  return roundScore(
+    0.0588 * lettersPer100Words - 0.296 * sentencesPer100Words - 15.8
+  );
+};
+
+/**
+ * Calculate the Automated Readability Index from precomputed statistics.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const automatedReadabilityIndex = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { wordCount, sentenceCount, characterCount } = statistics;
+  return roundScore(
+    4.71 * (characterCount / wordCount) +
+      0.5 * (wordCount / sentenceCount) -
+      21.43
+  );
+};
+
+/**
+ * Calculate the New Dale-Chall score from precomputed statistics.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const daleChallScore = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { wordCount, sentenceCount, difficultWordCount } = statistics;
+  const difficultPercentage = (difficultWordCount / wordCount) * 100;
+  let score = 0.1579 * difficultPercentage + 0.0496 * (wordCount / sentenceCount);
+
+  // Texts with more than 5% difficult words get a fixed adjustment
+  if (difficultPercentage > 5) {
+    score += 3.6365;
+  }
+
+  return roundScore(score);
+};
+
+/**
+ * Calculate the Linsear Write grade from precomputed statistics. Easy words
+ * (fewer than three syllables) score one point and hard words three points;
+ * the average points per sentence are then scaled to a grade level.
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns number (float)
+ */
+const linsearWriteGrade = (statistics) => {
+  if (!canScore(statistics)) return 0;
+
+  const { wordCount, sentenceCount, polysyllableCount } = statistics;
+  const easyWordCount = wordCount - polysyllableCount;
+  const provisional = (easyWordCount + 3 * polysyllableCount) / sentenceCount;
+
+  return roundScore(provisional > 20 ? provisional / 2 : (provisional - 2) / 2);
+};
+
+/**
+ * Convert a New Dale-Chall score to the approximate U.S. grade level it
+ * corresponds to, using the midpoint of each published score band.
+ *
+ * @param {*} score - number
+ * @returns number
+ */
+export const getDaleChallGrade = (score) => {
+  if (score < 5) return 4;
+  if (score < 6) return 5.5;
+  if (score < 7) return 7.5;
+  if (score < 8) return 9.5;
+  if (score < 9) return 11.5;
+  if (score < 10) return 14;
+  return 16;
+};
+
+/**
+ * Helper function to get the median of a list of numbers.
+ *
+ * @param {*} values - number[]
+ * @returns number
+ */
+const median = (values) => {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+};
+
+/**
+ * Calculate the Flesch Reading Ease score of the passed text string. Scores
+ * range from roughly 0 to 100; higher scores are easier to read.
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getFleschReadingEase = (text) =>
+  fleschReadingEase(getReadabilityStatistics(text));
+
+/**
+ * Calculate the Flesch-Kincaid grade level of the passed text string.
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getFleschKincaidGrade = (text) =>
+  fleschKincaidGrade(getReadabilityStatistics(text));
+
+/**
+ * Calculate the Gunning Fog index of the passed text string.
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getGunningFogIndex = (text) =>
+  gunningFog(getReadabilityStatistics(text));
+
+/**
+ * Calculate the SMOG grade of the passed text string.
+ *
+ * @param {*} text - string
+ * @returns number (float)
  */
-export const getAverageCharsPerWord = (text) => text.trim().length > 0 && getWordCount(text) > 0 ? getCharCountNoSpaces(text) / getWordCount(text) : 0;
+export const getSmogIndex = (text) => smogIndex(getReadabilityStatistics(text));
 
 /**
- * Helper function to determine if we should end a sentence.
+ * Calculate the Coleman-Liau index of the passed text string.
  *
- * @param {*} sentence - string
- * @param {*} abbreviations - set
- * @returns boolean
+ * @param {*} text - string
+ * @returns number (float)
  */
-const shouldEndSentence = (sentence, abbreviations) => {
-  // Handle ellipses - these typically end sentences
-  if (sentence.endsWith("...") || sentence.endsWith("…")) {
-    return true;
-  }
+export const getColemanLiauIndex = (text) =>
+  colemanLiauIndex(getReadabilityStatistics(text));
 
-  // Handle exclamation and question marks - these always end sentences
-  if (/[!?]$/.test(sentence)) {
-    return true;
+/**
+ * Calculate the Automated Readability Index of the passed text string.
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getAutomatedReadabilityIndex = (text) =>
+  automatedReadabilityIndex(getReadabilityStatistics(text));
+
+/**
+ * Calculate the New Dale-Chall score of the passed text string.
+ *
+ * See {@link getDaleChallGrade} to convert the score to a grade level.
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getDaleChallScore = (text) =>
+  daleChallScore(getReadabilityStatistics(text));
+
+/**
+ * Calculate the Linsear Write grade of the passed text string.
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getLinsearWriteGrade = (text) =>
+  linsearWriteGrade(getReadabilityStatistics(text));
+
+/**
+ * Calculate every readability formula for the passed text string in one pass,
+ * along with a consensus grade: the median of the grade-level formulas.
+ *
+ * @param {*} text - string
+ * @returns {Object} - readability scores keyed by formula
+ */
+export const getReadabilityScores = (text) =>
+  scoreReadability(getReadabilityStatistics(text));
+
+/**
+ * Helper function to calculate every readability formula from precomputed
+ * statistics.
+ *
+ * See {@link getReadabilityScores}
+ *
+ * @param {*} statistics - object from getReadabilityStatistics
+ * @returns {Object} - readability scores keyed by formula
+ */
+const scoreReadability = (statistics) => {
+  const scores = {
+    fleschReadingEase: fleschReadingEase(statistics),
+    fleschKincaidGrade: fleschKincaidGrade(statistics),
+    gunningFog: gunningFog(statistics),
+    smogIndex: smogIndex(statistics),
+    colemanLiauIndex: colemanLiauIndex(statistics),
+    automatedReadabilityIndex: automatedReadabilityIndex(statistics),
+    daleChallScore: daleChallScore(statistics),
+    linsearWriteGrade: linsearWriteGrade(statistics),
+    consensusGrade: 0,
+  };
+
+  if (canScore(statistics)) {
+    scores.consensusGrade = roundScore(
+      median([
+        scores.fleschKincaidGrade,
+        scores.gunningFog,
+        scores.smogIndex,
+        scores.colemanLiauIndex,
+        scores.automatedReadabilityIndex,
+        getDaleChallGrade(scores.daleChallScore),
+        scores.linsearWriteGrade,
+      ])
+    );
   }
 
-  // For periods, check for abbreviations
-  if (sentence.endsWith(".")) {
-    const words = sentence.replace(/[.!?]+$/, "").split(/\s+/);
-    const lastWord = words[words.length - 1];
+  return scores;
+};
+
+/**
+ * Calculate the consensus grade level of the passed text string.
+ *
+ * See {@link getReadabilityScores}
+ *
+ * @param {*} text - string
+ * @returns number (float)
+ */
+export const getConsensusGrade = (text) =>
+  getReadabilityScores(text).consensusGrade;
+
+/**
+ * Grade levels at which a sentence is flagged as hard or very hard to read.
+ */
+const hardSentenceGrade = 10;
+const veryHardSentenceGrade = 14;
+
+/**
+ * Sentences shorter than this are never flagged as hard, however long their
+ * words are, since a handful of words gives the grade formula too little to
+ * work with.
+ */
+const hardSentenceMinWords = 10;
+
+/**
+ * Words ending in "-ly" that are not adverbs, or are mostly used as
+ * adjectives and nouns.
+ */
+const nonAdverbsEndingInLy = new Set([
+  "ally", "anomaly", "apply", "assembly", "beastly", "belly", "bully",
+  "burly", "butterfly", "chilly", "comply", "costly", "courtly", "cowardly",
+  "cuddly", "curly", "daily", "deadly", "dragonfly", "early", "earthly",
+  "elderly", "family", "firefly", "friendly", "ghastly", "ghostly", "grisly",
+  "heavenly", "hilly", "holly", "holy", "homely", "homily", "hourly", "imply",
+  "italy", "jelly", "jolly", "july", "leisurely", "likely", "lily", "lively",
+  "lonely", "lovely", "manly", "measly", "melancholy", "monopoly", "monthly",
+  "multiply", "nightly", "oily", "only", "orderly", "prickly", "quarterly",
+  "rally", "rely", "reply", "scholarly", "sickly", "silly", "smelly",
+  "stately", "supply", "surly", "tally", "timely", "ugly", "unlikely",
+  "unruly", "weekly", "wily", "woolly", "worldly", "yearly",
+]);
+
+/**
+ * Helper function to determine if a word is an adverb, judged by its "-ly"
+ * ending.
+ *
+ * @param {*} word - string
+ * @returns boolean
+ */
+const isAdverb = (word) => {
+  const cleanWord = word.toLowerCase().replace(/[^a-z]/g, "");
+  return (
+    cleanWord.length > 3 &&
+    cleanWord.endsWith("ly") &&
+    !nonAdverbsEndingInLy.has(cleanWord)
+  );
+};
 
-    if (!lastWord) return true;
+/**
+ * Helper function to calculate the Flesch-Kincaid grade level of a single
+ * sentence.
+ *
+ * @param {*} words - string[] words of the sentence
+ * @returns number (float)
+ */
+const getSentenceGrade = (words) =>
+  fleschKincaidGrade({
+    wordCount: words.length,
+    sentenceCount: 1,
+    syllableCount: words.reduce(
+      (total, word) => total + getWordSyllableCount(word),
+      0
+    ),
+  });
+
+/**
+ * Find the parts of the passed text string that make it harder to read, in the
+ * style of the Hemingway editor: hard and very hard sentences, passive
+ * sentences, adverbs and words with three or more syllables.
+ *
+ * Every entry is a span from {@link getSentenceSpans} or {@link getWordSpans},
+ * so `text.slice(start, end)` gives back the flagged text. Sentence spans also
+ * carry their `grade`.
+ *
+ * @param {*} text - string
+ * @returns {Object} - arrays of spans keyed by category
+ */
+export const getWritingHighlights = (text) => {
+  const sentences = getSentenceSpans(text);
+  const wordSpans = getWordSpans(text);
+
+  return buildWritingHighlights(
+    sentences,
+    wordSpans,
+    matchPassiveConstructions(text, sentences, wordSpans)
+  );
+};
 
-    const cleanLastWord = lastWord.toLowerCase().replace(/[^a-z]/g, "");
+/**
+ * Helper function to find the writing highlights from the already tokenized
+ * sentence and word spans of the text.
+ *
+ * See {@link getWritingHighlights}
+ *
+ * @param {*} sentences - spans from getSentenceSpans
+ * @param {*} wordSpans - spans from getWordSpans
+ * @param {*} constructions - object[] from findPassiveConstructions
+ * @returns {Object} - arrays of spans keyed by category
+ */
+const buildWritingHighlights = (sentences, wordSpans, constructions) => {
+  const highlights = {
+    hardSentences: [],
+    veryHardSentences: [],
+    passiveSentences: [],
+    adverbs: [],
+    polysyllables: [],
+  };
 
-    // Check if it's a known abbreviation
-    if (abbreviations.has(cleanLastWord)) {
-      return false;
+  const passiveSentenceIndexes = new Set(
+    constructions.map((construction) => construction.sentenceIndex)
+  );
+  const sentenceWords = groupSpans(wordSpans, sentences);
+
+  sentences.forEach((sentence, sentenceIndex) => {
+    const words = sentenceWords[sentenceIndex].map((word) => word.text);
+    const grade = getSentenceGrade(words);
+    const span = { ...sentence, grade };
+
+    if (words.length >= hardSentenceMinWords) {
+      if (grade >= veryHardSentenceGrade) {
+        highlights.veryHardSentences.push(span);
+      } else if (grade >= hardSentenceGrade) {
+        highlights.hardSentences.push(span);
+      }
     }
 
-    // Check for patterns that suggest abbreviations
-    // Single letter followed by period (A. B. C.)
-    if (/^[a-z]$/i.test(cleanLastWord)) {
-      return false;
+    if (passiveSentenceIndexes.has(sentenceIndex)) {
+      highlights.passiveSentences.push(span);
     }
+  });
 
-    // Common abbreviation patterns (2-4 letters, all caps in original)
-    if (lastWord.length <= 4 && /^[A-Z]+$/.test(lastWord)) {
-      return false;
+  for (const word of wordSpans) {
+    if (isAdverb(word.text)) {
+      highlights.adverbs.push(word);
     }
 
-    // Check for numbered items (1. 2. etc.)
-    if (/^\d+$/.test(cleanLastWord)) {
-      return false;
+    if (getWordSyllableCount(word.text) >= 3) {
+      highlights.polysyllables.push(word);
     }
+  }
 
-    return true;
+  return highlights;
+};
+
+/**
+ * Create a cache for {@link analyzeTextStages} and {@link analyzeText} that
+ * keeps the analysis of every paragraph, keyed on its content: its words,
+ * sentences, syllable counts, word and phrase frequencies and character
+ * counts. Passing the same cache with each edit of a document only analyzes
+ * the paragraphs that changed and merges the document totals from the cache,
+ * and the word and phrase frequencies are updated by diffing the old and new
+ * paragraphs.
+ *
+ * Paragraphs that leave the document are dropped from the cache at the next
+ * analysis.
+ *
+ * @returns {Object} - cache to pass as the `cache` option
+ */
+export const createAnalysisCache = () => ({
+  // Paragraph (and inter-paragraph whitespace) text -> analysis
+  segments: new Map(),
+  // Paragraph of the original text, before Markdown or HTML is parsed -> social platform measurements
+  social: new Map(),
+  // Paragraph text -> occurrences in the last analyzed text
+  paragraphs: new Map(),
+  // Word -> frequency in the last analyzed text
+  frequency: new Map(),
+  // Phrase of 2 to maxPhraseLength words -> frequency in the last analyzed text
+  phrases: new Map(),
+});
+
+/**
+ * Helper function to count every character class of a segment of text at
+ * once, in the units of a counting mode.
+ *
+ * @param {*} text - string
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
+ * @param {*} pack - locale pack
+ * @returns {Object} - character counts keyed by class
+ */
+const countCharacterClasses = (text, mode, pack) => {
+  const characters = {
+    total: 0,
+    noSpaces: 0,
+    special: 0,
+    emoji: 0,
+    ascii: 0,
+    nonAscii: 0,
+    letters: getLettersCharCount(text),
+    upperCase: getUpperCaseCharCount(text),
+    lowerCase: getLowerCaseCharCount(text),
+    numbers: getNumbersCharCount(text),
+    whitespace: getWhitespaceCharCount(text),
+    spaces: getSpaceCharCount(text),
+    tabs: getTabCharCount(text),
+    newLines: getNewLineCharCount(text),
+    punctuation: getPunctuationCharCount(text),
+    vowels: getVowelCharCount(text, pack),
+    consonants: getConsonantCharCount(text, pack),
+    symbols: 0,
+  };
+
+  for (const character of splitCharacters(text, mode)) {
+    characters.total++;
+    if (/\S/.test(character)) characters.noSpaces++;
+    if (/^[^\p{L}0-9\s.,;:!?'"()[\]{}\-_]/u.test(character)) characters.special++;
+    if (/^[^\p{L}\d\s.,;:!?'"()[\]{}-]/u.test(character)) characters.symbols++;
+    if (/^[\x00-\x7F]+$/.test(character)) characters.ascii++;
+    if (/[^\x00-\x7F]/.test(character)) characters.nonAscii++;
+    if (mode === "grapheme" && isEmojiGrapheme(character)) characters.emoji++;
+  }
+
+  if (mode !== "grapheme") {
+    characters.emoji = getEmojiCharCount(text, mode);
   }
 
-  return false;
+  return characters;
 };
 
 /**
- * Helper function to check if string is just punctuation.
+ * Helper function to add up objects of counts, such as character counts or
+ * readability statistics.
  *
- * @param {*} str - string
- * @returns boolean
+ * @param {*} counts - object[] with the same numeric keys
+ * @param {*} initial - object with every key set to 0
+ * @returns {Object} - totals
  */
-const isJustPunctuation = (str) => {
-  return /^[.!?…\s]+$/.test(str);
+const sumCounts = (counts, initial) => {
+  const totals = { ...initial };
+
+  for (const count of counts) {
+    for (const key in totals) totals[key] += count[key];
+  }
+
+  return totals;
 };
 
-export const getPassiveVoicePercentage = (text) => {
-  if (!text || typeof text !== 'string') return 0;
-  
-  const sentences = getSentences(text);
-  if (sentences.length === 0) return 0;
-  
-  let passiveCount = 0;
-  
-  // Common auxiliary verbs used in passive voice
-  const auxiliaryVerbs = [
-    'am', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-    'have been', 'has been', 'had been', 'will be', 'would be',
-    'can be', 'could be', 'may be', 'might be', 'must be',
-    'should be', 'shall be', 'ought to be'
-  ];
-  
-  // Common past participle endings for regular verbs
-  const pastParticipleEndings = ['ed', 'en', 'ne', 'wn', 'nt'];
-  
-  // Irregular past participles (common ones)
-  const irregularPastParticiples = [
-    'done', 'gone', 'taken', 'given', 'seen', 'known', 'shown',
-    'written', 'spoken', 'broken', 'chosen', 'frozen', 'stolen',
-    'beaten', 'eaten', 'fallen', 'forgotten', 'hidden', 'ridden',
-    'risen', 'driven', 'thrown', 'grown', 'blown', 'flown',
-    'drawn', 'worn', 'torn', 'born', 'sworn', 'cut', 'hit',
-    'put', 'shut', 'hurt', 'set', 'let', 'bet', 'cost',
-    'burst', 'cast', 'split', 'spread', 'read', 'led', 'fed',
-    'held', 'told', 'sold', 'built', 'sent', 'spent', 'lent',
-    'bent', 'kept', 'slept', 'wept', 'swept', 'felt', 'dealt',
-    'meant', 'learnt', 'burnt', 'heard', 'made', 'paid', 'laid',
-    'said', 'stood', 'understood', 'found', 'bound', 'wound',
-    'hung', 'sung', 'rung', 'won', 'run', 'begun', 'come',
-    'become', 'overcome', 'brought', 'bought', 'thought',
-    'fought', 'caught', 'taught', 'sought', 'wrought'
-  ];
-  
-  const cleanWord = (word) => {
-    return word.replace(/[^\w]/g, '').toLowerCase();
-  };
-  
-  sentences.forEach(sentence => {
-    const words = getWords(sentence.toLowerCase()).map(cleanWord).filter(w => w.length > 0);
-    if (words.length < 2) return;
-    
-    let hasAuxiliary = false;
-    let auxiliaryIndex = -1;
-    
-    // Check for auxiliary verbs
-    for (let i = 0; i < words.length; i++) {
-      const word = words[i];
-      
-      // Check single word auxiliaries
-      if (auxiliaryVerbs.includes(word)) {
-        hasAuxiliary = true;
-        auxiliaryIndex = i;
-        break;
-      }
-      
-      // Check multi-word auxiliaries
-      if (i < words.length - 1) {
-        const twoWords = `${word} ${words[i + 1]}`;
-        if (auxiliaryVerbs.includes(twoWords)) {
-          hasAuxiliary = true;
-          auxiliaryIndex = i;
-          break;
-        }
-      }
-      
-      if (i < words.length - 2) {
-        const threeWords = `${word} ${words[i + 1]} ${words[i + 2]}`;
-        if (auxiliaryVerbs.includes(threeWords)) {
-          hasAuxiliary = true;
-          auxiliaryIndex = i;
-          break;
-        }
-      }
+/**
+ * Helper function to get the cached analysis of a segment of text (a
+ * paragraph or the whitespace between two), analyzing it on first use.
+ *
+ * Words, frequencies and syllable counts do not depend on the locale or
+ * counting mode. Everything that does is kept per locale pack and mode in
+ * `variant`, filled in lazily by {@link analyzeSegmentVariant}.
+ *
+ * @param {*} cache - object from createAnalysisCache
+ * @param {*} text - string
+ * @returns {Object} - segment analysis
+ */
+const analyzeSegment = (cache, text) => {
+  let segment = cache.segments.get(text);
+
+  if (!segment) {
+    const wordSpans = getWordSpans(text);
+    const words = wordSpans.map((span) => span.text);
+    const phraseRuns = getPhraseRuns(text, wordSpans);
+
+    segment = {
+      wordSpans: wordSpans,
+      words: words,
+      cjkCharacters: words.filter((word) => cjkCharacterPattern.test(word)).length,
+      frequency: countWords(words),
+      phraseRuns: phraseRuns,
+      phrases: countPhrases(phraseRuns),
+      statistics: buildReadabilityStatistics(words, 0),
+      variant: null,
+    };
+    cache.segments.set(text, segment);
+  }
+
+  return segment;
+};
+
+/**
+ * Helper function to get the locale and mode dependent analysis of a cached
+ * segment, computing only the requested parts that are missing.
+ *
+ * @param {*} segment - object from analyzeSegment
+ * @param {*} text - string, the segment text
+ * @param {*} pack - locale pack
+ * @param {*} mode - "grapheme" | "codepoint" | "utf16"
+ * @param {*} withReadability - boolean, also find passive constructions and highlights
+ * @returns {Object} - characters, sentences, and optionally constructions and highlights
+ */
+const analyzeSegmentVariant = (segment, text, pack, mode, withReadability) => {
+  if (!segment.variant || segment.variant.pack !== pack || segment.variant.mode !== mode) {
+    segment.variant = {
+      pack: pack,
+      mode: mode,
+      characters: countCharacterClasses(text, mode, pack),
+      sentences: getSentenceSpans(text, pack),
+      constructions: null,
+      highlights: null,
+    };
+  }
+
+  const variant = segment.variant;
+
+  if (withReadability && !variant.constructions) {
+    variant.constructions = matchPassiveConstructions(text, variant.sentences, segment.wordSpans);
+    variant.highlights = buildWritingHighlights(variant.sentences, segment.wordSpans, variant.constructions);
+  }
+
+  return variant;
+};
+
+/**
+ * Helper function to get the paragraph spans of prose from
+ * {@link parseContent}, where paragraphs are separated by blank lines and
+ * each line of a paragraph is a list item, a table row or follows a line
+ * break.
+ *
+ * @param {*} text - string
+ * @returns {Object[]} - {text, start, end} spans
+ */
+const getBlockSpans = (text) =>
+  Array.from(text.matchAll(/[^\n]+(?:\n[^\n]+)*/g), (match) =>
+    createSpan(text, match.index, match.index + match[0].length)
+  );
+
+/**
+ * Helper function to split text into its paragraphs and the whitespace
+ * around them, the units {@link createAnalysisCache} caches.
+ *
+ * @param {*} text - string
+ * @param {*} paragraphs - {text, start, end} paragraph spans of the text
+ * @returns {Object[]} - {text, start, end, isParagraph} spans covering the whole text
+ */
+const splitSegments = (text, paragraphs) => {
+  const segments = [];
+  let offset = 0;
+
+  for (const paragraph of paragraphs) {
+    if (paragraph.start > offset) {
+      segments.push({ ...createSpan(text, offset, paragraph.start), isParagraph: false });
     }
-    
-    if (!hasAuxiliary) return;
-    
-    // Look for past participle after auxiliary verb
-    let hasPastParticiple = false;
-    
-    for (let i = auxiliaryIndex + 1; i < words.length; i++) {
-      const word = words[i];
-      
-      // Skip adverbs and common words that might appear between auxiliary and participle
-      if (['not', 'never', 'always', 'often', 'usually', 'sometimes', 
-           'frequently', 'rarely', 'seldom', 'already', 'still', 'just',
-           'recently', 'finally', 'completely', 'totally', 'fully',
-           'partially', 'briefly', 'quickly', 'slowly', 'carefully',
-           'properly', 'correctly', 'incorrectly', 'well', 'badly'].includes(word)) {
-        continue;
-      }
-      
-      // Check if word is a past participle
-      if (irregularPastParticiples.includes(word)) {
-        hasPastParticiple = true;
-        break;
-      }
-      
-      // Check for regular past participle endings
-      for (const ending of pastParticipleEndings) {
-        if (word.endsWith(ending) && word.length > ending.length) {
-          // Additional check to avoid false positives
-          if (ending === 'ed' && word.length > 3) {
-            hasPastParticiple = true;
-            break;
-          } else if (ending !== 'ed' && word.length > 2) {
-            hasPastParticiple = true;
-            break;
-          }
+    segments.push({ ...paragraph, isParagraph: true });
+    offset = paragraph.end;
+  }
+
+  if (offset < text.length) {
+    segments.push({ ...createSpan(text, offset, text.length), isParagraph: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Helper function to bring the cached document word and phrase frequencies
+ * up to date by diffing the paragraphs of the last analysis with the new
+ * ones, then drop segments that are no longer in the document from the cache.
+ * Pauses after each changed paragraph, with the cache consistent, so the
+ * update can be given up between paragraphs.
+ *
+ * @param {*} cache - object from createAnalysisCache
+ * @param {*} segments - spans from splitSegments
+ * @returns Generator yielding once per changed paragraph and returning the
+ *   Map of word to frequency
+ */
+function* updateWordFrequency(cache, segments) {
+  const paragraphs = new Map();
+
+  for (const segment of segments) {
+    if (segment.isParagraph) {
+      paragraphs.set(segment.text, (paragraphs.get(segment.text) || 0) + 1);
+    }
+  }
+
+  const applyDifference = (text, difference) => {
+    const segment = cache.segments.get(text);
+
+    for (const [frequency, counts] of [
+      [cache.frequency, segment.frequency],
+      [cache.phrases, segment.phrases],
+    ]) {
+      for (const [word, count] of counts) {
+        const total = (frequency.get(word) || 0) + count * difference;
+        if (total > 0) {
+          frequency.set(word, total);
+        } else {
+          frequency.delete(word);
         }
       }
-      
-      if (hasPastParticiple) break;
-      
-      // If we hit a verb that's not a past participle, it's likely not passive
-      if (word.match(/^(to|will|would|can|could|may|might|must|should|shall)$/)) {
-        break;
-      }
-      
-      // Stop searching after a reasonable distance
-      if (i - auxiliaryIndex > 5) break;
     }
-    
-    if (hasPastParticiple) {
-      passiveCount++;
+  };
+
+  // The cached paragraphs follow each difference as it is applied
+  for (const text of new Set([...cache.paragraphs.keys(), ...paragraphs.keys()])) {
+    const difference = (paragraphs.get(text) || 0) - (cache.paragraphs.get(text) || 0);
+    if (difference === 0) continue;
+
+    applyDifference(text, difference);
+    if (paragraphs.has(text)) {
+      cache.paragraphs.set(text, paragraphs.get(text));
+    } else {
+      cache.paragraphs.delete(text);
     }
+    yield;
+  }
+
+  const inDocument = new Set(segments.map((segment) => segment.text));
+  for (const text of cache.segments.keys()) {
+    if (!inDocument.has(text)) cache.segments.delete(text);
+  }
+
+  return cache.frequency;
+}
+
+/**
+ * Helper function to measure the original text for social platforms with
+ * {@link measureSocialText}, paragraph by paragraph, reusing the
+ * measurements of paragraphs that did not change.
+ *
+ * Posts are measured as typed, markup included, since that is what gets
+ * pasted into the platform.
+ *
+ * @param {*} cache - object from createAnalysisCache
+ * @param {*} segments - spans from splitSegments covering the original text
+ * @returns {Object} - measurements of the whole text
+ */
+const measureSocialSegments = (cache, segments) => {
+  const measured = new Map();
+
+  const metrics = segments.map((segment) => {
+    const metric = measured.get(segment.text) || cache.social.get(segment.text) || measureSocialText(segment.text);
+    measured.set(segment.text, metric);
+    return metric;
   });
-  
-  // Calculate percentage
-  const percentage = (passiveCount / sentences.length) * 100;
-  return Math.round(percentage * 100) / 100; // Round to 2 decimal places
-};
 
-export const getPassiveVoiceDescription = (text) => {
-  const percentage = getPassiveVoicePercentage(text);
-  
-  if (percentage === 0) return "Not Passive";
-  if (percentage <= 5) return "Minimal Passivity";
-  if (percentage <= 10) return "Low Passivity";
-  if (percentage <= 15) return "Moderate Passivity";
-  if (percentage <= 25) return "High Passivity";
-  if (percentage <= 35) return "Very High Passivity";
-  return "Excessive Passivity";
+  cache.social = measured;
+  return sumSocialMetrics(metrics);
 };
 
-export const getPassiveVoiceExtendedDescription = (text) => {
-  const percentage = getPassiveVoicePercentage(text);
-  
-  if (percentage === 0) {
-    return "This text contains no passive voice constructions, demonstrating excellent active voice usage. Active voice creates direct, clear sentences where the subject performs the action, making your writing more engaging and easier to follow. This approach helps readers immediately understand who is responsible for each action, creating stronger, more confident prose.";
-  }
-  
-  if (percentage <= 5) {
-    return "This text uses passive voice very sparingly, which represents optimal writing practice. With minimal passive voice usage, your writing maintains strong clarity and directness while occasionally using passive constructions where they serve a specific purpose. This balance creates engaging, readable content that keeps readers focused on the action and actors involved.";
-  }
-  
-  if (percentage <= 10) {
-    return "This text demonstrates good passive voice control with low usage that supports readability. Active voice dominates your writing, creating clear, direct sentences that engage readers effectively. The occasional passive voice likely serves specific purposes, such as emphasizing the action over the actor or maintaining flow between sentences. This level maintains strong reader engagement.";
-  }
-  
-  if (percentage <= 15) {
-    return "This text shows moderate passive voice usage that begins to impact readability. While still within acceptable ranges for most writing contexts, you may want to review passive constructions to ensure they serve specific purposes. Converting some passive sentences to active voice would create more direct, engaging prose and help readers more easily identify who is performing each action.";
+/**
+ * Analyze the passed text string in stages, paragraph by paragraph. Each
+ * stage yields `{stage, result}`, where result holds the top-level keys of
+ * {@link analyzeText} that the stage fills in:
+ *
+ * - "counts": locale, content, characters, words, sentences, paragraphs,
+ *   readingTime, social, sms, bytes, speaking
+ * - "frequencies": words (now with unique, longest and shortest), frequencies,
+ *   keyword
+ * - "readability": readability, passiveVoice, highlights, readingTime (now
+ *   slowed down for the readability grade)
+ *
+ * Stages run in that order, cheapest first, and each one is only computed
+ * when the previous one has been consumed, so a caller can stop early. The
+ * frequencies and readability stages also yield undefined after each
+ * paragraph they work on, so a caller can stop in the middle of a stage too;
+ * the cache is left ready for the next analysis either way.
+ *
+ * See {@link analyzeText} for the options.
+ *
+ * @param {*} text - string
+ * @param {*} options - object
+ * @returns Generator of {stage, result} objects and undefined pauses
+ */
+export function* analyzeTextStages(text, options = {}) {
+  const {
+    locale = "en",
+    mode = "grapheme",
+    wordsPerMinute = 250,
+    format = "plain",
+    keyword = "",
+    groupBy = "word",
+    speaking = null,
+    cache = createAnalysisCache(),
+  } = options;
+
+  // Markdown and HTML are analyzed as the prose they display, and every span
+  // is mapped back to the original text
+  const content = parseContent(text, format);
+  const prose = content.text;
+  const isBlank = prose.trim().length === 0;
+
+  const segments = splitSegments(
+    prose,
+    content.format === "plain" ? getParagraphSpans(prose) : getBlockSpans(prose)
+  );
+  const analyzed = segments.map((segment) => analyzeSegment(cache, segment.text));
+  const wordCount = analyzed.reduce((total, segment) => total + segment.words.length, 0);
+
+  let activeLocale = locale;
+  if (locale === "auto") {
+    const sample = [];
+    for (let i = 0; i < analyzed.length && sample.length < 1000; i++) {
+      sample.push(...analyzed[i].words);
+    }
+    activeLocale = detectLocaleFromWords(sample, "en");
   }
-  
-  if (percentage <= 25) {
-    return "This text contains high levels of passive voice that likely reduce readability and reader engagement. Passive constructions can make writing feel indirect, wordy, and sometimes unclear about who is responsible for actions. Consider revising many of these passive sentences to active voice to create stronger, more direct communication that better connects with your audience.";
+
+  const pack = getLocale(activeLocale);
+  const variants = analyzed.map((segment, i) =>
+    analyzeSegmentVariant(segment, segments[i].text, pack, mode, false)
+  );
+
+  const characters = sumCounts(
+    variants.map((variant) => variant.characters),
+    countCharacterClasses("", mode, pack)
+  );
+  const sentences = variants.flatMap((variant, i) =>
+    variant.sentences.map((span) => content.mapSpan(shiftSpan(span, segments[i].start)))
+  );
+  const paragraphs = segments
+    .filter((segment) => segment.isParagraph)
+    .map((segment) => content.mapSpan(createSpan(prose, segment.start, segment.end)));
+
+  const wordCounts = {
+    count: wordCount,
+    averageLength: !isBlank && wordCount > 0 ? characters.noSpaces / wordCount : 0,
+  };
+  const cjkCharacters = analyzed.reduce((total, segment) => total + segment.cjkCharacters, 0);
+  const readingCounts = {
+    words: wordCount - cjkCharacters,
+    characters: cjkCharacters,
+    codeLines: content.code.lines,
+    tableRows: content.tables.rows,
+    images: content.images,
+  };
+
+  yield {
+    stage: "counts",
+    result: {
+      locale: pack.code,
+      content: {
+        format: content.format,
+        headings: {
+          count: content.headings.length,
+          words: content.headings.reduce(
+            (total, heading) => total + getWordCount(prose.slice(heading.start, heading.end)),
+            0
+          ),
+        },
+        code: {
+          blocks: content.code.blocks,
+          inline: content.code.inline,
+          lines: content.code.lines,
+          words: content.code.text.reduce((total, code) => total + getWordCount(code), 0),
+        },
+        tables: content.tables,
+        links: content.links,
+        images: content.images,
+      },
+      characters: characters,
+      words: wordCounts,
+      sentences: {
+        count: sentences.length,
+        averageWords: !isBlank ? wordCount / sentences.length : 0,
+        spans: sentences,
+      },
+      paragraphs: {
+        count: paragraphs.length,
+        averageSentences: !isBlank ? sentences.length / paragraphs.length : 0,
+        spans: paragraphs,
+      },
+      readingTime: buildReadingTime(readingCounts, { wordsPerMinute: wordsPerMinute }),
+      social: measureSocialSegments(
+        cache,
+        content.format === "plain" ? segments : splitSegments(text, getParagraphSpans(text))
+      ),
+      sms: getSmsSegments(text),
+      bytes: getByteLengths(text),
+      speaking: speaking ? calculateSpeakingTime(text, { ...speaking, locale: pack, format: format }) : null,
+    },
+  };
+
+  const frequency = sortWordFrequency(yield* updateWordFrequency(cache, segments));
+  const uniqueWords = frequency.map(([word]) => word);
+  const phrases = sortWordFrequency(Array.from(cache.phrases).filter(([, count]) => count > 1));
+  const groups = groupWordFrequency(frequency, groupBy, pack);
+
+  yield {
+    stage: "frequencies",
+    result: {
+      words: {
+        ...wordCounts,
+        unique: groups.length,
+        longest: uniqueWords.reduce((a, b) => (b.length > a.length ? b : a), ""),
+        shortest: uniqueWords.reduce((a, b) => (b.length < a.length ? b : a), uniqueWords[0] || ""),
+      },
+      frequencies: {
+        all: groups,
+        withoutStopWords: groupWordFrequency(filterStopWords(frequency, pack), groupBy, pack),
+        phrases: {
+          all: groupWordFrequency(phrases, groupBy, pack),
+          withoutStopWords: groupWordFrequency(filterStopWords(phrases, pack), groupBy, pack),
+        },
+      },
+      keyword: findKeyword(
+        analyzed.map((segment) => segment.phraseRuns),
+        keyword,
+        wordCount
+      ),
+    },
+  };
+
+  const statistics = sumCounts(
+    analyzed.map((segment) => segment.statistics),
+    buildReadabilityStatistics([], 0)
+  );
+  statistics.sentenceCount = sentences.length;
+
+  const constructions = [];
+  const highlights = buildWritingHighlights([], [], []);
+  let sentenceOffset = 0;
+
+  for (let i = 0; i < analyzed.length; i++) {
+    const variant = analyzeSegmentVariant(analyzed[i], segments[i].text, pack, mode, true);
+    const offset = segments[i].start;
+    const place = (span) => content.mapSpan(shiftSpan(span, offset));
+
+    for (const construction of variant.constructions) {
+      constructions.push({
+        ...place(construction),
+        sentenceIndex: construction.sentenceIndex + sentenceOffset,
+        auxiliary: place(construction.auxiliary),
+        participle: place(construction.participle),
+        agent: construction.agent && place(construction.agent),
+      });
+    }
+
+    for (const key in highlights) {
+      highlights[key].push(...variant.highlights[key].map(place));
+    }
+
+    sentenceOffset += variant.sentences.length;
+    yield;
   }
-  
-  if (percentage <= 35) {
-    return "This text exhibits very high passive voice usage that significantly impacts clarity and engagement. Excessive passive voice creates distance between readers and the content, often making writing feel academic, indirect, or evasive. Substantial revision toward active voice would dramatically improve readability, making your writing more compelling and easier to understand.";
+
+  const passiveVoice = passiveVoicePercentage(constructions, sentences.length);
+  const readability = scoreReadability(statistics);
+
+  yield {
+    stage: "readability",
+    result: {
+      readability: readability,
+      readingTime: buildReadingTime(
+        { ...readingCounts, grade: readability.consensusGrade },
+        { wordsPerMinute: wordsPerMinute }
+      ),
+      passiveVoice: {
+        percentage: passiveVoice,
+        description: describePassiveVoice(passiveVoice),
+        extendedDescription: describePassiveVoiceExtended(passiveVoice),
+        constructions: constructions,
+      },
+      highlights: highlights,
+    },
+  };
+}
+
+/**
+ * Analyze the passed text string in a single pass, tokenizing it into
+ * characters, words, sentences and paragraphs once and deriving every
+ * statistic from those tokens. Pages render from the returned object instead
+ * of calling the individual functions, each of which rescans the text.
+ *
+ * Options:
+ *
+ * - locale: language code, locale pack or "auto" to use {@link detectLocale}
+ *   (default "en")
+ * - mode: character counting mode, see {@link splitCharacters} (default
+ *   "grapheme")
+ * - wordsPerMinute: reading speed for the reading time (default 250), see
+ *   {@link calculateReadingTime} for the rest of the text it takes into account
+ * - format: "plain", "markdown" or "html" (default "plain"); Markdown and HTML
+ *   are parsed with {@link parseContent} and only their prose is counted,
+ *   with code, headings, links and images reported under `content`. Spans
+ *   still refer to offsets in the passed text
+ * - keyword: target keyword or phrase to count, see {@link getKeywordDensity}
+ *   (default none)
+ * - groupBy: "word", "stem" or "lemma" (default "word"), to group word and
+ *   phrase frequencies and count unique words by stem or lemma, see
+ *   {@link groupWordFrequency}
+ * - speaking: options for {@link calculateSpeakingTime}, such as {preset},
+ *   to also calculate the speaking time (default none)
+ * - cache: object from {@link createAnalysisCache}, to only re-analyze the
+ *   paragraphs that changed since the last call with the same cache
+ *
+ * See {@link analyzeTextStages} to receive the results stage by stage.
+ *
+ * @param {*} text - string
+ * @param {*} options - object
+ * @returns {Object} - characters, words, sentences, paragraphs, word and
+ *   phrase frequencies (phrases of 2 to {@link maxPhraseLength} words that
+ *   occur more than once), the target keyword, reading time, readability,
+ *   passive voice, highlights, social platform measurements for
+ *   {@link measureSocialPost}, SMS segments from {@link getSmsSegments},
+ *   byte lengths from {@link getByteLengths}, and the speaking time from
+ *   {@link calculateSpeakingTime} when asked for
+ */
+export const analyzeText = (text, options = {}) => {
+  const analysis = {};
+
+  for (const step of analyzeTextStages(text, options)) {
+    if (step) Object.assign(analysis, step.result);
   }
-  
-  return "This text contains excessive passive voice that severely hampers readability and engagement. Such heavy reliance on passive constructions creates wordy, indirect prose that obscures responsibility and action. Readers may struggle to follow your meaning and lose interest due to the indirect style. Comprehensive revision focusing on active voice construction would transform this text into clear, engaging communication.";
-};
\ No newline at end of file
+
+  return analysis;
+};
@@ -0,0 +1,183 @@
+/**
+ * Writing sessions: the word count of the text sampled as it is written, as
+ * in a timed writing sprint, and what the samples add up to.
+ *
+ * Word counts are passed in rather than counted here, so pages can take them
+ * from the analysis they already run off the main thread.
+ *
+ * A session is an object with:
+ *
+ * - startedAt: when the session started, in milliseconds since the epoch
+ * - endedAt: when it was stopped, or null while it runs
+ * - samples: [{time, words}], oldest first; the first is the text the
+ *   session started with
+ */
+
+/**
+ * Shortest time between two samples, in milliseconds. Edits within this time
+ * of the last sample update its word count instead of adding a sample.
+ */
+export const sampleInterval = 1000;
+
+/**
+ * Longest pause between edits still counted as writing, in milliseconds.
+ * Longer pauses count as idle time from the last edit on.
+ */
+export const idleAfter = 30000;
+
+/**
+ * Start a session.
+ *
+ * @param {*} words - number, word count of the text the session starts from
+ * @param {*} time - number, milliseconds since the epoch
+ * @returns {Object} - session
+ */
+export const startWritingSession = (words, time = Date.now()) => ({
+  startedAt: time,
+  endedAt: null,
+  samples: [{ time: time, words: words }],
+});
+
+/**
+ * Record the word count of the text after an edit. Stopped sessions are
+ * left as they are.
+ *
+ * @param {*} session - object from startWritingSession
+ * @param {*} words - number, word count of the text after the edit
+ * @param {*} time - number, milliseconds since the epoch of the edit
+ * @returns {Object} - session
+ */
+export const recordWritingSample = (session, words, time = Date.now()) => {
+  if (session.endedAt !== null) return session;
+
+  const samples = session.samples;
+  const last = samples[samples.length - 1];
+
+  if (samples.length > 1 && time - last.time < sampleInterval) {
+    return { ...session, samples: samples.slice(0, -1).concat({ time: last.time, words: words }) };
+  }
+  return { ...session, samples: samples.concat({ time: time, words: words }) };
+};
+
+/**
+ * Stop a session.
+ *
+ * @param {*} session - object from startWritingSession
+ * @param {*} time - number, milliseconds since the epoch
+ * @returns {Object} - session
+ */
+export const stopWritingSession = (session, time = Date.now()) =>
+  session.endedAt !== null ? session : { ...session, endedAt: Math.max(time, session.startedAt) };
+
+/**
+ * Add up a session. Words written and deleted are the rises and falls of the
+ * word count between samples, so rewording a sentence counts both ways. A
+ * pause between edits of up to idleAfter counts as active time; a longer one,
+ * as well as the time since the last edit once it passes idleAfter, counts as
+ * idle.
+ *
+ * @param {*} session - object from startWritingSession
+ * @param {*} time - number, milliseconds since the epoch; the end of a
+ *   session still running
+ * @returns {Object} - {duration, activeTime, idleTime, startWords, words,
+ *   written, deleted, net, wordsPerMinute}, with times in milliseconds and
+ *   wordsPerMinute the net words per minute of the whole session
+ */
+export const summarizeWritingSession = (session, time = Date.now()) => {
+  const end = Math.max(session.endedAt ?? time, session.startedAt);
+  const { samples } = session;
+  let written = 0;
+  let deleted = 0;
+  let activeTime = 0;
+
+  samples.forEach((sample, index) => {
+    const next = samples[index + 1];
+    const gap = (next ? next.time : end) - sample.time;
+    if (gap <= idleAfter) activeTime += gap;
+
+    if (index > 0) {
+      const change = sample.words - samples[index - 1].words;
+      if (change > 0) written += change;
+      else deleted -= change;
+    }
+  });
+
+  const duration = end - session.startedAt;
+  const startWords = samples[0].words;
+  const words = samples[samples.length - 1].words;
+
+  return {
+    duration: duration,
+    activeTime: activeTime,
+    idleTime: duration - activeTime,
+    startWords: startWords,
+    words: words,
+    written: written,
+    deleted: deleted,
+    net: words - startWords,
+    wordsPerMinute: duration > 0 ? ((words - startWords) * 60000) / duration : 0,
+  };
+};
+
+/**
+ * Get the points of a sparkline of the word count over a session, as for the
+ * points attribute of an SVG polyline. The count holds between samples, so
+ * the line steps, and it runs on to the end of the session.
+ *
+ * @param {*} session - object from startWritingSession
+ * @param {*} width - number
+ * @param {*} height - number
+ * @param {*} time - number, milliseconds since the epoch; the end of a
+ *   session still running
+ * @returns {string} - "x,y x,y …"
+ */
+export const getSessionSparkline = (session, width, height, time = Date.now()) => {
+  const end = Math.max(session.endedAt ?? time, session.startedAt);
+  const duration = end - session.startedAt;
+  const counts = session.samples.map((sample) => sample.words);
+  const low = Math.min(...counts);
+  const range = Math.max(...counts) - low;
+  const x = (sampleTime) => (duration > 0 ? ((sampleTime - session.startedAt) / duration) * width : 0);
+  const y = (words) => (range > 0 ? height - ((words - low) / range) * height : height / 2);
+  const round = (value) => Math.round(value * 10) / 10;
+
+  const points = session.samples.flatMap((sample, index) => {
+    const previous = session.samples[index - 1];
+    const step = previous ? [[x(sample.time), y(previous.words)]] : [];
+    return step.concat([[x(sample.time), y(sample.words)]]);
+  });
+  points.push([duration > 0 ? width : 0, y(counts[counts.length - 1])]);
+
+  return points.map(([pointX, pointY]) => `${round(pointX)},${round(pointY)}`).join(" ");
+};
+
+/**
+ * Serialize a session to a CSV file with one row per sample, followed by a
+ * row for the end of the session.
+ *
+ * @param {*} session - object from startWritingSession
+ * @param {*} time - number, milliseconds since the epoch; the end of a
+ *   session still running
+ * @returns {Object} - {name, type, content}
+ */
+export const formatSessionCsv = (session, time = Date.now()) => {
+  const end = Math.max(session.endedAt ?? time, session.startedAt);
+  const last = session.samples[session.samples.length - 1];
+  const rows = [["Time", "Elapsed seconds", "Words", "Change"]];
+
+  session.samples.concat({ time: end, words: last.words }).forEach((sample, index, samples) => {
+    rows.push([
+      new Date(sample.time).toISOString(),
+      Math.round((sample.time - session.startedAt) / 100) / 10,
+      sample.words,
+      index > 0 ? sample.words - samples[index - 1].words : 0,
+    ]);
+  });
+
+  const stamp = new Date(session.startedAt).toISOString().replace(/\.\d+Z$/, "Z").replace(/[:]/g, "-");
+  return {
+    name: `writing-session-${stamp}.csv`,
+    type: "text/csv;charset=utf-8",
+    content: rows.map((row) => row.join(",")).join("\r\n") + "\r\n",
+  };
+};
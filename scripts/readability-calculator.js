@@ -1 +1 @@
-class ReadabilityCalculator{constructor(){this.elements={},this.missingElements=[],["text-input","readability-score","grade-level","passive-voice","flesch-score","flesch-explanation","passive-voice-percentage","passive-voice-explanation","paste-btn","clear-btn"].forEach((e=>{const t=document.getElementById(e);t?this.elements[e]=t:this.missingElements.push(e)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const e=this.getElement("text-input"),t=this.getElement("paste-btn"),i=this.getElement("clear-btn");return e&&(e.value="",e.addEventListener("input",this.handleInput.bind(this))),i&&i.addEventListener("click",this.handleClear.bind(this)),t&&t.addEventListener("click",this.handlePaste.bind(this)),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor&&null!==window.textReadability}getElement(e){return this.elements[e]?this.elements[e]:(console.warn(`Element with id='${e} not found in DOM`),null)}handleInput(e){try{const t=e.target.value,i=this.getElement("clear-btn");i&&(t?i.removeAttribute("disabled"):i.setAttribute("disabled",!0)),this.showReadabilityScore(t),this.showGradeLevel(t),this.showPassiveVoice(t),this.showFleschScore(t),this.showFleschExplanation(t),this.showPassiveVoicePercentage(t),this.showPassiveVoiceExplanation(t)}catch(e){console.error("Error handling input:",e)}}handleClear(){const e=this.getElement("clear-btn"),t=this.getElement("text-input");t&&(t.value="",t.dispatchEvent(new Event("input",{bubbles:!0}))),e&&e.setAttribute("disabled",!0)}async handlePaste(){const e=this.getElement("paste-btn"),t=this.getElement("text-input");if(e&&t)try{const e=await navigator.clipboard.readText();t.value+=e,t.dispatchEvent(new Event("input",{bubbles:!0}))}catch(e){console.error("Cannot paste user content:",e)}}showReadabilityScore(e){const t=this.getElement("readability-score");if(t){if(0===e.trim().length)return t.textContent="N/A",void t.classList.remove("text-red-500","text-orange-500","text-yellow-500","text-green-500","text-primary");const i=window.textReadability.fleschReadingEase(e);let n="";i<10?(n="Extremely difficult",t.classList.add("text-red-500")):i<30?(n="Very Difficult",t.classList.add("text-red-500")):i<50?(n="Difficult",t.classList.add("text-orange-500")):i<60?(n="Somewhat Challenging",t.classList.add("text-yellow-500")):i<70?(n="Plain English",t.classList.add("text-green-500")):i<80?(n="Easy",t.classList.add("text-green-500")):(n="Very Easy",t.classList.add("text-primary")),t.textContent=n}}showGradeLevel(e){const t=this.getElement("grade-level");if(t){if(0===e.trim().length)return void(t.textContent="N/A");const i=Math.floor(window.textReadability.fleschKincaidGrade(e));t.textContent=i<=1?"1st Grade or Lower":i>12?"College or Higher":`${i}th Grade`}}showPassiveVoice(e){const t=this.getElement("passive-voice");if(t){if(0===e.trim().length)return void(t.textContent="N/A");const i=window.textProcessor.getPassiveVoiceDescription(e);t.textContent=i||"N/A"}}showFleschScore(e){const t=this.getElement("flesch-score");if(t){if(0===e.trim().length)return void(t.textContent="0");const i=window.textReadability.fleschReadingEase(e);t.textContent=`${i.toFixed(0)}`}}showFleschExplanation(e){const t=this.getElement("flesch-explanation");if(t){if(0===e.trim().length)return void(t.textContent="Enter your text above to instantly analyze reading difficulty, improve content accessibility, and optimize readability scores for better SEO performance and user engagement.");const i=window.textReadability.fleschReadingEase(e);let n="";n=i<10?"This highly complex text requires advanced education and specialized knowledge to comprehend. Your content is best suited for academic research papers, legal documents, medical journals, scientific publications, and technical literature targeting PhD-level readers. While this complexity may be necessary for specialized fields, consider simplifying language where possible to improve accessibility and search engine optimization. Dense academic writing can limit your audience reach and may negatively impact SEO rankings due to reduced user engagement and higher bounce rates.":i<30?"Your text demonstrates sophisticated vocabulary and complex sentence structures, making it appropriate for scholarly articles, professional journals, advanced textbooks, and detailed technical documentation. This content targets highly educated professionals and academics. While demonstrating expertise, consider breaking up long sentences and explaining technical terms to broaden your audience appeal. Search engines favor content that engages users longer, so improving readability can boost SEO performance while maintaining professional credibility and subject matter authority.":i<50?"This moderately complex content is well-suited for academic textbooks, detailed business reports, professional communications, industry white papers, and specialized blog posts targeting educated audiences. Your content requires some concentration to read comfortably. This level works well for B2B marketing, thought leadership articles, and educational resources. To maximize SEO impact and user engagement, consider adding subheadings, bullet points, and shorter paragraphs while maintaining your professional tone and comprehensive coverage of topics.":i<60?"Your content strikes a good balance between professionalism and accessibility, making it perfect for news articles, business writing, educational content, and informative blog posts. This text is readable by most high school graduates and appeals to a broad professional audience. This readability level is excellent for content marketing, company communications, and informational websites. Your writing effectively communicates complex ideas without overwhelming readers, which can improve user engagement metrics and search engine rankings through better time-on-page and lower bounce rates.":i<70?"Excellent work! Your content achieves optimal readability for web content, making it accessible to general audiences while maintaining credibility and depth. This readability level is ideal for most business communications, marketing materials, blog posts, social media content, and website copy. Your writing successfully balances clarity with substance, making complex topics understandable without sacrificing professionalism. This readability sweet spot typically generates higher user engagement, longer session durations, and better SEO performance, as search engines reward content that keeps users engaged and provides value to diverse audiences.":i<80?"Outstanding readability! Your content is perfectly optimized for maximum audience reach and engagement. This text is ideal for marketing copy, blog posts, social media content, email campaigns, and any material targeting broad consumer audiences. Your clear, concise writing style makes information easily digestible while maintaining professionalism and authority. This readability level typically performs exceptionally well in SEO rankings due to high user engagement, extended time-on-page, social sharing potential, and broad accessibility. Content at this level often sees improved conversion rates and better overall digital marketing performance.":"Perfect for maximum accessibility and universal appeal! Your content achieves exceptional clarity, making it easily understood by virtually all readers, including children, non-native speakers, and individuals with varying literacy levels. This highly accessible writing is excellent for children's content, simple instructions, public health communications, safety information, and content requiring maximum inclusivity. While maintaining simplicity, ensure your content still provides value and expertise to avoid appearing unprofessional. This readability level can significantly boost SEO performance through increased engagement, social sharing, and broader audience appeal, though balance simplicity with authoritative, valuable information.",t.textContent=n}}showPassiveVoicePercentage(e){const t=this.getElement("passive-voice-percentage");if(t){if(0===e.trim().length)return console.log("empty text"),void(t.textContent="0%");const i=window.textProcessor.getPassiveVoicePercentage(e);t.textContent=`${i.toFixed(0)}%`}}showPassiveVoiceExplanation(e){const t=this.getElement("passive-voice-explanation");if(t){if(0===e.trim().length)return void(t.textContent="Enter your text above to analyze passive voice usage and receive detailed feedback on how it impacts readability. This tool will help you identify opportunities to make your writing more direct and engaging through active voice construction.");const i=window.textProcessor.getPassiveVoiceExtendedDescription(e);t.textContent=i||"N/A"}}}(new ReadabilityCalculator).init().then((e=>{e||console.error("Failed to initialize ReadabilityCalculator")})).catch((e=>{console.error("Error during ReadabilityCalculator initialization:",e)}));
\ No newline at end of file
+class ReadabilityCalculator{constructor(){this.highlightCategories=[{key:"polysyllables",id:"polysyllables",className:"bg-purple-200"},{key:"adverbs",id:"adverbs",className:"bg-blue-200"},{key:"veryHardSentences",id:"very-hard-sentences",className:"bg-red-200"},{key:"hardSentences",id:"hard-sentences",className:"bg-yellow-200"},{key:"passiveSentences",id:"passive-sentences",className:"underline decoration-2 decoration-green-500 underline-offset-4"}],this.analysis=null,this.format="plain",this.locale="auto",this.elements={},this.missingElements=[],["text-input","readability-score","grade-level","passive-voice","flesch-score","flesch-explanation","passive-voice-percentage","passive-voice-explanation","passive-constructions","flesch-reading-ease","flesch-kincaid-grade","gunning-fog-index","smog-index","coleman-liau-index","automated-readability-index","dale-chall-score","linsear-write-grade","consensus-grade","text-highlights","analysis-status","paste-btn","clear-btn","import-btn","import-file","text-drop-zone","import-status","locale-select","content-format","content-summary","export-menu","export-json","export-csv","export-markdown","export-html","share-btn","share-status",...this.highlightCategories.flatMap((({id:e})=>[`highlight-${e}`,`${e}-count`]))].forEach((e=>{const t=document.getElementById(e);t?this.elements[e]=t:this.missingElements.push(e)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const e=this.getElement("text-input"),t=this.getElement("paste-btn"),i=this.getElement("clear-btn");return e&&(e.value="",e.addEventListener("input",this.handleInput.bind(this)),e.addEventListener("scroll",this.syncHighlights.bind(this)),"ResizeObserver"in window&&new ResizeObserver(this.syncHighlights.bind(this)).observe(e)),this.highlightCategories.forEach((({id:t})=>{const i=this.getElement(`highlight-${t}`);i&&i.addEventListener("change",(()=>this.showHighlights(e.value)))})),i&&i.addEventListener("click",this.handleClear.bind(this)),t&&t.addEventListener("click",this.handlePaste.bind(this)),this.initImport(),this.initLocale(),this.initFormat(),this.initExport(),this.initDrafts(),this.initShare(),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor&&null!==window.textAnalyzer&&null!==window.fileImporter&&null!==window.reportExporter&&null!==window.drafts&&null!==window.shareLink}getElement(e){return this.elements[e]?this.elements[e]:(console.warn(`Element with id='${e} not found in DOM`),null)}handleInput(e){try{const t=e.target.value,i=this.getElement("clear-btn");i&&(t?i.removeAttribute("disabled"):i.setAttribute("disabled",!0)),this.analyze(t)}catch(e){console.error("Error handling input:",e)}}getShareSettings(){return{...this.getAnalysisOptions(),highlights:this.highlightCategories.map((({id:e})=>e)).filter((e=>{const t=this.getElement(`highlight-${e}`);return t&&t.checked}))}}applyShareSettings(e){this.setControl("locale-select",e.locale),this.setControl("content-format",e.format),Array.isArray(e.highlights)&&this.highlightCategories.forEach((({id:t})=>{const i=this.getElement(`highlight-${t}`);i&&(i.checked=e.highlights.includes(t))}))}getAnalysisOptions(){return{locale:this.locale,format:this.format}}analyze(e){this.showCalculating(!0),window.textAnalyzer.analyze(e,this.getAnalysisOptions(),((t,i)=>{this.analysis=i,"counts"===t&&this.updateLocale(i),"readability"===t&&(this.showContentSummary(i),this.showReadabilityScore(i),this.showGradeLevel(i),this.showPassiveVoice(i),this.showFleschScore(i),this.showFleschExplanation(i),this.showPassiveVoicePercentage(i),this.showPassiveVoiceExplanation(i),this.showPassiveConstructions(i),this.showReadabilityFormulas(i),this.showHighlights(e))})).then((e=>{e&&this.showCalculating(!1)}))}refreshAnalysis(){const e=this.getElement("text-input");e&&this.analyze(e.value)}showCalculating(e){const t=this.getElement("analysis-status");t&&(clearTimeout(this.calculatingTimer),e?this.calculatingTimer=setTimeout((()=>t.classList.remove("hidden")),150):t.classList.add("hidden"))}handleClear(){const e=this.getElement("clear-btn"),t=this.getElement("text-input");t&&(t.value="",t.dispatchEvent(new Event("input",{bubbles:!0}))),e&&e.setAttribute("disabled",!0)}async handlePaste(){const e=this.getElement("paste-btn"),t=this.getElement("text-input");if(e&&t)try{const e=await navigator.clipboard.readText();t.value+=e,t.dispatchEvent(new Event("input",{bubbles:!0}))}catch(e){console.error("Cannot paste user content:",e)}}initLocale(){const e=this.getElement("locale-select");e&&(window.textProcessor.getLocales().forEach((t=>{const i=document.createElement("option");i.value=t.code,i.textContent=t.name,e.appendChild(i)})),e.value=this.locale,e.addEventListener("change",this.handleLocaleChange.bind(this)))}handleLocaleChange(e){this.locale=e.target.value,this.refreshAnalysis()}updateLocale(e){const t=this.getElement("locale-select"),i=t&&t.querySelector('option[value="auto"]');i&&(i.textContent=`Auto-detect (${window.textProcessor.getLocale(e.locale).name})`)}initFormat(){const e=this.getElement("content-format");e&&(e.value=this.format,e.addEventListener("change",this.handleFormatChange.bind(this)))}handleFormatChange(e){this.format=e.target.value,this.refreshAnalysis()}showContentSummary(e){const t=this.getElement("content-summary"),i=e.content;if(!t)return;if("plain"===i.format)return void t.classList.add("hidden");const s=(e,t)=>`${e.toLocaleString()} ${1===e?t:t+"s"}`;t.textContent=`Counting prose only · ${s(i.headings.count,"heading")} (${s(i.headings.words,"word")}) · Not counted: ${s(i.code.blocks,"code block")}, ${s(i.code.inline,"inline code span")} (${s(i.code.words,"word")}), ${s(i.links,"link URL")}, ${s(i.images,"image")}`,t.classList.remove("hidden")}initExport(){window.reportExporter.reportFormats.forEach((({code:e})=>{const t=this.getElement(`export-${e}`);t&&t.addEventListener("click",(()=>this.handleExport(e)))}))}async handleExport(e){const t=this.getElement("text-input"),i=this.getElement("export-menu");if(i&&(i.open=!1),t)try{const i=await window.reportExporter.createReport(t.value,this.analysis,{page:document.title.split(" - ")[0],options:this.getAnalysisOptions()});window.reportExporter.saveReport(i,e)}catch(e){console.error("Cannot export report:",e)}}initDrafts(){const e=this.getElement("text-input");e&&window.drafts&&(window.drafts.subscribe((t=>{"open"===t.type&&(e.value=t.draft.text,e.dispatchEvent(new Event("input",{bubbles:!0})))})),e.addEventListener("input",(()=>window.drafts.save(e.value))),this.draftsLoaded=window.drafts.load().catch((e=>console.error("Cannot load draft:",e))))}initShare(){const e=this.getElement("share-btn");e&&e.addEventListener("click",this.handleShare.bind(this)),window.addEventListener("hashchange",(()=>this.restoreShareLink())),(this.draftsLoaded||Promise.resolve()).then((()=>this.restoreShareLink()))}async handleShare(){const e=this.getElement("text-input");if(e)if(e.value.trim())try{const t=await window.shareLink.createShareLink(e.value,this.getShareSettings());try{await navigator.clipboard.writeText(t),this.showShareStatus("Link copied. Anyone who opens it sees this text with these settings.")}catch(e){history.replaceState(null,"",t),this.showShareStatus("Copy the link from the address bar to share this text.")}}catch(e){console.error("Cannot create share link:",e),this.showShareStatus(e.message,!0)}else this.showShareStatus("Type or paste some text to share first.",!0)}async restoreShareLink(){const e=this.getElement("text-input");if(e&&window.shareLink.isShareHash(location.hash)){try{const t=await window.shareLink.readShareLink(location.hash);this.applyShareSettings(t.settings),window.drafts&&await window.drafts.create("Shared text"),e.value=t.text,e.dispatchEvent(new Event("input",{bubbles:!0})),this.showShareStatus("Opened shared text as a new draft.")}catch(e){console.error("Cannot open share link:",e),this.showShareStatus(e.message,!0)}history.replaceState(null,"",location.pathname+location.search)}}setControl(e,t,i="change"){const s=this.getElement(e);if(!s||null==t)return;const n=s.value;s.value=t,String(s.value)===String(t)?s.dispatchEvent(new Event(i,{bubbles:!0})):s.value=n}showShareStatus(e,t=!1){const i=this.getElement("share-status");i&&(i.textContent=e,i.classList.remove("hidden"),i.classList.toggle("text-red-600",t),i.classList.toggle("text-text-muted",!t))}initImport(){const e=this.getElement("import-btn"),t=this.getElement("import-file"),i=this.getElement("text-drop-zone");t&&(t.accept=window.fileImporter.acceptedFileTypes.join(","),t.addEventListener("change",this.handleImportSelect.bind(this))),e&&t&&e.addEventListener("click",(()=>t.click())),i&&(i.addEventListener("dragover",this.handleDragOver.bind(this)),i.addEventListener("dragleave",this.handleDragLeave.bind(this)),i.addEventListener("drop",this.handleDrop.bind(this)))}hasDraggedFiles(e){return!!e.dataTransfer&&Array.from(e.dataTransfer.types).includes("Files")}handleDragOver(e){if(!this.hasDraggedFiles(e))return;e.preventDefault(),e.dataTransfer.dropEffect="copy";const t=this.getElement("text-drop-zone");t&&t.classList.add("ring-4","ring-primary/30","border-primary")}handleDragLeave(e){const t=this.getElement("text-drop-zone");t&&!t.contains(e.relatedTarget)&&t.classList.remove("ring-4","ring-primary/30","border-primary")}handleDrop(e){if(!this.hasDraggedFiles(e))return;e.preventDefault(),this.handleDragLeave({relatedTarget:null});const t=e.dataTransfer.files[0];t&&this.importFile(t)}handleImportSelect(e){const t=e.target.files&&e.target.files[0];t&&this.importFile(t),e.target.value=""}async importFile(e){const t=this.getElement("text-input");if(t)try{this.showImportStatus(`Opening ${e.name}…`);const i=await window.fileImporter.importFile(e);t.value=i.text,t.dispatchEvent(new Event("input",{bubbles:!0})),this.showImportStatus(`Opened ${i.name}`)}catch(e){console.error("Cannot import file:",e),this.showImportStatus(e.message,!0)}}showImportStatus(e,t=!1){const i=this.getElement("import-status");i&&(i.textContent=e,i.classList.remove("hidden"),i.classList.toggle("text-red-600",t),i.classList.toggle("text-text-muted",!t))}showReadabilityScore(e){const t=this.getElement("readability-score");if(t){if(0===e.characters.noSpaces)return t.textContent="N/A",void t.classList.remove("text-red-500","text-orange-500","text-yellow-500","text-green-500","text-primary");const i=e.readability.fleschReadingEase;let s="";i<10?(s="Extremely difficult",t.classList.add("text-red-500")):i<30?(s="Very Difficult",t.classList.add("text-red-500")):i<50?(s="Difficult",t.classList.add("text-orange-500")):i<60?(s="Somewhat Challenging",t.classList.add("text-yellow-500")):i<70?(s="Plain English",t.classList.add("text-green-500")):i<80?(s="Easy",t.classList.add("text-green-500")):(s="Very Easy",t.classList.add("text-primary")),t.textContent=s}}showGradeLevel(e){const t=this.getElement("grade-level");if(t){if(0===e.characters.noSpaces)return void(t.textContent="N/A");t.textContent=this.getGradeDescription(e.readability.fleschKincaidGrade)}}getGradeDescription(e){const t=Math.floor(e);return t<=1?"1st Grade or Lower":t>12?"College or Higher":`${t}th Grade`}showPassiveVoice(e){const t=this.getElement("passive-voice");if(t){if(0===e.characters.noSpaces)return void(t.textContent="N/A");const i=e.passiveVoice.description;t.textContent=i||"N/A"}}showFleschScore(e){const t=this.getElement("flesch-score");if(t){if(0===e.characters.noSpaces)return void(t.textContent="0");const i=e.readability.fleschReadingEase;t.textContent=`${i.toFixed(0)}`}}showFleschExplanation(e){const t=this.getElement("flesch-explanation");if(t){if(0===e.characters.noSpaces)return void(t.textContent="Enter your text above to instantly analyze reading difficulty, improve content accessibility, and optimize readability scores for better SEO performance and user engagement.");const i=e.readability.fleschReadingEase;let s="";s=i<10?"This highly complex text requires advanced education and specialized knowledge to comprehend. Your content is best suited for academic research papers, legal documents, medical journals, scientific publications, and technical literature targeting PhD-level readers. While this complexity may be necessary for specialized fields, consider simplifying language where possible to improve accessibility and search engine optimization. Dense academic writing can limit your audience reach and may negatively impact SEO rankings due to reduced user engagement and higher bounce rates.":i<30?"Your text demonstrates sophisticated vocabulary and complex sentence structures, making it appropriate for scholarly articles, professional journals, advanced textbooks, and detailed technical documentation. This content targets highly educated professionals and academics. While demonstrating expertise, consider breaking up long sentences and explaining technical terms to broaden your audience appeal. Search engines favor content that engages users longer, so improving readability can boost SEO performance while maintaining professional credibility and subject matter authority.":i<50?"This moderately complex content is well-suited for academic textbooks, detailed business reports, professional communications, industry white papers, and specialized blog posts targeting educated audiences. Your content requires some concentration to read comfortably. This level works well for B2B marketing, thought leadership articles, and educational resources. To maximize SEO impact and user engagement, consider adding subheadings, bullet points, and shorter paragraphs while maintaining your professional tone and comprehensive coverage of topics.":i<60?"Your content strikes a good balance between professionalism and accessibility, making it perfect for news articles, business writing, educational content, and informative blog posts. This text is readable by most high school graduates and appeals to a broad professional audience. This readability level is excellent for content marketing, company communications, and informational websites. Your writing effectively communicates complex ideas without overwhelming readers, which can improve user engagement metrics and search engine rankings through better time-on-page and lower bounce rates.":i<70?"Excellent work! Your content achieves optimal readability for web content, making it accessible to general audiences while maintaining credibility and depth. This readability level is ideal for most business communications, marketing materials, blog posts, social media content, and website copy. Your writing successfully balances clarity with substance, making complex topics understandable without sacrificing professionalism. This readability sweet spot typically generates higher user engagement, longer session durations, and better SEO performance, as search engines reward content that keeps users engaged and provides value to diverse audiences.":i<80?"Outstanding readability! Your content is perfectly optimized for maximum audience reach and engagement. This text is ideal for marketing copy, blog posts, social media content, email campaigns, and any material targeting broad consumer audiences. Your clear, concise writing style makes information easily digestible while maintaining professionalism and authority. This readability level typically performs exceptionally well in SEO rankings due to high user engagement, extended time-on-page, social sharing potential, and broad accessibility. Content at this level often sees improved conversion rates and better overall digital marketing performance.":"Perfect for maximum accessibility and universal appeal! Your content achieves exceptional clarity, making it easily understood by virtually all readers, including children, non-native speakers, and individuals with varying literacy levels. This highly accessible writing is excellent for children's content, simple instructions, public health communications, safety information, and content requiring maximum inclusivity. While maintaining simplicity, ensure your content still provides value and expertise to avoid appearing unprofessional. This readability level can significantly boost SEO performance through increased engagement, social sharing, and broader audience appeal, though balance simplicity with authoritative, valuable information.",t.textContent=s}}showPassiveVoicePercentage(e){const t=this.getElement("passive-voice-percentage");if(t){if(0===e.characters.noSpaces)return console.log("empty text"),void(t.textContent="0%");const i=e.passiveVoice.percentage;t.textContent=`${i.toFixed(0)}%`}}showPassiveVoiceExplanation(e){const t=this.getElement("passive-voice-explanation");if(t){if(0===e.characters.noSpaces)return void(t.textContent="Enter your text above to analyze passive voice usage and receive detailed feedback on how it impacts readability. This tool will help you identify opportunities to make your writing more direct and engaging through active voice construction.");const i=e.passiveVoice.extendedDescription;t.textContent=i||"N/A"}}showPassiveConstructions(e){const t=this.getElement("passive-constructions");if(!t)return;const i=e.passiveVoice.constructions,s=e.sentences.spans;if(t.replaceChildren(),0===i.length){const i=document.createElement("li");return i.className="text-text-muted",i.textContent=0===e.characters.noSpaces?"Passive constructions will be listed here.":"No passive constructions found.",void t.appendChild(i)}i.forEach((e=>{const i=s[e.sentenceIndex],n=document.createElement("li"),a=document.createElement("span"),o=document.createElement("strong");n.className="p-3 bg-background rounded-lg",a.className="block text-xs font-medium text-text-muted mb-1",a.textContent=`Sentence ${e.sentenceIndex+1}${e.agent?` · agent: ${e.agent.text}`:""}`,o.className="font-semibold text-text-primary",o.textContent=e.text,n.append(a,i.text.slice(0,e.start-i.start),o,i.text.slice(e.end-i.start)),t.appendChild(n)}))}showReadabilityFormulas(e){const t=0===e.characters.noSpaces,i=e.readability,s={"flesch-reading-ease":i.fleschReadingEase,"flesch-kincaid-grade":i.fleschKincaidGrade,"gunning-fog-index":i.gunningFog,"smog-index":i.smogIndex,"coleman-liau-index":i.colemanLiauIndex,"automated-readability-index":i.automatedReadabilityIndex,"dale-chall-score":i.daleChallScore,"linsear-write-grade":i.linsearWriteGrade};Object.entries(s).forEach((([e,i])=>{const s=this.getElement(e);s&&(s.textContent=t?"N/A":i.toFixed(1))}));const n=this.getElement("consensus-grade");n&&(n.textContent=t?"N/A":this.getGradeDescription(i.consensusGrade))}showHighlights(e){const t=this.getElement("text-highlights");if(!t||!this.analysis||!this.analysis.highlights)return;const i=this.analysis.highlights,s=[];this.highlightCategories.forEach((e=>{const t=this.getElement(`${e.id}-count`),n=this.getElement(`highlight-${e.id}`);t&&(t.textContent=`${i[e.key].length}`),n&&n.checked&&i[e.key].forEach((t=>{s.push({offset:t.start,category:e,delta:1}),s.push({offset:t.end,category:e,delta:-1})}))})),s.sort(((e,t)=>e.offset-t.offset));const n=new Map;let a="",o=0;s.forEach((t=>{t.offset>o&&(a+=this.renderHighlightSegment(e.slice(o,t.offset),n),o=t.offset),n.set(t.category,(n.get(t.category)||0)+t.delta)})),a+=this.escapeHtml(e.slice(o)),e.endsWith("\n")&&(a+=" "),t.innerHTML=a,this.syncHighlights()}renderHighlightSegment(e,t){const i=this.escapeHtml(e),s=this.highlightCategories.filter((e=>t.get(e)>0));if(0===s.length)return i;const n=s.find((e=>e.className.startsWith("bg-"))),a=s.filter((e=>!e.className.startsWith("bg-")));return`<mark class="${[n,...a].filter(Boolean).map((e=>e.className)).join(" ")} text-transparent rounded-sm">${i}</mark>`}escapeHtml(e){return e.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;")}syncHighlights(){const e=this.getElement("text-input"),t=this.getElement("text-highlights");e&&t&&(t.style.right=e.offsetWidth-e.clientWidth-2*e.clientLeft+"px",t.scrollTop=e.scrollTop)}}(new ReadabilityCalculator).init().then((e=>{e||console.error("Failed to initialize ReadabilityCalculator")})).catch((e=>{console.error("Error during ReadabilityCalculator initialization:",e)}));
\ No newline at end of file
@@ -1 +1 @@
-class ReadingTime{constructor(){this.readingSpeed=250;this.elements={},this.missingElements=[],["text-input","speed-display","reading-time-display","word-count-display","speed-input","speed-input-mobile","paste-btn","clear-btn"].forEach((e=>{const t=document.getElementById(e);t?this.elements[e]=t:this.missingElements.push(e)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const e=this.getElement("text-input"),t=this.getElement("speed-display"),n=this.getElement("speed-input"),i=this.getElement("speed-input-mobile"),s=this.getElement("paste-btn"),a=this.getElement("clear-btn");return e&&(e.value="",e.addEventListener("input",this.handleInput.bind(this))),n&&n.addEventListener("input",(()=>{let e=parseInt(n.value);e<0&&(e=0),this.readingSpeed=e,t.textContent=e.toLocaleString(),this.updateDisplay()})),i&&i.addEventListener("input",(()=>{let e=parseInt(i.value);this.readingSpeed=e,e<0&&(e=0),n.value=e,t.textContent=e.toLocaleString(),this.updateDisplay()})),a&&a.addEventListener("click",this.handleClear.bind(this)),s&&s.addEventListener("click",this.handlePaste.bind(this)),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor}getElement(e){return this.elements[e]?this.elements[e]:(console.warn(`Element with id="${e} not found in DOM`),null)}handleInput(e){try{const t=e.target.value,n=this.getElement("clear-btn"),i=this.getElement("speed-input");n&&(t?n.removeAttribute("disabled"):n.setAttribute("disabled",!0)),this.showReadingTime(t,i.value),this.showWordCount(t)}catch(e){console.error("Error handling input:",e)}}handleClear(){const e=this.getElement("clear-btn"),t=this.getElement("text-input");t&&(t.value="",t.dispatchEvent(new Event("input",{bubbles:!0}))),e&&e.setAttribute("disabled",!0)}async handlePaste(){const e=this.getElement("paste-btn"),t=this.getElement("text-input");if(e&&t)try{const e=await navigator.clipboard.readText();t.value+=e,t.dispatchEvent(new Event("input",{bubbles:!0}))}catch(e){console.error("Cannot paste user content:",e)}}updateDisplay(){const e=this.getElement("text-input");e&&(this.showReadingTime(e.value,this.readingSpeed),this.showWordCount(e.value))}showWordCount(e){const t=this.getElement("word-count-display");t&&(t.textContent=window.textProcessor.getWordCount(e).toLocaleString())}showReadingTime(e,t=250){const n=this.getElement("reading-time-display");n&&(n.textContent=window.textProcessor.getReadingTimeReadable(e,t))}}(new ReadingTime).init().then((e=>{e||console.error("Failed to initialize ReadingTime app")})).catch((e=>{console.error("Error during ReadingTime app initialization:",e)}));
\ No newline at end of file
+class ReadingTime{constructor(){this.defaultReadingSpeed=250,this.readingSpeed=this.defaultReadingSpeed,this.analysis=null,this.format="plain",this.locale="auto",this.timeMode="reading",this.speakingPreset="conversational",this.savedReadingSpeed=this.defaultReadingSpeed,this.readingTest=null,this.cueSheet="",this.elements={},this.missingElements=[],["text-input","speed-display","reading-time-display","word-count-display","speed-input","speed-input-mobile","analysis-status","paste-btn","clear-btn","import-btn","import-file","text-drop-zone","import-status","locale-select","content-format","content-summary","reading-breakdown","export-menu","export-json","export-csv","export-markdown","export-html","share-btn","share-status","time-label","time-mode","speaking-preset","speaking-section","speaking-summary","speaking-timeline","speaking-empty","speaking-slides-card","speaking-slides","copy-cue-sheet","cue-sheet-status","reading-test-intro","reading-test-level","reading-test-start","reading-test-saved","reading-test-saved-text","reading-test-reset","reading-test-reading","reading-test-title","reading-test-passage","reading-test-done","reading-test-quiz","reading-test-questions","reading-test-result","reading-test-summary","reading-test-retry"].forEach((e=>{const t=document.getElementById(e);t?this.elements[e]=t:this.missingElements.push(e)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const e=this.getElement("text-input"),t=this.getElement("speed-display"),s=this.getElement("speed-input"),n=this.getElement("speed-input-mobile"),i=this.getElement("paste-btn"),a=this.getElement("clear-btn");return e&&(e.value="",e.addEventListener("input",this.handleInput.bind(this))),s&&s.addEventListener("input",(()=>{let e=parseInt(s.value);e<0&&(e=0),this.readingSpeed=e,t.textContent=e.toLocaleString(),this.updateDisplay()})),n&&n.addEventListener("input",(()=>{let e=parseInt(n.value);this.readingSpeed=e,e<0&&(e=0),s.value=e,t.textContent=e.toLocaleString(),this.updateDisplay()})),a&&a.addEventListener("click",this.handleClear.bind(this)),i&&i.addEventListener("click",this.handlePaste.bind(this)),this.initImport(),this.initLocale(),this.initFormat(),this.initSpeaking(),this.initReadingTest(),this.initExport(),this.initDrafts(),this.initShare(),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor&&null!==window.textAnalyzer&&null!==window.fileImporter&&null!==window.reportExporter&&null!==window.drafts&&null!==window.shareLink&&null!==window.readingTest}getElement(e){return this.elements[e]?this.elements[e]:(console.warn(`Element with id="${e} not found in DOM`),null)}handleInput(e){try{const t=e.target.value,s=this.getElement("clear-btn");s&&(t?s.removeAttribute("disabled"):s.setAttribute("disabled",!0)),this.updateDisplay()}catch(e){console.error("Error handling input:",e)}}handleClear(){const e=this.getElement("clear-btn"),t=this.getElement("text-input");t&&(t.value="",t.dispatchEvent(new Event("input",{bubbles:!0}))),e&&e.setAttribute("disabled",!0)}async handlePaste(){const e=this.getElement("paste-btn"),t=this.getElement("text-input");if(e&&t)try{const e=await navigator.clipboard.readText();t.value+=e,t.dispatchEvent(new Event("input",{bubbles:!0}))}catch(e){console.error("Cannot paste user content:",e)}}initLocale(){const e=this.getElement("locale-select");e&&(window.textProcessor.getLocales().forEach((t=>{const s=document.createElement("option");s.value=t.code,s.textContent=t.name,e.appendChild(s)})),e.value=this.locale,e.addEventListener("change",this.handleLocaleChange.bind(this)))}handleLocaleChange(e){this.locale=e.target.value,this.refreshAnalysis()}updateLocale(e){const t=this.getElement("locale-select"),s=t&&t.querySelector('option[value="auto"]');s&&(s.textContent=`Auto-detect (${window.textProcessor.getLocale(e.locale).name})`)}initFormat(){const e=this.getElement("content-format");e&&(e.value=this.format,e.addEventListener("change",this.handleFormatChange.bind(this)))}handleFormatChange(e){this.format=e.target.value,this.refreshAnalysis()}initSpeaking(){const e=this.getElement("time-mode"),t=this.getElement("speaking-preset"),s=this.getElement("copy-cue-sheet");e&&(e.value=this.timeMode,e.addEventListener("change",this.handleTimeModeChange.bind(this))),t&&(t.value=this.speakingPreset,t.addEventListener("change",this.handlePresetChange.bind(this))),s&&s.addEventListener("click",this.handleCopyCueSheet.bind(this))}handleTimeModeChange(e){const t="speaking"===e.target.value,s=this.getElement("time-label"),n=this.getElement("speaking-section");t!==("speaking"===this.timeMode)&&(this.timeMode=t?"speaking":"reading",s&&(s.textContent=t?"Speaking Time":"Reading Time"),n&&n.classList.toggle("hidden",!t),t?(this.savedReadingSpeed=this.readingSpeed,this.setSpeed(window.textProcessor.speakingPresets[this.speakingPreset].wordsPerMinute)):this.setSpeed(this.savedReadingSpeed))}handlePresetChange(e){const t=window.textProcessor.speakingPresets[e.target.value];t&&(this.speakingPreset=e.target.value,"speaking"===this.timeMode&&this.setSpeed(t.wordsPerMinute))}setSpeed(e){const t=this.getElement("speed-input-mobile");t&&(t.value=e),this.setControl("speed-input",e,"input")}showSpeakingTime(e,t){const s=e.speaking,n=this.getElement("speaking-summary"),i=this.getElement("speaking-timeline"),a=this.getElement("speaking-empty"),r=this.getElement("speaking-slides-card"),o=this.getElement("speaking-slides"),d=this.getElement("copy-cue-sheet");if(!(s&&n&&i&&o))return;const l=window.textProcessor.formatTimestamp,h=(e,t)=>`${e.toLocaleString()} ${1===e?t:t+"s"}`,c=e=>{const s=t.slice(e.start,e.end).replace(/\s+/g," ").trim();return s.length>80?s.slice(0,79).trimEnd()+"…":s},p=s.slides.length>1,g=[];n.textContent=s.words>0?`${s.readable} at ${s.wordsPerMinute.toLocaleString()} WPM: ${l(s.speakingSeconds)} of speech and ${l(s.pauseSeconds)} of pauses (${h(s.pauses.sentences,"sentence break")}, ${h(s.pauses.paragraphs,"paragraph break")}, ${h(s.pauses.markers,"[pause] marker")}).`:"",i.replaceChildren(...s.paragraphs.map(((e,t)=>{const n=document.createElement("li"),i=document.createElement("span"),a=document.createElement("div"),r=document.createElement("p"),o=document.createElement("p"),d=document.createElement("div"),m=document.createElement("div");return n.className="flex items-start gap-3 py-2",i.className="w-16 shrink-0 font-mono text-sm font-semibold text-primary-600",i.textContent=l(e.startTime),a.className="flex-1 min-w-0",r.className="text-sm text-text-primary truncate",r.textContent=c(e)||"[pause]",o.className="text-xs text-text-muted",o.textContent=`${p?`Slide ${e.slide+1} · `:""}${h(e.words,"word")} · ${l(e.seconds)}`,d.className="h-1 mt-1 bg-primary-100 rounded-full",m.className="h-1 bg-primary-500 rounded-full",m.style.width=`${s.seconds>0?Math.max(1,e.seconds/s.seconds*100):0}%`,d.append(m),a.append(r,o,d),n.append(i,a),g.push(`${!p||0!==t&&s.paragraphs[t-1].slide===e.slide?"":`${t>0?"\n":""}Slide ${e.slide+1}\n`}${l(e.startTime)}  ${c(e)}`),n}))),a&&a.classList.toggle("hidden",s.paragraphs.length>0),r&&r.classList.toggle("hidden",!p),o.replaceChildren(...(p?s.slides:[]).map((e=>{const t=document.createElement("tr");return[`Slide ${e.index+1}`,l(e.startTime),e.words.toLocaleString(),l(e.seconds)].forEach(((e,s)=>{const n=document.createElement("td");n.className=0===s?"text-left px-4 py-2":"text-right px-4 py-2",n.textContent=e,t.append(n)})),t}))),this.cueSheet=g.join("\n"),d&&(d.disabled=0===g.length)}async handleCopyCueSheet(){const e=this.getElement("cue-sheet-status");if(this.cueSheet)try{await navigator.clipboard.writeText(this.cueSheet),e&&(e.textContent="Cue sheet copied.",e.classList.remove("hidden","text-red-600"))}catch(t){console.error("Cannot copy cue sheet:",t),e&&(e.textContent="Cannot copy the cue sheet. Allow clipboard access and try again.",e.classList.remove("hidden"),e.classList.add("text-red-600"))}}initReadingTest(){const e=this.getElement("reading-test-start"),t=this.getElement("reading-test-done"),s=this.getElement("reading-test-quiz"),n=this.getElement("reading-test-reset"),i=this.getElement("reading-test-retry"),a=window.readingTest.loadReadingSpeed();e&&e.addEventListener("click",this.handleReadingTestStart.bind(this)),t&&t.addEventListener("click",this.handleReadingTestDone.bind(this)),s&&s.addEventListener("submit",this.handleReadingTestSubmit.bind(this)),n&&n.addEventListener("click",this.handleReadingTestReset.bind(this)),i&&i.addEventListener("click",(()=>this.showReadingTestStep("intro"))),a&&this.useTestedSpeed(a)}showReadingTestStep(e){["intro","reading","quiz","result"].forEach((t=>{const s=this.getElement(`reading-test-${t}`);s&&s.classList.toggle("hidden",t!==e)}))}handleReadingTestStart(){const e=this.getElement("reading-test-level"),t=this.getElement("reading-test-title"),s=this.getElement("reading-test-passage");if(!e||!t||!s)return;const n=window.readingTest.pickReadingTestPassage(e.value,this.readingTest&&this.readingTest.passage.id);t.textContent=n.title,s.replaceChildren(...n.text.split(/\n\s*\n/).map((e=>{const t=document.createElement("p");return t.textContent=e.trim(),t}))),this.showReadingTestStep("reading"),t.focus(),this.readingTest={passage:n,startedAt:performance.now(),seconds:0,inputs:[]}}handleReadingTestDone(){const e=this.readingTest,t=this.getElement("reading-test-questions");e&&t&&(e.seconds=(performance.now()-e.startedAt)/1e3,e.inputs=[],t.replaceChildren(...e.passage.questions.map(((t,s)=>{const n=document.createElement("fieldset"),i=document.createElement("legend"),a=[];return i.className="text-sm font-semibold text-text-primary mb-2",i.textContent=`${s+1}. ${t.question}`,n.append(i),t.choices.forEach(((e,t)=>{const i=document.createElement("label"),r=document.createElement("input"),o=document.createElement("span");i.className="flex items-center gap-2 py-1 text-sm text-text-secondary cursor-pointer",r.type="radio",r.name=`reading-test-question-${s}`,r.value=t,r.className="accent-primary",o.textContent=e,i.append(r,o),n.append(i),a.push(r)})),e.inputs.push(a),n}))),this.showReadingTestStep("quiz"))}handleReadingTestSubmit(e){e.preventDefault();const t=this.readingTest,s=this.getElement("reading-test-summary");if(!t||!s)return;const n=t.inputs.map((e=>{const t=e.findIndex((e=>e.checked));return t<0?null:t})),i=window.readingTest.scoreReadingTest(t.passage,t.seconds,n),a=window.readingTest.saveReadingSpeed(i);s.textContent=`You read ${i.words.toLocaleString()} words in ${window.textProcessor.formatTimestamp(i.seconds)} (${i.wordsPerMinute.toLocaleString()} WPM) and answered ${i.correct} of ${i.total} questions correctly. ${a?`Scaled by your right answers${i.plainWordsPerMinute!==i.effectiveWordsPerMinute?" and taken back to plain text":""}, that is ${a.wordsPerMinute.toLocaleString()} WPM, now your reading speed in this browser.`:i.passed?"It was not saved, so your reading speed stays the same. Read at your normal pace and try again.":`The speed only counts with at least ${Math.ceil(window.readingTest.minComprehension*i.total)} of ${i.total} right answers, so your reading speed stays the same. Read at your normal pace and try again.`}`,a&&this.useTestedSpeed(a),this.showReadingTestStep("result")}handleReadingTestReset(){const e=this.getElement("reading-test-saved");window.readingTest.clearReadingSpeed(),e&&e.classList.add("hidden"),this.savedReadingSpeed=this.defaultReadingSpeed,"reading"===this.timeMode&&this.setSpeed(this.defaultReadingSpeed)}useTestedSpeed(e){const t=this.getElement("reading-test-saved"),s=this.getElement("reading-test-saved-text"),n=window.readingTest.readingTestLevels.find((t=>t.id===e.level));s&&(s.textContent=`Your tested speed: ${e.wordsPerMinute.toLocaleString()} WPM${n?` (${n.name} passage)`:""}, tested ${new Date(e.testedAt).toLocaleDateString()}.`),t&&t.classList.remove("hidden"),this.savedReadingSpeed=e.wordsPerMinute,"reading"===this.timeMode&&this.setSpeed(e.wordsPerMinute)}showContentSummary(e){const t=this.getElement("content-summary"),s=e.content;if(!t)return;if("plain"===s.format)return void t.classList.add("hidden");const n=(e,t)=>`${e.toLocaleString()} ${1===e?t:t+"s"}`;t.textContent=`Counting prose only · ${n(s.headings.count,"heading")} (${n(s.headings.words,"word")}) · Not counted: ${n(s.code.blocks,"code block")}, ${n(s.code.inline,"inline code span")} (${n(s.code.words,"word")}), ${n(s.links,"link URL")}, ${n(s.images,"image")}`,t.classList.remove("hidden")}initExport(){window.reportExporter.reportFormats.forEach((({code:e})=>{const t=this.getElement(`export-${e}`);t&&t.addEventListener("click",(()=>this.handleExport(e)))}))}async handleExport(e){const t=this.getElement("text-input"),s=this.getElement("export-menu");if(s&&(s.open=!1),t)try{const s=await window.reportExporter.createReport(t.value,this.analysis,{page:document.title.split(" - ")[0],options:this.getAnalysisOptions()});window.reportExporter.saveReport(s,e)}catch(e){console.error("Cannot export report:",e)}}initDrafts(){const e=this.getElement("text-input");e&&window.drafts&&(window.drafts.subscribe((t=>{"open"===t.type&&(e.value=t.draft.text,e.dispatchEvent(new Event("input",{bubbles:!0})))})),e.addEventListener("input",(()=>window.drafts.save(e.value))),this.draftsLoaded=window.drafts.load().catch((e=>console.error("Cannot load draft:",e))))}initShare(){const e=this.getElement("share-btn");e&&e.addEventListener("click",this.handleShare.bind(this)),window.addEventListener("hashchange",(()=>this.restoreShareLink())),(this.draftsLoaded||Promise.resolve()).then((()=>this.restoreShareLink()))}async handleShare(){const e=this.getElement("text-input");if(e)if(e.value.trim())try{const t=await window.shareLink.createShareLink(e.value,this.getShareSettings());try{await navigator.clipboard.writeText(t),this.showShareStatus("Link copied. Anyone who opens it sees this text with these settings.")}catch(e){history.replaceState(null,"",t),this.showShareStatus("Copy the link from the address bar to share this text.")}}catch(e){console.error("Cannot create share link:",e),this.showShareStatus(e.message,!0)}else this.showShareStatus("Type or paste some text to share first.",!0)}async restoreShareLink(){const e=this.getElement("text-input");if(e&&window.shareLink.isShareHash(location.hash)){try{const t=await window.shareLink.readShareLink(location.hash);this.applyShareSettings(t.settings),window.drafts&&await window.drafts.create("Shared text"),e.value=t.text,e.dispatchEvent(new Event("input",{bubbles:!0})),this.showShareStatus("Opened shared text as a new draft.")}catch(e){console.error("Cannot open share link:",e),this.showShareStatus(e.message,!0)}history.replaceState(null,"",location.pathname+location.search)}}setControl(e,t,s="change"){const n=this.getElement(e);if(!n||null==t)return;const i=n.value;n.value=t,String(n.value)===String(t)?n.dispatchEvent(new Event(s,{bubbles:!0})):n.value=i}showShareStatus(e,t=!1){const s=this.getElement("share-status");s&&(s.textContent=e,s.classList.remove("hidden"),s.classList.toggle("text-red-600",t),s.classList.toggle("text-text-muted",!t))}initImport(){const e=this.getElement("import-btn"),t=this.getElement("import-file"),s=this.getElement("text-drop-zone");t&&(t.accept=window.fileImporter.acceptedFileTypes.join(","),t.addEventListener("change",this.handleImportSelect.bind(this))),e&&t&&e.addEventListener("click",(()=>t.click())),s&&(s.addEventListener("dragover",this.handleDragOver.bind(this)),s.addEventListener("dragleave",this.handleDragLeave.bind(this)),s.addEventListener("drop",this.handleDrop.bind(this)))}hasDraggedFiles(e){return!!e.dataTransfer&&Array.from(e.dataTransfer.types).includes("Files")}handleDragOver(e){if(!this.hasDraggedFiles(e))return;e.preventDefault(),e.dataTransfer.dropEffect="copy";const t=this.getElement("text-drop-zone");t&&t.classList.add("ring-4","ring-primary/30","border-primary")}handleDragLeave(e){const t=this.getElement("text-drop-zone");t&&!t.contains(e.relatedTarget)&&t.classList.remove("ring-4","ring-primary/30","border-primary")}handleDrop(e){if(!this.hasDraggedFiles(e))return;e.preventDefault(),this.handleDragLeave({relatedTarget:null});const t=e.dataTransfer.files[0];t&&this.importFile(t)}handleImportSelect(e){const t=e.target.files&&e.target.files[0];t&&this.importFile(t),e.target.value=""}async importFile(e){const t=this.getElement("text-input");if(t)try{this.showImportStatus(`Opening ${e.name}…`);const s=await window.fileImporter.importFile(e);t.value=s.text,t.dispatchEvent(new Event("input",{bubbles:!0})),this.showImportStatus(`Opened ${s.name}`)}catch(e){console.error("Cannot import file:",e),this.showImportStatus(e.message,!0)}}showImportStatus(e,t=!1){const s=this.getElement("import-status");s&&(s.textContent=e,s.classList.remove("hidden"),s.classList.toggle("text-red-600",t),s.classList.toggle("text-text-muted",!t))}updateDisplay(){const e=this.getElement("text-input");e&&this.analyze(e.value)}getShareSettings(){return this.getAnalysisOptions()}applyShareSettings(e){const t=parseInt(e.wordsPerMinute),s=this.getElement("speed-input-mobile");e.speaking&&this.setControl("speaking-preset",e.speaking.preset),this.setControl("time-mode",e.speaking?"speaking":"reading"),t>0&&(this.setControl("speed-input",t,"input"),s&&(s.value=t)),this.setControl("locale-select",e.locale),this.setControl("content-format",e.format)}getAnalysisOptions(){return{locale:this.locale,wordsPerMinute:this.readingSpeed,format:this.format,..."speaking"===this.timeMode&&{speaking:{preset:this.speakingPreset,wordsPerMinute:this.readingSpeed}}}}analyze(e){this.showCalculating(!0),window.textAnalyzer.analyze(e,this.getAnalysisOptions(),((t,s)=>{this.analysis=s,"counts"===t&&(this.updateLocale(s),this.showContentSummary(s),this.showReadingTime(s),this.showWordCount(s),this.showSpeakingTime(s,e)),"readability"===t&&this.showReadingTime(s)})).then((e=>{e&&this.showCalculating(!1)}))}refreshAnalysis(){const e=this.getElement("text-input");e&&this.analyze(e.value)}showCalculating(e){const t=this.getElement("analysis-status");t&&(clearTimeout(this.calculatingTimer),e?this.calculatingTimer=setTimeout((()=>t.classList.remove("hidden")),150):t.classList.add("hidden"))}showWordCount(e){const t=this.getElement("word-count-display");t&&(t.textContent=e.words.count.toLocaleString())}showReadingTime(e){const t=this.getElement("reading-time-display"),s=this.getElement("reading-breakdown"),n=e.readingTime,i=n.components,a=(e,t)=>`${e.toLocaleString()} ${1===e?t:t+"s"}`,r=[i.words.count>0&&`${i.words.readable} for ${a(i.words.count,"word")}`,i.characters.count>0&&`${i.characters.readable} for ${a(i.characters.count,"Chinese or Japanese character")}`,i.code.lines>0&&`${i.code.readable} for ${a(i.code.lines,"code line")}`,i.tables.rows>0&&`${i.tables.readable} for ${a(i.tables.rows,"table row")}`,i.images.count>0&&`${i.images.readable} for ${a(i.images.count,"image")}`].filter(Boolean);n.slowdown>1&&r.push(`words read ${Math.round(100*(n.slowdown-1))}% slower for the reading level`),t&&(t.textContent=(e.speaking||n).readable),s&&(s.textContent=r.join(" · "),s.classList.toggle("hidden",!!e.speaking||r.length<2&&1===n.slowdown))}}(new ReadingTime).init().then((e=>{e||console.error("Failed to initialize ReadingTime app")})).catch((e=>{console.error("Error during ReadingTime app initialization:",e)}));
\ No newline at end of file
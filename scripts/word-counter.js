@@ -1 +1 @@
-class WordCounter{constructor(){this.elements={},this.missingElements=[],this.wordFrequency=[],this.wordFrequencyFiltered=[],["text-input","paste-btn","clear-btn","word-count","avg-word-length","sentence-count","most-common-word","unique-words-count","longest-word","longest-word-length","shortest-word","shortest-word-length","avg-words-per-sentence","paragraph-count","avg-sentences-per-paragraph"].forEach((t=>{const e=document.getElementById(t);e?this.elements[t]=e:this.missingElements.push(t)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const t=this.getElement("text-input"),e=this.getElement("paste-btn"),n=this.getElement("clear-btn");return t&&(t.value="",t.addEventListener("input",this.handleInput.bind(this))),n&&n.addEventListener("click",this.handleClear.bind(this)),e&&e.addEventListener("click",this.handlePaste.bind(this)),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor}getElement(t){return this.elements[t]?this.elements[t]:(console.warn(`Element with id='${t} not found in DOM`),null)}debounce(t,e){let n;return(...s)=>{clearTimeout(n),n=setTimeout((()=>{t.apply(this,s)}),e)}}handleInput(t){try{const e=t.target.value,n=this.getElement("clear-btn");n&&(e?n.removeAttribute("disabled"):n.setAttribute("disabled",!0)),this.showWordCount(e),this.showSentenceCount(e),this.showAvgWordLength(e),this.showAverageSentenceLength(e),this.showParagraphCount(e),this.showAverageParagraphLength(e),this.expensiveCalculations(e)}catch(t){console.error("Error handling input:",t)}}handleClear(){const t=this.getElement("clear-btn"),e=this.getElement("text-input");e&&(e.value="",e.dispatchEvent(new Event("input",{bubbles:!0}))),t&&t.setAttribute("disabled",!0)}async handlePaste(){const t=this.getElement("paste-btn"),e=this.getElement("text-input");if(t&&e)try{const t=await navigator.clipboard.readText();e.value+=t,e.dispatchEvent(new Event("input",{bubbles:!0}))}catch(t){console.error("Cannot paste user content:",t)}}showWordCount(t){const e=this.getElement("word-count");e&&(e.textContent=textProcessor.getWordCount(t))}showSentenceCount(t){const e=this.getElement("sentence-count");e&&(e.textContent=textProcessor.getSentenceCount(t))}showAvgWordLength(t){const e=this.getElement("avg-word-length");if(e){const n=textProcessor.getAverageCharsPerWord(t);e.textContent=n.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}}showMostCommonWord(){const t=this.getElement("most-common-word");if(t){const e=this.wordFrequencyFiltered[0]?this.wordFrequencyFiltered[0][0]:this.wordFrequency[0]?this.wordFrequency[0][0]:"N/A";t.textContent=e}}showUniqueWordsCount(t){const e=this.getElement("unique-words-count");e&&(e.textContent=this.wordFrequency.length)}showLongestWord(){const t=this.getElement("longest-word"),e=this.getElement("longest-word-length");if(t&&e){const n=this.wordFrequency.reduce(((t,e)=>e[0].length>t.length?e[0]:t),"");t.textContent=n||"N/A",e.textContent=n.length||0}}showShortestWord(){const t=this.getElement("shortest-word"),e=this.getElement("shortest-word-length");if(t&&e){const n=this.wordFrequency.reduce(((t,e)=>e[0].length<t.length?e[0]:t),this.wordFrequency[0]?this.wordFrequency[0][0]:"");t.textContent=n||"N/A",e.textContent=n.length||0}}showAverageSentenceLength(t){const e=this.getElement("avg-words-per-sentence");if(e){const n=window.textProcessor.getAverageWordsPerSentence(t);e.textContent=n.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}}showParagraphCount(t){const e=this.getElement("paragraph-count");e&&(e.textContent=window.textProcessor.getParagraphCount(t))}showAverageParagraphLength(t){const e=this.getElement("avg-sentences-per-paragraph");if(e){const n=window.textProcessor.getAverageSentencePerParagraph(t);e.textContent=n.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}}expensiveCalculations=this.debounce((t=>{this.wordFrequency=textProcessor.calculateWordFrequency(t),this.wordFrequencyFiltered=textProcessor.filterStopWords(this.wordFrequency),this.showMostCommonWord(t),this.showUniqueWordsCount(t),this.showLongestWord(),this.showShortestWord()}),100)}(new WordCounter).init();
\ No newline at end of file
+class WordCounter{constructor(){this.elements={},this.missingElements=[],this.targets=[],this.targetStates={},this.session=null,this.sessionEdit=null,this.editedAt=null,this.analysis=null,this.format="plain",this.locale="auto",this.activeLocale="en",this.keyword="",this.groupBy="word",this.frequencySort={key:"count",descending:!0},this.frequencyPage=0,this.frequencyPageSize=20,["text-input","locale-select","paste-btn","clear-btn","import-btn","import-file","text-drop-zone","import-status","content-format","content-summary","export-menu","export-json","export-csv","export-markdown","export-html","share-btn","share-status","targets-list","targets-empty","target-form","target-metric","target-min","target-max","target-error","targets-status","session-toggle","session-export","session-state","session-written","session-deleted","session-wpm","session-active","session-idle","session-elapsed","session-line","session-status","word-count","avg-word-length","sentence-count","most-common-word","unique-words-count","unique-words-note","longest-word","longest-word-length","shortest-word","shortest-word-length","avg-words-per-sentence","paragraph-count","avg-sentences-per-paragraph","target-keyword","target-keyword-result","phrase-length","hide-stop-words","frequency-group","frequency-table","frequency-caption","frequency-table-body","frequency-empty","frequency-prev","frequency-page","frequency-next","analysis-status"].forEach((t=>{const e=document.getElementById(t);e?this.elements[t]=e:this.missingElements.push(t)})),this.missingElements.length>0&&console.warn("Missing DOM elements:",this.missingElements)}async init(){if(!this.isReady())return console.error("Cannot initialize app: missing required DOM elements"),!1;console.log("App initialized successfully");const t=this.getElement("text-input"),e=this.getElement("paste-btn"),s=this.getElement("clear-btn"),n=this.getElement("locale-select");return n&&(this.showLocaleOptions(n),n.addEventListener("change",this.handleLocaleChange.bind(this))),t&&(t.value="",t.addEventListener("input",this.handleInput.bind(this))),s&&s.addEventListener("click",this.handleClear.bind(this)),e&&e.addEventListener("click",this.handlePaste.bind(this)),this.initImport(),this.initFormat(),this.initExport(),this.initTargets(),this.initSession(),this.initDrafts(),this.initShare(),this.initFrequencyTable(),!0}isReady(){return 0===this.missingElements.length&&null!==window.textProcessor&&null!==window.textAnalyzer&&null!==window.fileImporter&&null!==window.reportExporter&&null!==window.drafts&&null!==window.shareLink&&null!==window.countTargets&&null!==window.writingSession}getElement(t){return this.elements[t]?this.elements[t]:(console.warn(`Element with id='${t} not found in DOM`),null)}handleInput(t){try{const e=t.target.value,s=this.getElement("clear-btn");s&&(e?s.removeAttribute("disabled"):s.setAttribute("disabled",!0)),this.editedAt=Date.now(),this.analyze(e)}catch(t){console.error("Error handling input:",t)}}getShareSettings(){return this.getAnalysisOptions()}applyShareSettings(t){this.setControl("locale-select",t.locale),this.setControl("content-format",t.format),this.setControl("frequency-group",t.groupBy),this.setControl("target-keyword",t.keyword,"input")}getAnalysisOptions(){return{locale:this.locale,format:this.format,keyword:this.keyword,groupBy:this.groupBy}}analyze(t){this.showCalculating(!0),window.textAnalyzer.analyze(t,this.getAnalysisOptions(),((t,e)=>{this.analysis=e,("counts"===t||"readability"===t)&&this.showTargets(e),"counts"===t&&this.recordSessionCount(e),"counts"===t?(this.updateLocale(e),this.showContentSummary(e),this.showWordCount(e),this.showSentenceCount(e),this.showAvgWordLength(e),this.showAverageSentenceLength(e),this.showParagraphCount(e),this.showAverageParagraphLength(e)):"frequencies"===t&&(this.showMostCommonWord(e),this.showUniqueWordsCount(e),this.showLongestWord(e),this.showShortestWord(e),this.showTargetKeyword(e),this.showFrequencyTable(e))})).then((t=>{t&&this.showCalculating(!1)}))}refreshAnalysis(){const t=this.getElement("text-input");t&&this.analyze(t.value)}showCalculating(t){const e=this.getElement("analysis-status");e&&(clearTimeout(this.calculatingTimer),t?this.calculatingTimer=setTimeout((()=>e.classList.remove("hidden")),150):e.classList.add("hidden"))}showLocaleOptions(t){window.textProcessor.getLocales().forEach((e=>{const s=document.createElement("option");s.value=e.code,s.textContent=e.name,t.appendChild(s)}))}handleLocaleChange(t){this.locale=t.target.value,this.refreshAnalysis()}updateLocale(t){this.activeLocale=t.locale;const e=this.getElement("locale-select"),s=e&&e.querySelector('option[value="auto"]');s&&(s.textContent=`Auto-detect (${window.textProcessor.getLocale(this.activeLocale).name})`)}handleClear(){const t=this.getElement("clear-btn"),e=this.getElement("text-input");e&&(e.value="",e.dispatchEvent(new Event("input",{bubbles:!0}))),t&&t.setAttribute("disabled",!0)}async handlePaste(){const t=this.getElement("paste-btn"),e=this.getElement("text-input");if(t&&e)try{const t=await navigator.clipboard.readText();e.value+=t,e.dispatchEvent(new Event("input",{bubbles:!0}))}catch(t){console.error("Cannot paste user content:",t)}}initFormat(){const t=this.getElement("content-format");t&&(t.value=this.format,t.addEventListener("change",this.handleFormatChange.bind(this)))}handleFormatChange(t){this.format=t.target.value,this.refreshAnalysis()}showContentSummary(t){const e=this.getElement("content-summary"),s=t.content;if(!e)return;if("plain"===s.format)return void e.classList.add("hidden");const n=(t,e)=>`${t.toLocaleString()} ${1===t?e:e+"s"}`;e.textContent=`Counting prose only · ${n(s.headings.count,"heading")} (${n(s.headings.words,"word")}) · Not counted: ${n(s.code.blocks,"code block")}, ${n(s.code.inline,"inline code span")} (${n(s.code.words,"word")}), ${n(s.links,"link URL")}, ${n(s.images,"image")}`,e.classList.remove("hidden")}initExport(){window.reportExporter.reportFormats.forEach((({code:t})=>{const e=this.getElement(`export-${t}`);e&&e.addEventListener("click",(()=>this.handleExport(t)))}))}async handleExport(t){const e=this.getElement("text-input"),s=this.getElement("export-menu");if(s&&(s.open=!1),e)try{const s=await window.reportExporter.createReport(e.value,this.analysis,{page:document.title.split(" - ")[0],options:this.getAnalysisOptions()});window.reportExporter.saveReport(s,t)}catch(t){console.error("Cannot export report:",t)}}initTargets(){const t=this.getElement("target-form"),e=this.getElement("target-metric");e&&e.replaceChildren(...window.countTargets.targetMetrics.map((t=>new Option(t.name,t.id)))),t&&t.addEventListener("submit",this.handleTargetSubmit.bind(this))}handleTargetSubmit(t){t.preventDefault();const e=this.getElement("target-metric"),s=this.getElement("target-min"),n=this.getElement("target-max"),i=this.getElement("target-error");if(e&&s&&n)try{this.setTargets(window.countTargets.setTarget(this.targets,{metric:e.value,min:s.value,max:n.value}),!0),s.value="",n.value="",i&&i.classList.add("hidden")}catch(t){i&&(i.textContent=t.message,i.classList.remove("hidden"))}}setTargets(t,e=!1){this.targets=window.countTargets.readTargets(t),this.targetStates={},e&&window.drafts&&window.drafts.setTargets(this.targets).catch((t=>console.error("Cannot save targets:",t))),this.analysis&&this.showTargets(this.analysis)}showTargets(t){const e=this.getElement("targets-list"),s=this.getElement("targets-empty"),n=this.getElement("targets-status");if(!e)return;const i={under:"under target",within:"within target",over:"over target"},o={under:"bg-yellow-500",within:"bg-green-500",over:"bg-red-500"},r=[];e.replaceChildren(...window.countTargets.evaluateTargets(this.targets,t).map((t=>{const e=document.createElement("li"),s=document.createElement("div"),n=document.createElement("span"),a=document.createElement("span"),h=document.createElement("button"),l=document.createElement("div"),d=document.createElement("div"),c=`${t.value.toLocaleString(void 0,{maximumFractionDigits:1})} of ${window.countTargets.describeTarget(t.target)}`,g=this.targetStates[t.metric.id];if(g&&g!==t.state&&r.push(`${t.metric.name} ${i[t.state]}: ${c}.`),this.targetStates[t.metric.id]=t.state,e.className="py-2",s.className="flex flex-wrap items-center gap-2 text-sm",n.className="font-medium text-text-primary",n.textContent=t.metric.name,a.className="flex-1 text-text-secondary",a.classList.toggle("text-red-600","over"===t.state),a.textContent=`${c} · ${i[t.state][0].toUpperCase()}${i[t.state].slice(1)}`,h.type="button",h.className="text-sm text-text-muted bg-transparent border-none cursor-pointer hover:text-red-600 focus:outline-none focus:ring-2 focus:ring-primary rounded",h.textContent="Remove",h.setAttribute("aria-label",`Remove ${t.metric.name.toLowerCase()} target`),h.addEventListener("click",(()=>this.setTargets(this.targets.filter((e=>e.metric!==t.metric.id)),!0))),s.append(n,a,h),l.className="relative h-2 mt-1 bg-border rounded-full overflow-hidden",l.setAttribute("role","progressbar"),l.setAttribute("aria-label",`${t.metric.name} target`),l.setAttribute("aria-valuemin",0),l.setAttribute("aria-valuemax",100),l.setAttribute("aria-valuenow",Math.round(100*t.progress)),l.setAttribute("aria-valuetext",c),d.className=`h-full rounded-full ${o[t.state]}`,d.style.width=100*t.progress+"%",l.append(d),null!==t.minPosition){const e=document.createElement("div");e.className="absolute top-0 bottom-0 w-0.5 bg-text-secondary",e.style.left=100*t.minPosition+"%",l.append(e)}return e.append(s,l),e}))),s&&s.classList.toggle("hidden",this.targets.length>0),n&&r.length>0&&(n.textContent=r.join(" "))}initSession(){const t=this.getElement("session-toggle"),e=this.getElement("session-export");t&&t.addEventListener("click",this.handleSessionToggle.bind(this)),e&&e.addEventListener("click",this.handleSessionExport.bind(this))}handleSessionToggle(){this.session&&null===this.session.endedAt?this.stopSession():(this.session=window.writingSession.startWritingSession(this.analysis&&this.analysis.words?this.analysis.words.count:0),this.sessionEdit=null,clearInterval(this.sessionTimer),this.sessionTimer=setInterval((()=>this.updateSession()),window.writingSession.sampleInterval),this.showSession(),this.showSessionStatus("Writing session started."))}recordSessionCount(t){const e=this.editedAt;this.editedAt=null,e&&this.session&&null===this.session.endedAt&&(e<this.session.startedAt?this.session=window.writingSession.startWritingSession(t.words.count,this.session.startedAt):this.sessionEdit={words:t.words.count,time:e})}updateSession(){this.sessionEdit&&(this.session=window.writingSession.recordWritingSample(this.session,this.sessionEdit.words,this.sessionEdit.time),this.sessionEdit=null),this.showSession()}stopSession(){if(!this.session||null!==this.session.endedAt)return;clearInterval(this.sessionTimer),this.updateSession(),this.session=window.writingSession.stopWritingSession(this.session),this.showSession();const t=window.writingSession.summarizeWritingSession(this.session);this.showSessionStatus(`Writing session stopped: ${t.net.toLocaleString()} net ${1===Math.abs(t.net)?"word":"words"} in ${window.textProcessor.formatTimestamp(t.duration/1e3)}.`)}handleSessionExport(){this.session&&(null===this.session.endedAt&&this.updateSession(),window.reportExporter.downloadFile(window.writingSession.formatSessionCsv(this.session)))}showSession(){const t=this.session,e=t&&null===t.endedAt,s=this.getElement("session-toggle"),n=this.getElement("session-export"),i=this.getElement("session-state"),o=this.getElement("session-line");if(s&&(s.textContent=e?"Stop session":"Start session",s.setAttribute("aria-pressed",e)),n&&(t?n.removeAttribute("disabled"):n.setAttribute("disabled",!0)),i&&(i.textContent=t?e?"Recording":"Stopped":"Not started"),!t)return;const r=window.writingSession.summarizeWritingSession(t),a=t=>window.textProcessor.formatTimestamp(t/1e3);[["session-written",r.written.toLocaleString()],["session-deleted",r.deleted.toLocaleString()],["session-wpm",r.wordsPerMinute.toLocaleString(void 0,{maximumFractionDigits:1})],["session-active",a(r.activeTime)],["session-idle",a(r.idleTime)],["session-elapsed",a(r.duration)]].forEach((([t,e])=>{const s=this.getElement(t);s&&(s.textContent=e)})),o&&o.setAttribute("points",window.writingSession.getSessionSparkline(t,200,36))}showSessionStatus(t){const e=this.getElement("session-status");e&&(e.textContent=t)}initDrafts(){const t=this.getElement("text-input");t&&window.drafts&&(window.drafts.subscribe((e=>{"open"===e.type&&(this.stopSession(),this.setTargets(e.draft.targets),t.value=e.draft.text,t.dispatchEvent(new Event("input",{bubbles:!0})))})),t.addEventListener("input",(()=>window.drafts.save(t.value))),this.draftsLoaded=window.drafts.load().catch((t=>console.error("Cannot load draft:",t))))}initShare(){const t=this.getElement("share-btn");t&&t.addEventListener("click",this.handleShare.bind(this)),window.addEventListener("hashchange",(()=>this.restoreShareLink())),(this.draftsLoaded||Promise.resolve()).then((()=>this.restoreShareLink()))}async handleShare(){const t=this.getElement("text-input");if(t)if(t.value.trim())try{const e=await window.shareLink.createShareLink(t.value,this.getShareSettings());try{await navigator.clipboard.writeText(e),this.showShareStatus("Link copied. Anyone who opens it sees this text with these settings.")}catch(t){history.replaceState(null,"",e),this.showShareStatus("Copy the link from the address bar to share this text.")}}catch(t){console.error("Cannot create share link:",t),this.showShareStatus(t.message,!0)}else this.showShareStatus("Type or paste some text to share first.",!0)}async restoreShareLink(){const t=this.getElement("text-input");if(t&&window.shareLink.isShareHash(location.hash)){try{const e=await window.shareLink.readShareLink(location.hash);this.applyShareSettings(e.settings),window.drafts&&await window.drafts.create("Shared text"),t.value=e.text,t.dispatchEvent(new Event("input",{bubbles:!0})),this.showShareStatus("Opened shared text as a new draft.")}catch(t){console.error("Cannot open share link:",t),this.showShareStatus(t.message,!0)}history.replaceState(null,"",location.pathname+location.search)}}setControl(t,e,s="change"){const n=this.getElement(t);if(!n||null==e)return;const i=n.value;n.value=e,String(n.value)===String(e)?n.dispatchEvent(new Event(s,{bubbles:!0})):n.value=i}showShareStatus(t,e=!1){const s=this.getElement("share-status");s&&(s.textContent=t,s.classList.remove("hidden"),s.classList.toggle("text-red-600",e),s.classList.toggle("text-text-muted",!e))}initImport(){const t=this.getElement("import-btn"),e=this.getElement("import-file"),s=this.getElement("text-drop-zone");e&&(e.accept=window.fileImporter.acceptedFileTypes.join(","),e.addEventListener("change",this.handleImportSelect.bind(this))),t&&e&&t.addEventListener("click",(()=>e.click())),s&&(s.addEventListener("dragover",this.handleDragOver.bind(this)),s.addEventListener("dragleave",this.handleDragLeave.bind(this)),s.addEventListener("drop",this.handleDrop.bind(this)))}hasDraggedFiles(t){return!!t.dataTransfer&&Array.from(t.dataTransfer.types).includes("Files")}handleDragOver(t){if(!this.hasDraggedFiles(t))return;t.preventDefault(),t.dataTransfer.dropEffect="copy";const e=this.getElement("text-drop-zone");e&&e.classList.add("ring-4","ring-primary/30","border-primary")}handleDragLeave(t){const e=this.getElement("text-drop-zone");e&&!e.contains(t.relatedTarget)&&e.classList.remove("ring-4","ring-primary/30","border-primary")}handleDrop(t){if(!this.hasDraggedFiles(t))return;t.preventDefault(),this.handleDragLeave({relatedTarget:null});const e=t.dataTransfer.files[0];e&&this.importFile(e)}handleImportSelect(t){const e=t.target.files&&t.target.files[0];e&&this.importFile(e),t.target.value=""}async importFile(t){const e=this.getElement("text-input");if(e)try{this.showImportStatus(`Opening ${t.name}…`);const s=await window.fileImporter.importFile(t);e.value=s.text,e.dispatchEvent(new Event("input",{bubbles:!0})),this.showImportStatus(`Opened ${s.name}`)}catch(t){console.error("Cannot import file:",t),this.showImportStatus(t.message,!0)}}showImportStatus(t,e=!1){const s=this.getElement("import-status");s&&(s.textContent=t,s.classList.remove("hidden"),s.classList.toggle("text-red-600",e),s.classList.toggle("text-text-muted",!e))}showWordCount(t){const e=this.getElement("word-count");e&&(e.textContent=t.words.count)}showSentenceCount(t){const e=this.getElement("sentence-count");e&&(e.textContent=t.sentences.count)}showAvgWordLength(t){const e=this.getElement("avg-word-length");if(e){const s=t.words.averageLength;e.textContent=s.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}}initFrequencyTable(){const t=this.getElement("target-keyword"),e=this.getElement("phrase-length"),s=this.getElement("hide-stop-words"),n=this.getElement("frequency-table"),i=this.getElement("frequency-prev"),o=this.getElement("frequency-next"),r=this.getElement("frequency-group"),a=()=>{this.frequencyPage=0,this.analysis&&this.analysis.frequencies&&this.showFrequencyTable(this.analysis)};t&&t.addEventListener("input",this.handleKeywordChange.bind(this)),e&&e.addEventListener("change",a),s&&s.addEventListener("change",a),r&&(r.value=this.groupBy,r.addEventListener("change",this.handleGroupChange.bind(this))),n&&n.addEventListener("click",(t=>{const e=t.target.closest("[data-sort]");e&&this.handleFrequencySort(e.dataset.sort)})),i&&i.addEventListener("click",(()=>this.changeFrequencyPage(-1))),o&&o.addEventListener("click",(()=>this.changeFrequencyPage(1)))}handleKeywordChange(t){const e=t.target.value.trim();e!==this.keyword&&(this.keyword=e,clearTimeout(this.keywordTimer),this.keywordTimer=setTimeout((()=>this.refreshAnalysis()),300))}handleGroupChange(t){this.groupBy=t.target.value,this.frequencyPage=0,this.refreshAnalysis()}handleFrequencySort(t){const e=this.frequencySort;this.frequencySort=e.key===t?{key:t,descending:!e.descending}:{key:t,descending:"phrase"!==t},this.frequencyPage=0,this.analysis&&this.analysis.frequencies&&this.showFrequencyTable(this.analysis)}changeFrequencyPage(t){this.frequencyPage+=t,this.analysis&&this.analysis.frequencies&&this.showFrequencyTable(this.analysis)}getFrequencyRows(t){const e=this.getElement("phrase-length"),s=this.getElement("hide-stop-words"),n=e?Number(e.value):1,i=!s||s.checked,o=1===n?t.frequencies:t.frequencies.phrases,r=(i?o.withoutStopWords:o.all).filter((([t])=>1===n||t.split(" ").length===n)).map((([e,s,i])=>({phrase:e,count:s,forms:i,density:window.textProcessor.calculateKeywordDensity(s,n,t.words.count)}))),{key:a,descending:h}=this.frequencySort,l=(t,e)=>t.phrase.localeCompare(e.phrase,this.activeLocale,{numeric:!0}),d="phrase"===a?l:(t,e)=>t[a]-e[a]||l(e,t);return r.sort(((t,e)=>h?d(e,t):d(t,e))),r}showFrequencyTable(t){const e=this.getElement("frequency-table"),s=this.getElement("frequency-table-body"),n=this.getElement("frequency-caption"),i=this.getElement("frequency-empty"),o=this.getElement("frequency-prev"),r=this.getElement("frequency-next"),a=this.getElement("frequency-page"),h=this.getElement("phrase-length");if(!e||!s)return;const l=this.getFrequencyRows(t),d=Math.max(1,Math.ceil(l.length/this.frequencyPageSize)),c=h?Number(h.value):1,g=1===c?"word":"phrase",{key:u,descending:m}=this.frequencySort;this.frequencyPage=Math.min(Math.max(this.frequencyPage,0),d-1);const p=this.frequencyPage*this.frequencyPageSize;s.replaceChildren(...l.slice(p,p+this.frequencyPageSize).map((t=>{const e=document.createElement("tr"),s=document.createElement("td"),n=document.createElement("td"),i=document.createElement("td");return s.classList.add("px-4","py-2","break-all"),n.classList.add("px-4","py-2","text-right","tabular-nums"),i.classList.add("px-4","py-2","text-right","tabular-nums"),s.textContent=t.phrase,t.forms&&(t.forms.length>1||t.forms[0][0]!==t.phrase)&&s.append(this.createFormsList(t.forms)),n.textContent=t.count.toLocaleString(),i.textContent=`${t.density.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}%`,e.append(s,n,i),e}))),e.querySelectorAll("th").forEach((t=>{const e=t.querySelector("[data-sort]"),s=e&&e.dataset.sort===u,n=e&&e.querySelector("span");e&&"phrase"===e.dataset.sort&&(e.firstChild.textContent="word"!==this.groupBy?"Group ":1===c?"Word ":"Phrase "),t.setAttribute("aria-sort",s?m?"descending":"ascending":"none"),n&&(n.textContent=s?m?"↓":"↑":"")})),n&&(n.textContent=`${1===c?"Word":`${c}-word phrase`} frequency${"word"===this.groupBy?"":", grouped by "+("stem"===this.groupBy?"stem":"word family")}, sorted by ${"phrase"===u?g:u}, ${m?"descending":"ascending"}`),e.classList.toggle("hidden",0===l.length),i&&(i.textContent=t.words.count?1===c?"No words to show.":`No ${c}-word phrases appear more than once.`:"Start typing to see which words you use most.",i.classList.toggle("hidden",l.length>0)),o&&(o.disabled=0===this.frequencyPage),r&&(r.disabled=this.frequencyPage>=d-1),a&&(a.textContent=l.length>0?`Page ${this.frequencyPage+1} of ${d} · ${l.length.toLocaleString()} ${1===l.length?g:g+"s"}`:"")}createFormsList(t){const e=document.createElement("span");return e.classList.add("block","text-xs","text-text-muted"),e.textContent=t.slice(0,8).map((([t,e])=>`${t} ×${e.toLocaleString()}`)).join(", ")+(t.length>8?`, and ${t.length-8} more`:""),e}showTargetKeyword(t){const e=this.getElement("target-keyword-result");if(!e)return;const s=t.keyword;e.textContent=s?`“${s.keyword}” appears ${s.count.toLocaleString()} ${1===s.count?"time":"times"}, a keyword density of ${s.density.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}%.`:"Enter a keyword to see how often it appears and its density."}showMostCommonWord(t){const e=this.getElement("most-common-word");if(e){const{all:s,withoutStopWords:n}=t.frequencies;e.textContent=n[0]?n[0][0]:s[0]?s[0][0]:"N/A"}}showUniqueWordsCount(t){const e=this.getElement("unique-words-count"),s=this.getElement("unique-words-note");e&&(e.textContent=t.words.unique),s&&(s.textContent={word:"Total distinct words used",stem:"Distinct words, counting forms with the same stem once",lemma:"Distinct words, counting each word family once"}[this.groupBy])}showLongestWord(t){const e=this.getElement("longest-word"),s=this.getElement("longest-word-length");e&&s&&(e.textContent=t.words.longest||"N/A",s.textContent=t.words.longest.length)}showShortestWord(t){const e=this.getElement("shortest-word"),s=this.getElement("shortest-word-length");e&&s&&(e.textContent=t.words.shortest||"N/A",s.textContent=t.words.shortest.length)}showAverageSentenceLength(t){const e=this.getElement("avg-words-per-sentence");if(e){const s=t.sentences.averageWords;e.textContent=s.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}}showParagraphCount(t){const e=this.getElement("paragraph-count");e&&(e.textContent=t.paragraphs.count)}showAverageParagraphLength(t){const e=this.getElement("avg-sentences-per-paragraph");if(e){const s=t.paragraphs.averageSentences;e.textContent=s.toLocaleString("en-US",{minimumFractionDigits:2,maximumFractionDigits:2})}}}(new WordCounter).init();
\ No newline at end of file